@@ -0,0 +1,332 @@
+/**
+ * AutoTracer - Outlines of the opaque, dark or light parts of a reference
+ * image.
+ *
+ * The image is read into a grid of values from 0 to 255 (alpha, or darkness
+ * or lightness weighted by alpha), at most `maxSize` cells across and padded
+ * with a border of empty cells so every contour closes. Marching squares
+ * finds where the values cross the threshold, placing each point along its
+ * cell edge by interpolating the two corner values; contours are chained
+ * through the cell edges they cross. A contour inside an even number of
+ * others is an outline, otherwise a hole of the outline around it.
+ *
+ * Contours are simplified with ShapeFactory.simplifyPath and mapped through
+ * the reference's placement into world coordinates. Tolerance and minimum
+ * area are measured in image pixels.
+ */
+export class AutoTracer {
+  constructor(app) {
+    this.app = app;
+    this.maxSize = 1024;
+    // Last grid read: { bitmap, mode, field, width, height }
+    this.cache = null;
+  }
+
+  /**
+   * Trace the active reference image (or the first one shown), at the
+   * playhead for a sequence
+   * @param {Object} options - { mode, threshold, tolerance, minArea, holes }
+   * @returns {Array|null} - [{ outer, holes }] in world coordinates, or null
+   *   if there is no decoded reference image to trace
+   */
+  traceReference(options) {
+    const references = this.app.references;
+    const image = this.getTarget();
+    if (!image) return null;
+    const bitmap = references.getBitmap(image);
+    const size = references.getSize(image);
+    if (!bitmap || !size) return null;
+
+    const { field, width, height } = this.readField(bitmap, options.mode);
+    // Grid cells to image pixels; the padding shifts the grid by one cell
+    // and samples sit at pixel centres
+    const sx = size.width / width;
+    const sy = size.height / height;
+    const toWorld = p => references.toWorld(image, size, (p.x - 0.5) * sx, (p.y - 0.5) * sy);
+
+    const regions = this.trace(field, width + 2, height + 2, {
+      threshold: options.threshold,
+      tolerance: options.tolerance / Math.max(sx, sy),
+      minArea: options.minArea / (sx * sy),
+      holes: options.holes
+    });
+    return regions.map(region => ({
+      outer: region.outer.map(toWorld),
+      holes: region.holes.map(hole => hole.map(toWorld))
+    }));
+  }
+
+  // The reference traceReference() traces
+  getTarget() {
+    const references = this.app.references;
+    return references.getActive() || references.images.find(image => references.isShown(image)) || null;
+  }
+
+  // Changes whenever traceReference() would trace something else: another
+  // reference or image at the playhead, one that finished decoding, or a
+  // new placement
+  getSourceKey() {
+    const references = this.app.references;
+    const image = this.getTarget();
+    if (!image) return null;
+    const path = references.getAssetAt(image);
+    return JSON.stringify([
+      image.id, path, !!references.bitmaps.get(path), !!references.getSize(image),
+      image.x, image.y, image.scaleX, image.scaleY, image.rotation
+    ]);
+  }
+
+  /**
+   * Values to trace, read once per image and mode
+   * @returns {Object} - { field: Float32Array of (width + 2) x (height + 2),
+   *   width, height } where width and height are the unpadded grid size
+   */
+  readField(bitmap, mode) {
+    if (this.cache && this.cache.bitmap === bitmap && this.cache.mode === mode) return this.cache;
+
+    const scale = Math.min(1, this.maxSize / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    const stride = width + 2;
+    const field = new Float32Array(stride * (height + 2));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const alpha = pixels[i + 3];
+        const luminance = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+        let value = alpha;
+        if (mode === 'dark') value = (255 - luminance) * alpha / 255;
+        else if (mode === 'light') value = luminance * alpha / 255;
+        field[(y + 1) * stride + x + 1] = value;
+      }
+    }
+
+    this.cache = { bitmap, mode, field, width, height };
+    return this.cache;
+  }
+
+  /**
+   * Outlines with their holes, in grid coordinates
+   * @param {Float32Array} field - Values, row by row, empty along the border
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   * @param {Object} options - { threshold, tolerance, minArea, holes }: holes
+   *   are 'keep' (cut out), 'fill' (outlines only) or 'shapes' (every
+   *   contour its own region, outer ones first)
+   */
+  trace(field, width, height, { threshold, tolerance, minArea, holes = 'keep' }) {
+    const rings = this.findContours(field, width, height, threshold)
+      .map(points => ({ points, area: Math.abs(this.signedArea(points)) }))
+      .filter(ring => ring.area >= minArea);
+
+    // Contours around a kept one are larger, so kept as well
+    this.nest(rings);
+
+    const kept = rings
+      .map(ring => ({ ring, depth: ring.depth, parent: ring.parent, simplified: this.simplifyRing(ring.points, tolerance) }))
+      .filter(ring => ring.simplified.length >= 3);
+
+    // Outlines wind one way and holes the other, so the nonzero rule cuts
+    // the holes out
+    const orient = (points, positive) => (this.signedArea(points) > 0) === positive ? points : points.slice().reverse();
+
+    if (holes === 'shapes') {
+      return kept
+        .sort((a, b) => a.depth - b.depth)
+        .map(ring => ({ outer: orient(ring.simplified, true), holes: [] }));
+    }
+
+    const outlines = kept.filter(ring => ring.depth % 2 === 0 && (holes !== 'fill' || ring.depth === 0));
+    return outlines.map(outline => ({
+      outer: orient(outline.simplified, true),
+      holes: holes === 'fill' ? [] : kept
+        .filter(ring => ring.parent === outline.ring)
+        .map(ring => orient(ring.simplified, false))
+    }));
+  }
+
+  /**
+   * Sets each ring's `depth` (how many rings contain it) and `parent` (the
+   * smallest one that does). Contours never cross, so a ring's first point
+   * says where the whole ring is. Rings are bucketed by the rows their
+   * bounds span, so a point is only tested against rings around its row
+   */
+  nest(rings) {
+    const rowSize = 16;
+    const rows = new Map();
+    for (const ring of rings) {
+      ring.bounds = this.getBounds(ring.points);
+      const last = Math.floor(ring.bounds.maxY / rowSize);
+      for (let row = Math.floor(ring.bounds.minY / rowSize); row <= last; row++) {
+        if (!rows.has(row)) rows.set(row, []);
+        rows.get(row).push(ring);
+      }
+    }
+
+    for (const ring of rings) {
+      const p = ring.points[0];
+      ring.depth = 0;
+      ring.parent = null;
+      for (const other of rows.get(Math.floor(p.y / rowSize))) {
+        const b = other.bounds;
+        if (other.area <= ring.area || p.x < b.minX || p.x > b.maxX || p.y < b.minY || p.y > b.maxY) continue;
+        if (!this.ringContains(other, p)) continue;
+        ring.depth++;
+        if (!ring.parent || other.area < ring.parent.area) ring.parent = other;
+      }
+    }
+  }
+
+  // Even-odd test against only the edges crossing the point's grid row;
+  // the edges are bucketed by row the first time a ring is tested
+  ringContains(ring, point) {
+    if (!ring.edges) {
+      ring.edges = new Map();
+      const points = ring.points;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const last = Math.floor(Math.max(points[i].y, points[j].y));
+        for (let row = Math.floor(Math.min(points[i].y, points[j].y)); row <= last; row++) {
+          if (!ring.edges.has(row)) ring.edges.set(row, []);
+          ring.edges.get(row).push(points[i], points[j]);
+        }
+      }
+    }
+    const edges = ring.edges.get(Math.floor(point.y)) || [];
+    let inside = false;
+    for (let k = 0; k < edges.length; k += 2) {
+      const a = edges[k];
+      const b = edges[k + 1];
+      if (((a.y > point.y) !== (b.y > point.y)) &&
+          (point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  getBounds(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    }
+    return { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * Closed contours where the field crosses the threshold (marching
+   * squares). Crossing points are keyed by the cell edge they lie on; each
+   * is shared by the two cells beside that edge, so it links to exactly two
+   * others and chaining them always closes the loop. Keys are
+   * (y * width + x) * 2 for the horizontal edge right of grid corner (x, y)
+   * and one more for the vertical edge below it
+   * @returns {Array} - Rings of {x, y} in grid coordinates
+   */
+  findContours(field, width, height, threshold) {
+    const value = (x, y) => field[y * width + x];
+    const count = width * height * 2;
+    const xs = new Float64Array(count);
+    const ys = new Float64Array(count);
+    const found = new Uint8Array(count);
+    const links = new Int32Array(count * 2).fill(-1);
+
+    // Crossing on the edge between two grid corners; kept off the corners
+    // so neighbouring contours never share a point
+    const crossing = (key, ax, ay, bx, by) => {
+      if (!found[key]) {
+        const va = value(ax, ay);
+        const vb = value(bx, by);
+        const t = Math.min(0.999, Math.max(0.001, (threshold - va) / (vb - va)));
+        xs[key] = ax + (bx - ax) * t;
+        ys[key] = ay + (by - ay) * t;
+        found[key] = 1;
+      }
+      return key;
+    };
+    const link = (a, b) => {
+      links[a * 2 + (links[a * 2] === -1 ? 0 : 1)] = b;
+      links[b * 2 + (links[b * 2] === -1 ? 0 : 1)] = a;
+    };
+
+    for (let y = 0; y < height - 1; y++) {
+      for (let x = 0; x < width - 1; x++) {
+        const tl = value(x, y) >= threshold;
+        const tr = value(x + 1, y) >= threshold;
+        const br = value(x + 1, y + 1) >= threshold;
+        const bl = value(x, y + 1) >= threshold;
+        if (tl === tr && tr === br && br === bl) continue;
+
+        const corner = (y * width + x) * 2;
+        const top = tl !== tr ? crossing(corner, x, y, x + 1, y) : -1;
+        const bottom = bl !== br ? crossing(corner + width * 2, x, y + 1, x + 1, y + 1) : -1;
+        const left = tl !== bl ? crossing(corner + 1, x, y, x, y + 1) : -1;
+        const right = tr !== br ? crossing(corner + 3, x + 1, y, x + 1, y + 1) : -1;
+
+        if (top >= 0 && bottom >= 0 && left >= 0 && right >= 0) {
+          // Saddle: the centre value says whether the diagonal the top-left
+          // corner is on joins up; either way two corners are cut off
+          const center = (value(x, y) + value(x + 1, y) + value(x + 1, y + 1) + value(x, y + 1)) / 4;
+          if ((center >= threshold) === tl) {
+            link(top, right);
+            link(bottom, left);
+          } else {
+            link(top, left);
+            link(bottom, right);
+          }
+        } else {
+          const [a, b] = [top, right, bottom, left].filter(key => key >= 0);
+          link(a, b);
+        }
+      }
+    }
+
+    const rings = [];
+    const visited = new Uint8Array(count);
+    for (let start = 0; start < count; start++) {
+      if (!found[start] || visited[start]) continue;
+
+      const ring = [];
+      let previous = -1;
+      let current = start;
+      while (current >= 0 && !visited[current]) {
+        visited[current] = 1;
+        ring.push({ x: xs[current], y: ys[current] });
+        const a = links[current * 2];
+        const b = links[current * 2 + 1];
+        let next = -1;
+        if (a >= 0 && a !== previous && !visited[a]) next = a;
+        else if (b >= 0 && b !== previous && !visited[b]) next = b;
+        previous = current;
+        current = next;
+      }
+      if (ring.length >= 3) rings.push(ring);
+    }
+    return rings;
+  }
+
+  // Douglas-Peucker on a closed ring: simplifyPath keeps the ends of an open
+  // path, so the first point is repeated at the end and dropped afterwards
+  simplifyRing(points, tolerance) {
+    if (tolerance <= 0 || points.length < 4) return points;
+    return this.app.shapes.simplifyPath([...points, points[0]], tolerance).slice(0, -1);
+  }
+
+  signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+}
@@ -0,0 +1,380 @@
+/**
+ * AutosaveManager - Autosave, crash recovery and recent projects, kept in
+ * IndexedDB.
+ *
+ * Every `interval` ms, if the document changed since the last write, the
+ * project data (FolderManager.getProjectData) is stored as a recovery
+ * snapshot; only the newest `maxSnapshots` are kept. Saving the project
+ * stores a snapshot marked clean. On startup, if the newest snapshot is not
+ * clean, the previous session ended with unsaved work and the recovery
+ * dialog offers to restore any of the snapshots.
+ *
+ * Recent projects are the last `maxRecent` projects saved or opened, stored
+ * by name with their data so they reopen without the original file.
+ * Snapshots and recent projects name the assets (such as reference images)
+ * their data uses; the files themselves are stored once each in the
+ * `assets` store, keyed by their path (which includes a checksum). Assets no
+ * entry names any more are deleted on startup.
+ *
+ * Ctrl+S used to save into localStorage under `legacyKey`; such a save is
+ * moved into the recent projects once (ProjectSchema migrates it on open).
+ */
+export class AutosaveManager {
+  constructor(app) {
+    this.app = app;
+    this.dbName = 'polygon-editor';
+    this.interval = 30000;
+    this.maxSnapshots = 10;
+    this.maxRecent = 8;
+    this.legacyKey = 'polygon-editor-save';
+    this.legacyName = 'Browser save';
+    this.dbPromise = null;
+    this.timer = null;
+    this.recent = [];
+    // History position last written, so unchanged documents are skipped
+    this.lastSignature = null;
+    this.failed = false;
+    // Set while the timer's snapshot is being written, so ticks don't overlap
+    this.writing = false;
+    // Asset paths known to be in the assets store
+    this.storedAssets = new Set();
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // Offer recovery, list recent projects and start the autosave timer
+  async init() {
+    if (!this.isSupported()) {
+      this.updateUI();
+      return;
+    }
+
+    this.lastSignature = this.getSignature();
+    try {
+      this.storedAssets = new Set(await this.transact('assets', 'readonly', store => store.getAllKeys()));
+      await this.checkRecovery();
+      await this.importLegacySave();
+      await this.pruneAssets();
+      await this.refreshRecent();
+    } catch (err) {
+      console.error('Autosave unavailable:', err);
+      return;
+    }
+
+    this.timer = setInterval(() => this.autosave(), this.interval);
+    // Tabs may be discarded once hidden, so write while we still can
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.autosave();
+    });
+  }
+
+  // ============= STORAGE =============
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 2);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('snapshots')) {
+            db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains('recent')) db.createObjectStore('recent', { keyPath: 'name' });
+          if (!db.objectStoreNames.contains('assets')) db.createObjectStore('assets', { keyPath: 'path' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run requests against one object store in a transaction
+   * @param {string} storeName - 'snapshots', 'recent' or 'assets'
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - Called with the store; may return a request
+   * @returns {Promise} - The request's result once the transaction completes
+   */
+  async transact(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Identifies the current history entry; coalesced edits update its time
+  getSignature() {
+    const entry = this.app.history.entries[this.app.history.index];
+    return entry ? `${entry.id}:${entry.time}` : null;
+  }
+
+  // ============= SNAPSHOTS =============
+
+  // Write a recovery snapshot if the document changed since the last one;
+  // a failed write leaves the signature stale so the next tick retries
+  async autosave() {
+    const signature = this.getSignature();
+    if (!this.isSupported() || this.writing || signature === this.lastSignature) return;
+
+    this.writing = true;
+    if (await this.writeSnapshot(false)) this.lastSignature = signature;
+    this.writing = false;
+  }
+
+  /**
+   * Store a snapshot of the current project
+   * @param {boolean} clean - Whether it matches an explicit save
+   * @returns {Promise<boolean>} - Whether the snapshot was written
+   */
+  async writeSnapshot(clean) {
+    try {
+      const data = this.app.folder.getProjectData();
+      const snapshot = {
+        name: this.app.folder.currentFileName || 'Untitled',
+        savedAt: Date.now(),
+        clean,
+        data,
+        assetPaths: await this.storeAssets(data)
+      };
+      await this.transact('snapshots', 'readwrite', store => store.add(snapshot));
+      await this.pruneSnapshots();
+      this.failed = false;
+      return true;
+    } catch (err) {
+      // Report the first failure only; the timer keeps retrying
+      console.error('Autosave failed:', err);
+      if (!this.failed) this.app.showNotification('Autosave failed: ' + err.message);
+      this.failed = true;
+      return false;
+    }
+  }
+
+  async pruneSnapshots() {
+    const keys = await this.transact('snapshots', 'readonly', store => store.getAllKeys());
+    const stale = keys.slice(0, Math.max(0, keys.length - this.maxSnapshots));
+    if (stale.length === 0) return;
+    await this.transact('snapshots', 'readwrite', store => {
+      for (const key of stale) store.delete(key);
+    });
+  }
+
+  // Newest first
+  async getSnapshots() {
+    const snapshots = await this.transact('snapshots', 'readonly', store => store.getAll());
+    return snapshots.reverse();
+  }
+
+  /**
+   * Record an explicit save: a clean snapshot, and the project at the top of
+   * the recent list
+   * @param {string} name - Project name
+   * @param {Object} data - Project data that was saved
+   */
+  async markSaved(name, data = this.app.folder.getProjectData()) {
+    if (!this.isSupported()) return;
+    const signature = this.getSignature();
+    if (await this.writeSnapshot(true)) this.lastSignature = signature;
+    await this.addRecent(name, data);
+  }
+
+  // Show the recovery dialog if the last session left unsaved work
+  async checkRecovery() {
+    const snapshots = await this.getSnapshots();
+    if (snapshots.length === 0 || snapshots[0].clean) return;
+
+    const snapshot = await this.showRecoveryDialog(snapshots);
+    if (snapshot) {
+      this.app.folder.currentFileName = snapshot.name === 'Untitled' ? null : snapshot.name;
+      await this.restoreAssets(snapshot);
+      this.app.loadProjectData(snapshot.data);
+    } else {
+      // Discarded: don't offer it again
+      await this.transact('snapshots', 'readwrite', store => store.put({ ...snapshots[0], clean: true }));
+    }
+  }
+
+  /**
+   * Ask which snapshot to restore
+   * @returns {Promise<Object|null>} - The chosen snapshot, or null to discard
+   */
+  showRecoveryDialog(snapshots) {
+    const modal = document.getElementById('recoveryModal');
+    const select = document.getElementById('recoverySnapshot');
+    const restoreBtn = document.getElementById('restoreRecoveryBtn');
+    const discardBtn = document.getElementById('discardRecoveryBtn');
+    if (!modal || !select || !restoreBtn || !discardBtn) return Promise.resolve(null);
+
+    select.innerHTML = '';
+    snapshots.forEach((snapshot, i) => {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = `${snapshot.name} — ${new Date(snapshot.savedAt).toLocaleString()}`;
+      select.appendChild(option);
+    });
+    modal.classList.add('visible');
+
+    return new Promise(resolve => {
+      const close = (snapshot) => {
+        modal.classList.remove('visible');
+        restoreBtn.onclick = null;
+        discardBtn.onclick = null;
+        resolve(snapshot);
+      };
+      restoreBtn.onclick = () => close(snapshots[parseInt(select.value)] || null);
+      discardBtn.onclick = () => close(null);
+    });
+  }
+
+  // ============= ASSETS =============
+
+  /**
+   * Store the assets project data uses, writing only ones not stored yet
+   * @returns {Promise<Array>} - Their paths
+   */
+  async storeAssets(data) {
+    const assets = this.app.folder.getUsedAssets(data);
+    const missing = assets.filter(asset => !this.storedAssets.has(asset.path));
+    if (missing.length > 0) {
+      await this.transact('assets', 'readwrite', store => {
+        for (const asset of missing) store.put(asset);
+      });
+      for (const asset of missing) this.storedAssets.add(asset.path);
+    }
+    return assets.map(asset => asset.path);
+  }
+
+  // Give the project the assets a snapshot or recent entry names. Entries
+  // written before assets were stored separately carry their own copies
+  async restoreAssets(entry) {
+    if (Array.isArray(entry.assets)) this.app.folder.addAssets(entry.assets);
+    const assets = await Promise.all((entry.assetPaths || [])
+      .map(path => this.transact('assets', 'readonly', store => store.get(path))));
+    this.app.folder.addAssets(assets.filter(Boolean));
+  }
+
+  // Delete stored assets that no snapshot or recent project names
+  async pruneAssets() {
+    const used = new Set();
+    for (const storeName of ['snapshots', 'recent']) {
+      const entries = await this.transact(storeName, 'readonly', store => store.getAll());
+      for (const entry of entries) {
+        for (const path of entry.assetPaths || []) used.add(path);
+      }
+    }
+
+    const unused = [...this.storedAssets].filter(path => !used.has(path));
+    if (unused.length === 0) return;
+    await this.transact('assets', 'readwrite', store => {
+      for (const path of unused) store.delete(path);
+    });
+    for (const path of unused) this.storedAssets.delete(path);
+  }
+
+  // ============= RECENT PROJECTS =============
+
+  // Move a save from the old localStorage format into the recent projects
+  async importLegacySave() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(this.legacyKey);
+    } catch (err) {
+      return;
+    }
+    if (!saved) return;
+
+    let data;
+    try {
+      data = JSON.parse(saved);
+    } catch (err) {
+      console.error('Unreadable browser save:', err);
+      return;
+    }
+    if (await this.addRecent(this.legacyName, data)) {
+      localStorage.removeItem(this.legacyKey);
+      this.app.showNotification(`Your browser save is now in Recent Projects as "${this.legacyName}"`);
+    }
+  }
+
+  // Returns whether the project was stored
+  async addRecent(name, data) {
+    if (!this.isSupported() || !name) return false;
+
+    try {
+      const assetPaths = await this.storeAssets(data);
+      await this.transact('recent', 'readwrite', store => store.put({ name, openedAt: Date.now(), data, assetPaths }));
+      const entries = await this.transact('recent', 'readonly', store => store.getAll());
+      const stale = entries
+        .sort((a, b) => b.openedAt - a.openedAt)
+        .slice(this.maxRecent);
+      if (stale.length > 0) {
+        await this.transact('recent', 'readwrite', store => {
+          for (const entry of stale) store.delete(entry.name);
+        });
+      }
+      await this.refreshRecent();
+      return true;
+    } catch (err) {
+      console.error('Failed to update recent projects:', err);
+      return false;
+    }
+  }
+
+  async refreshRecent() {
+    const entries = await this.transact('recent', 'readonly', store => store.getAll());
+    this.recent = entries
+      .sort((a, b) => b.openedAt - a.openedAt)
+      .map(({ name, openedAt }) => ({ name, openedAt }));
+    this.updateUI();
+  }
+
+  // Reopen a recent project (the most recent if no name is given)
+  async openRecent(name = this.recent[0] && this.recent[0].name) {
+    if (!this.isSupported() || !name) return false;
+
+    const entry = await this.transact('recent', 'readonly', store => store.get(name));
+    if (!entry) {
+      await this.refreshRecent();
+      return false;
+    }
+
+    this.app.folder.currentFileName = name;
+    await this.restoreAssets(entry);
+    const fileNameInput = document.getElementById('saveFileName');
+    if (fileNameInput) fileNameInput.value = name;
+    this.app.loadProjectData(entry.data, name);
+    return true;
+  }
+
+  updateUI() {
+    const container = document.getElementById('recentList');
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (!this.isSupported() || this.recent.length === 0) {
+      container.innerHTML = '<div class="file-item" style="color: var(--fg-muted); cursor: default;">No recent projects</div>';
+      return;
+    }
+
+    for (const entry of this.recent) {
+      const item = document.createElement('div');
+      item.className = 'file-item';
+      if (entry.name === this.app.folder.currentFileName) item.classList.add('active');
+
+      const name = document.createElement('span');
+      name.className = 'file-name';
+      name.textContent = entry.name;
+      name.title = `Opened ${new Date(entry.openedAt).toLocaleString()}`;
+      item.appendChild(name);
+
+      item.addEventListener('click', () => this.openRecent(entry.name));
+      container.appendChild(item);
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * BezierPath - Cubic bezier segments between ring vertices.
+ *
+ * A vertex may carry tangent handles as offsets from itself: `handleIn`
+ * (towards the previous vertex) and `handleOut` (towards the next). The
+ * segment from vertex a to vertex b is the cubic with control points
+ * a + a.handleOut and b + b.handleIn, or a straight edge when neither handle
+ * is set. `handleType` says how a vertex's handles follow each other when
+ * one is dragged: 'corner' (independently), 'smooth' (kept opposite) or
+ * 'symmetric' (opposite and the same length).
+ *
+ * Flattening subdivides each curve until it is within a tolerance of its
+ * chord, so consumers that need polygons (hit testing, tweening, booleans,
+ * triangles) get every original vertex plus enough points in between.
+ */
+export class BezierPath {
+  constructor() {
+    this.maxDepth = 12;
+  }
+
+  static handleTypes = ['corner', 'smooth', 'symmetric'];
+
+  isCurved(a, b) {
+    return !!(a.handleOut || b.handleIn);
+  }
+
+  hasCurves(ring) {
+    return ring.some(v => v.handleIn || v.handleOut);
+  }
+
+  // Control points of the segment from a to b
+  controlPoints(a, b) {
+    const out = a.handleOut || { x: 0, y: 0 };
+    const back = b.handleIn || { x: 0, y: 0 };
+    return [
+      { x: a.x, y: a.y },
+      { x: a.x + out.x, y: a.y + out.y },
+      { x: b.x + back.x, y: b.y + back.y },
+      { x: b.x, y: b.y }
+    ];
+  }
+
+  /**
+   * Points along the segment from a to b, excluding a and including b
+   * @param {number} tolerance - Largest distance allowed from the curve
+   */
+  flattenSegment(a, b, tolerance) {
+    if (!this.isCurved(a, b)) return [{ x: b.x, y: b.y }];
+
+    const points = [];
+    this.subdivide(this.controlPoints(a, b), Math.max(tolerance, 1e-3), 0, points);
+    points.push({ x: b.x, y: b.y });
+    return points;
+  }
+
+  // Split until the inner control points lie close to the chord
+  subdivide(c, tolerance, depth, points) {
+    const [p0, p1, p2, p3] = c;
+    const flat = Math.max(this.distanceToLine(p1, p0, p3), this.distanceToLine(p2, p0, p3));
+    if (flat <= tolerance || depth >= this.maxDepth) return;
+
+    const [left, right] = this.splitCurve(c, 0.5);
+    this.subdivide(left, tolerance, depth + 1, points);
+    points.push(left[3]);
+    this.subdivide(right, tolerance, depth + 1, points);
+  }
+
+  /**
+   * A ring as a polygon. Original vertices are copied with their other
+   * properties (such as morph pins) but without handles
+   * @param {Array} ring - Vertices, possibly with handles
+   * @param {boolean} closed - Whether the last vertex joins the first
+   * @param {number} tolerance - Largest distance allowed from the curves
+   */
+  flattenRing(ring, closed, tolerance) {
+    if (!this.hasCurves(ring)) return ring;
+
+    const plain = v => {
+      const copy = { ...v };
+      delete copy.handleIn;
+      delete copy.handleOut;
+      delete copy.handleType;
+      return copy;
+    };
+    const points = [];
+    const n = ring.length;
+    for (let i = 0; i < n; i++) {
+      points.push(plain(ring[i]));
+      if (i === n - 1 && !closed) break;
+      points.push(...this.flattenSegment(ring[i], ring[(i + 1) % n], tolerance).slice(0, -1));
+    }
+    return points;
+  }
+
+  // De Casteljau split of control points at t
+  splitCurve([p0, p1, p2, p3], t) {
+    const lerp = (p, q) => ({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+    const a = lerp(p0, p1);
+    const b = lerp(p1, p2);
+    const c = lerp(p2, p3);
+    const d = lerp(a, b);
+    const e = lerp(b, c);
+    const mid = lerp(d, e);
+    return [[p0, a, d, mid], [mid, e, c, p3]];
+  }
+
+  /**
+   * Split the segment from a to b at t, keeping its shape
+   * @returns {Object} - { vertex, handleOut, handleIn }: the new vertex (with
+   *   handles if the segment is curved) and the new handles for a and b
+   */
+  splitSegment(a, b, t = 0.5) {
+    if (!this.isCurved(a, b)) {
+      return {
+        vertex: { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t },
+        handleOut: null,
+        handleIn: null
+      };
+    }
+
+    const [left, right] = this.splitCurve(this.controlPoints(a, b), t);
+    const mid = left[3];
+    const offset = (p, from) => ({ x: p.x - from.x, y: p.y - from.y });
+    return {
+      vertex: {
+        x: mid.x,
+        y: mid.y,
+        handleIn: offset(left[2], mid),
+        handleOut: offset(right[1], mid),
+        handleType: 'smooth'
+      },
+      handleOut: offset(left[1], a),
+      handleIn: offset(right[2], b)
+    };
+  }
+
+  /**
+   * Handles for a smooth curve through a vertex, parallel to the line
+   * between its neighbours and a third of the way to each
+   */
+  autoHandles(prev, v, next) {
+    const dx = next.x - prev.x;
+    const dy = next.y - prev.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return { handleIn: { x: 0, y: 0 }, handleOut: { x: 0, y: 0 } };
+
+    const ux = dx / length;
+    const uy = dy / length;
+    const before = Math.hypot(v.x - prev.x, v.y - prev.y) / 3;
+    const after = Math.hypot(next.x - v.x, next.y - v.y) / 3;
+    return {
+      handleIn: { x: -ux * before, y: -uy * before },
+      handleOut: { x: ux * after, y: uy * after }
+    };
+  }
+
+  /**
+   * Move one handle of a vertex, updating the opposite one to suit its type
+   * @param {Object} vertex - Vertex to update in place
+   * @param {string} side - 'in' or 'out'
+   * @param {Object} offset - New handle offset from the vertex
+   */
+  setHandle(vertex, side, offset) {
+    const key = side === 'in' ? 'handleIn' : 'handleOut';
+    const otherKey = side === 'in' ? 'handleOut' : 'handleIn';
+    vertex[key] = { x: offset.x, y: offset.y };
+
+    const type = vertex.handleType || 'corner';
+    const length = Math.hypot(offset.x, offset.y);
+    if (type === 'corner' || length === 0) return;
+
+    const other = vertex[otherKey];
+    const otherLength = type === 'symmetric' ? length : (other ? Math.hypot(other.x, other.y) : length);
+    vertex[otherKey] = { x: -offset.x / length * otherLength, y: -offset.y / length * otherLength };
+  }
+
+  distanceToLine(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+    return Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / length;
+  }
+}
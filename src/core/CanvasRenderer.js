@@ -1,3 +1,5 @@
+import { StyleManager } from './StyleManager.js';
+
 // Canvas rendering system
 export class CanvasRenderer {
   constructor(app) {
@@ -33,10 +35,8 @@ export class CanvasRenderer {
       this.renderMirrorLine(ctx, width, height);
     }
 
-    // Render reference image (behind everything else)
-    if (state.referenceImage && state.referenceImage.image && state.referenceImage.visible) {
-      this.renderReferenceImage(ctx, state.referenceImage);
-    }
+    // Render reference images placed below the shapes
+    this.renderReferenceImages(ctx, 'below');
 
     // Render onion skin (previous frame)
     if (prevFrame) {
@@ -46,6 +46,19 @@ export class CanvasRenderer {
     // Render current frame
     if (frame) {
       this.renderFrame(ctx, frame, 1.0);
+      this.renderGroupBounds(ctx);
+    }
+
+    // Render reference images placed above the shapes, then the handles of
+    // the active one
+    this.renderReferenceImages(ctx, 'above');
+    if (state.currentTool === 'select') {
+      this.renderReferenceHandles(ctx);
+    }
+
+    // Render auto trace preview
+    if (state.tracePreview) {
+      this.renderTracePreview(ctx, state.tracePreview);
     }
 
     // Render preview path (for pen/brush tools)
@@ -110,64 +123,96 @@ export class CanvasRenderer {
     ctx.setLineDash([]);
   }
 
+  // Draw a frame's shown layers; handles are only drawn on editable layers
+  // (never on symbol instances) and selection outlines take the layer's
+  // colour tag
   renderFrame(ctx, frame, alpha = 1.0, tintColor = null) {
     ctx.globalAlpha = alpha;
+    const layers = this.app.layers;
 
-    for (const layer of frame.layers) {
-      if (!layer.visible) continue;
-      
+    for (const layer of layers.getFrameLayers(frame)) {
+      if (!layers.isShown(layer)) continue;
+
+      const options = {
+        opacity: layer.opacity,
+        color: layer.color,
+        handles: layers.isEditable(layer)
+      };
       for (const shape of layer.shapes) {
-        this.renderShape(ctx, shape, tintColor);
+        if (shape.type === 'instance') {
+          for (const part of this.app.symbols.resolve(shape)) {
+            this.renderShape(ctx, part, tintColor, { ...options, handles: false });
+          }
+        } else {
+          this.renderShape(ctx, shape, tintColor, options);
+        }
       }
     }
 
     ctx.globalAlpha = 1;
   }
 
-  renderShape(ctx, shape, tintColor = null) {
+  renderShape(ctx, shape, tintColor = null, options = {}) {
     if (!shape.vertices || shape.vertices.length < 2) return;
+    const { opacity = 1, color = '#ff6b6b', handles = true } = options;
 
     const state = this.app.state;
     const isSelected = state.selectedShapes.includes(shape.id);
 
     // Transform vertices to screen space
-    const screenVerts = shape.vertices.map(v => this.worldToScreen(v));
+    const toScreen = v => this.worldToScreen(v);
+    const screenVerts = shape.vertices.map(toScreen);
+    const holes = (shape.holes || []).filter(hole => hole.length >= 3);
+
+    const style = this.app.styles.getStyle(shape);
+    const closed = shape.closed !== false;
 
-    // Draw fill
-    if (shape.vertices.length >= 3) {
+    // Trace the outline (and holes) as the current path
+    const traceShape = (close) => {
       ctx.beginPath();
-      ctx.moveTo(screenVerts[0].x, screenVerts[0].y);
-      for (let i = 1; i < screenVerts.length; i++) {
-        ctx.lineTo(screenVerts[i].x, screenVerts[i].y);
-      }
-      ctx.closePath();
-      
-      if (tintColor) {
-        ctx.fillStyle = tintColor.replace(')', ', 0.1)').replace('rgb', 'rgba');
-      } else if (isSelected) {
-        ctx.fillStyle = 'rgba(74, 158, 255, 0.3)';
-      } else {
-        ctx.fillStyle = 'rgba(74, 158, 255, 0.15)';
+      this.tracePath(ctx, shape.vertices, close, toScreen);
+      for (const hole of holes) {
+        this.tracePath(ctx, hole, true, toScreen);
       }
-      ctx.fill();
+    };
+
+    ctx.save();
+    ctx.globalAlpha *= tintColor ? opacity : opacity * style.opacity;
+
+    // Draw fill - holes are cut out according to the shape's fill rule
+    if (shape.vertices.length >= 3 && (tintColor || style.fillVisible)) {
+      traceShape(true);
+      ctx.fillStyle = tintColor
+        ? tintColor.replace(')', ', 0.1)').replace('rgb', 'rgba')
+        : StyleManager.toRgba(style.fill, style.fillOpacity);
+      ctx.fill(shape.fillRule === 'evenodd' ? 'evenodd' : 'nonzero');
     }
 
-    // Draw stroke
-    ctx.beginPath();
-    ctx.moveTo(screenVerts[0].x, screenVerts[0].y);
-    for (let i = 1; i < screenVerts.length; i++) {
-      ctx.lineTo(screenVerts[i].x, screenVerts[i].y);
+    // Draw stroke (width is in world units)
+    if (tintColor || (style.strokeVisible && style.strokeWidth > 0)) {
+      traceShape(closed);
+      ctx.strokeStyle = tintColor || StyleManager.toRgba(style.stroke);
+      ctx.lineWidth = tintColor ? 2 : style.strokeWidth * state.zoom;
+      ctx.lineJoin = style.strokeJoin;
+      ctx.stroke();
     }
-    if (shape.closed !== false) {
-      ctx.closePath();
+    ctx.restore();
+
+    // Selection outline, and a faint guide for shapes with nothing visible
+    if (!tintColor && (isSelected || (!style.fillVisible && !style.strokeVisible))) {
+      traceShape(closed);
+      ctx.strokeStyle = isSelected ? color : 'rgba(255, 255, 255, 0.3)';
+      ctx.lineWidth = isSelected ? 1.5 : 1;
+      ctx.setLineDash(isSelected ? [] : [4, 4]);
+      ctx.stroke();
+      ctx.setLineDash([]);
     }
-    
-    ctx.strokeStyle = tintColor || (isSelected ? '#ff6b6b' : '#4a9eff');
-    ctx.lineWidth = 2;
-    ctx.stroke();
 
-    // Draw vertex handles (only for current frame, not onion skin)
-    if (!tintColor) {
+    // Draw vertex handles (only for current frame, not onion skin, and not
+    // on shapes picked as part of a group)
+    if (!tintColor && handles && !this.app.shapes.getUnitGroup(shape)) {
+      if (isSelected) this.renderBezierHandles(ctx, shape.vertices);
+
       for (let i = 0; i < screenVerts.length; i++) {
         const pt = screenVerts[i];
         const vertKey = `${shape.id}:${i}`;
@@ -180,10 +225,108 @@ export class CanvasRenderer {
         ctx.strokeStyle = '#ffffff';
         ctx.lineWidth = 1.5;
         ctx.stroke();
+
+        // Morph pin number
+        if (shape.vertices[i].pin != null) {
+          ctx.font = 'bold 11px sans-serif';
+          ctx.fillStyle = '#ffd43b';
+          ctx.fillText(String(shape.vertices[i].pin), pt.x + 7, pt.y - 7);
+        }
+      }
+    }
+  }
+
+  // Tangent handles of a selected shape's vertices, as lines ending in
+  // small squares
+  renderBezierHandles(ctx, vertices) {
+    ctx.strokeStyle = '#ffd43b';
+    ctx.fillStyle = '#ffd43b';
+    ctx.lineWidth = 1;
+    for (const v of vertices) {
+      const pt = this.worldToScreen(v);
+      for (const h of [v.handleIn, v.handleOut]) {
+        if (!h) continue;
+        const end = this.worldToScreen({ x: v.x + h.x, y: v.y + h.y });
+        ctx.beginPath();
+        ctx.moveTo(pt.x, pt.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        ctx.fillRect(end.x - 3.5, end.y - 3.5, 7, 7);
+      }
+    }
+  }
+
+  // Draw a frame without editor decorations (handles, selection, guides).
+  // Shapes are drawn in world units through the context's current transform.
+  // Solo is an editing aid, so only layer visibility and opacity apply
+  renderFrameContent(ctx, frame) {
+    for (const layer of this.app.layers.getFrameLayers(frame)) {
+      if (!this.app.layers.isVisible(layer)) continue;
+
+      ctx.save();
+      ctx.globalAlpha *= layer.opacity;
+      for (const shape of this.app.symbols.resolveAll(layer.shapes)) {
+        this.paintShape(ctx, shape);
       }
+      ctx.restore();
     }
   }
 
+  paintShape(ctx, shape) {
+    if (!shape.vertices || shape.vertices.length < 2) return;
+
+    const style = this.app.styles.getStyle(shape);
+    const holes = (shape.holes || []).filter(hole => hole.length >= 3);
+
+    const traceShape = (close) => {
+      ctx.beginPath();
+      this.tracePath(ctx, shape.vertices, close);
+      for (const hole of holes) {
+        this.tracePath(ctx, hole, true);
+      }
+    };
+
+    ctx.save();
+    ctx.globalAlpha *= style.opacity;
+
+    if (shape.vertices.length >= 3 && style.fillVisible) {
+      traceShape(true);
+      ctx.fillStyle = StyleManager.toRgba(style.fill, style.fillOpacity);
+      ctx.fill(shape.fillRule === 'evenodd' ? 'evenodd' : 'nonzero');
+    }
+
+    if (style.strokeVisible && style.strokeWidth > 0) {
+      traceShape(shape.closed !== false);
+      ctx.strokeStyle = StyleManager.toRgba(style.stroke);
+      ctx.lineWidth = style.strokeWidth;
+      ctx.lineJoin = style.strokeJoin;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Add a ring to the current path, with bezier segments as curves. map
+  // takes world points into the context's space
+  tracePath(ctx, ring, closed, map = p => p) {
+    const curves = this.app.shapes.curves;
+    const start = map(ring[0]);
+    ctx.moveTo(start.x, start.y);
+
+    const n = ring.length;
+    for (let i = 1; i < (closed ? n + 1 : n); i++) {
+      const a = ring[i - 1];
+      const b = ring[i % n];
+      if (curves.isCurved(a, b)) {
+        const [, c1, c2, end] = curves.controlPoints(a, b).map(map);
+        ctx.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, end.x, end.y);
+      } else if (i < n) {
+        const p = map(b);
+        ctx.lineTo(p.x, p.y);
+      }
+    }
+    if (closed) ctx.closePath();
+  }
+
   renderPreviewPath(ctx, path, previewPoint) {
     if (path.length === 0) return;
 
@@ -191,10 +334,7 @@ export class CanvasRenderer {
     const screenPath = path.map(p => this.worldToScreen(p));
 
     ctx.beginPath();
-    ctx.moveTo(screenPath[0].x, screenPath[0].y);
-    for (let i = 1; i < screenPath.length; i++) {
-      ctx.lineTo(screenPath[i].x, screenPath[i].y);
-    }
+    this.tracePath(ctx, path, false, p => this.worldToScreen(p));
     
     // Line to preview point
     if (previewPoint) {
@@ -208,6 +348,8 @@ export class CanvasRenderer {
     ctx.stroke();
     ctx.setLineDash([]);
 
+    this.renderBezierHandles(ctx, path);
+
     // Draw points
     for (let i = 0; i < screenPath.length; i++) {
       const pt = screenPath[i];
@@ -262,6 +404,46 @@ export class CanvasRenderer {
     ctx.setLineDash([]);
   }
 
+  // Dashed bounds around selected shape groups and symbol instances, and
+  // the entered group
+  renderGroupBounds(ctx) {
+    const shapes = this.app.shapes;
+    const all = shapes.getShapes();
+    const groups = new Set();
+    const boxes = [];
+    for (const shape of all) {
+      if (!this.app.state.selectedShapes.includes(shape.id)) continue;
+      const groupId = shapes.getUnitGroup(shape);
+      if (groupId) {
+        groups.add(groupId);
+      } else if (shape.type === 'instance') {
+        boxes.push({ points: shapes.getOutlinePoints(shape), color: '#ffd43b', dash: [4, 3] });
+      }
+    }
+
+    const members = id => all.filter(s => (s.groups || []).includes(id)).flatMap(s => shapes.getOutlinePoints(s));
+    boxes.push(...[...groups].map(id => ({ points: members(id), color: '#ffffff', dash: [4, 3] })));
+    const entered = this.app.state.enteredGroups;
+    if (entered.length > 0) {
+      boxes.push({ points: members(entered[entered.length - 1]), color: 'rgba(255, 255, 255, 0.4)', dash: [1, 3] });
+    }
+
+    for (const { points, color, dash } of boxes) {
+      if (points.length === 0) continue;
+
+      const screen = points.map(p => this.worldToScreen(p));
+      const xs = screen.map(p => p.x);
+      const ys = screen.map(p => p.y);
+      const pad = 6;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash(dash);
+      ctx.strokeRect(Math.min(...xs) - pad, Math.min(...ys) - pad,
+        Math.max(...xs) - Math.min(...xs) + pad * 2, Math.max(...ys) - Math.min(...ys) + pad * 2);
+      ctx.setLineDash([]);
+    }
+  }
+
   renderSelectionBox(ctx, box) {
     const start = this.worldToScreen(box.start);
     const end = this.worldToScreen(box.end);
@@ -341,32 +523,95 @@ export class CanvasRenderer {
     }
   }
 
-  renderReferenceImage(ctx, refImage) {
-    const state = this.app.state;
-    
-    // Convert world coordinates to screen coordinates
-    const screenX = refImage.x * state.zoom + state.panX;
-    const screenY = refImage.y * state.zoom + state.panY;
-    const screenWidth = refImage.width * state.zoom;
-    const screenHeight = refImage.height * state.zoom;
-    
-    // Save context and apply opacity
+  // Outlines auto trace would create: outlines solid, holes dashed
+  renderTracePreview(ctx, regions) {
     ctx.save();
-    ctx.globalAlpha = refImage.opacity;
-    
-    // Draw the image
-    ctx.drawImage(refImage.image, screenX, screenY, screenWidth, screenHeight);
-    
-    // Draw a subtle border when not locked (indicating it can be moved)
-    if (!refImage.locked) {
-      ctx.globalAlpha = 0.5;
-      ctx.strokeStyle = '#4a9eff';
-      ctx.lineWidth = 1;
-      ctx.setLineDash([5, 5]);
-      ctx.strokeRect(screenX, screenY, screenWidth, screenHeight);
+    ctx.strokeStyle = '#ff4fd8';
+    ctx.lineWidth = 1.5;
+    for (const region of regions) {
+      this.strokeOutline(ctx, region.outer);
+      ctx.setLineDash([4, 3]);
+      for (const hole of region.holes) this.strokeOutline(ctx, hole);
       ctx.setLineDash([]);
     }
-    
     ctx.restore();
   }
+
+  renderReferenceImages(ctx, placement) {
+    const references = this.app.references;
+    const zoom = this.app.state.zoom;
+
+    for (const image of references.images) {
+      if (image.placement !== placement || !references.isShown(image)) continue;
+      const bitmap = references.getBitmap(image);
+      const size = references.getSize(image);
+      if (!bitmap || !size) continue;
+
+      const center = this.worldToScreen(references.getCenter(image, size));
+      ctx.save();
+      ctx.globalAlpha = image.opacity;
+      ctx.translate(center.x, center.y);
+      ctx.rotate(image.rotation * Math.PI / 180);
+      ctx.scale(image.scaleX * zoom, image.scaleY * zoom);
+      // Sequence frames are fitted to the first frame's size
+      ctx.drawImage(bitmap, -size.width / 2, -size.height / 2, size.width, size.height);
+      ctx.restore();
+
+      // Draw a subtle border when not locked (indicating it can be moved)
+      if (!image.locked) {
+        const { nw, ne, se, sw } = references.getHandles(image);
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        ctx.strokeStyle = '#4a9eff';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        this.strokeOutline(ctx, [nw, ne, se, sw]);
+        ctx.restore();
+      }
+    }
+  }
+
+  // Corner handles and the rotation handle of the active reference image
+  renderReferenceHandles(ctx) {
+    const references = this.app.references;
+    const image = references.getActive();
+    if (!image || image.locked || !references.isShown(image)) return;
+    const handles = references.getHandles(image);
+    if (!handles) return;
+
+    const { nw, ne, se, sw, rotate } = handles;
+    ctx.strokeStyle = '#4a9eff';
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    this.strokeOutline(ctx, [nw, ne, se, sw]);
+
+    const topMiddle = this.worldToScreen({ x: (nw.x + ne.x) / 2, y: (nw.y + ne.y) / 2 });
+    const knob = this.worldToScreen(rotate);
+    ctx.beginPath();
+    ctx.moveTo(topMiddle.x, topMiddle.y);
+    ctx.lineTo(knob.x, knob.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(knob.x, knob.y, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    for (const corner of [nw, ne, se, sw]) {
+      const p = this.worldToScreen(corner);
+      ctx.fillRect(p.x - 4, p.y - 4, 8, 8);
+      ctx.strokeRect(p.x - 4, p.y - 4, 8, 8);
+    }
+  }
+
+  // Closed outline through world points
+  strokeOutline(ctx, points) {
+    ctx.beginPath();
+    points.forEach((point, i) => {
+      const p = this.worldToScreen(point);
+      if (i === 0) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
 }
@@ -1,55 +1,124 @@
+import { Triangulator } from './Triangulator.js';
+import { SvgExporter } from './SvgExporter.js';
+import { RasterExporter } from './RasterExporter.js';
+import { LottieExporter } from './LottieExporter.js';
+
 // Export manager for vertices, triangles, and animations
 export class ExportManager {
   constructor(app) {
     this.app = app;
+    this.triangulator = new Triangulator();
+    this.svg = new SvgExporter(app);
+    this.raster = new RasterExporter(app);
+    this.lottie = new LottieExporter(app);
+    // Shapes that could not be triangulated during the last export
+    this.lastReport = [];
+  }
+
+  // Triangulate a single shape, recording it in the report if it fails.
+  // Triangle indices refer to getShapePoints(shape)
+  triangulateShape(shape, context = {}) {
+    const result = this.triangulator.triangulate(shape.vertices, shape.holes || [], {
+      winding: this.app.state.triangleWinding
+    });
+
+    if (result.error) {
+      this.lastReport.push({
+        ...context,
+        shapeId: shape.id,
+        reason: result.error
+      });
+      return null;
+    }
+
+    return result.triangles;
+  }
+
+  // A layer's shapes as plain polygons: instances resolved and bezier
+  // segments flattened to the export tolerance
+  getExportShapes(layer) {
+    return this.app.symbols.resolveAll(layer.shapes).map(shape => this.app.shapes.flattenShape(shape));
+  }
+
+  // Outer ring followed by each hole ring
+  getShapePoints(shape) {
+    return this.app.shapes.getPoints(shape);
+  }
+
+  // Start index of each hole in getShapePoints(shape)
+  getHoleIndices(shape) {
+    const indices = [];
+    let offset = shape.vertices.length;
+    for (const hole of shape.holes || []) {
+      indices.push(offset);
+      offset += hole.length;
+    }
+    return indices;
   }
 
   // Get data for current frame
   getCurrentFrameData() {
+    this.lastReport = [];
     const frame = this.app.frames.getCurrentFrame();
-    if (!frame) return { vertices: [], triangles: [] };
+    if (!frame) return { vertices: [], triangles: [], shapes: [] };
 
     const allVertices = [];
     const allTriangles = [];
+    const allShapes = [];
     let vertexOffset = 0;
 
-    for (const layer of frame.layers) {
-      if (!layer.visible) continue;
+    for (const layer of this.app.layers.getFrameLayers(frame)) {
+      if (!this.app.layers.isVisible(layer)) continue;
 
-      for (const shape of layer.shapes) {
-        const n = shape.vertices.length;
-        if (n < 3) continue;
+      for (const shape of this.getExportShapes(layer)) {
+        if (shape.vertices.length < 3) continue;
+
+        const triangles = this.triangulateShape(shape, { layer: layer.name });
+        if (!triangles) continue;
 
         // Add vertices
-        for (const vertex of shape.vertices) {
+        const points = this.getShapePoints(shape);
+        for (const vertex of points) {
           allVertices.push([
             this.round(vertex.x),
             this.round(vertex.y)
           ]);
         }
 
-        // Triangulate using fan method
-        for (let i = 1; i < n - 1; i++) {
+        // Ranges of this shape in the flat arrays, with its style
+        allShapes.push({
+          vertexStart: vertexOffset,
+          vertexCount: points.length,
+          triangleStart: allTriangles.length,
+          triangleCount: triangles.length,
+          style: this.app.styles.getStyle(shape)
+        });
+
+        for (const [a, b, c] of triangles) {
           allTriangles.push([
-            vertexOffset,
-            vertexOffset + i,
-            vertexOffset + i + 1
+            vertexOffset + a,
+            vertexOffset + b,
+            vertexOffset + c
           ]);
         }
 
-        vertexOffset += n;
+        vertexOffset += points.length;
       }
     }
 
+    this.showReport();
+
     return {
       vertices: allVertices,
-      triangles: allTriangles
+      triangles: allTriangles,
+      shapes: allShapes
     };
   }
 
   // Get data for all frames (animation)
   getAllFramesData() {
-    return this.app.frames.frames.map((frame, index) => {
+    this.lastReport = [];
+    const framesData = this.app.frames.frames.map((frame, index) => {
       const frameData = {
         frameIndex: index,
         time: frame.time || 0,
@@ -57,27 +126,29 @@ export class ExportManager {
         layers: []
       };
 
-      for (const layer of frame.layers) {
+      for (const layer of this.app.layers.getFrameLayers(frame)) {
         const layerData = {
           name: layer.name,
+          opacity: layer.opacity,
           shapes: []
         };
 
-        for (const shape of layer.shapes) {
-          const n = shape.vertices.length;
-          if (n < 3) continue;
+        for (const shape of this.getExportShapes(layer)) {
+          if (shape.vertices.length < 3) continue;
 
-          const vertices = shape.vertices.map(v => [
+          const triangles = this.triangulateShape(shape, { frameIndex: index, layer: layer.name });
+          if (!triangles) continue;
+
+          const vertices = this.getShapePoints(shape).map(v => [
             this.round(v.x),
             this.round(v.y)
           ]);
 
-          const triangles = [];
-          for (let i = 1; i < n - 1; i++) {
-            triangles.push([0, i, i + 1]);
+          const shapeData = { trackId: shape.trackId, vertices, triangles, style: this.app.styles.getStyle(shape) };
+          if (shape.holes && shape.holes.length > 0) {
+            shapeData.holeIndices = this.getHoleIndices(shape);
           }
-
-          layerData.shapes.push({ vertices, triangles });
+          layerData.shapes.push(shapeData);
         }
 
         frameData.layers.push(layerData);
@@ -85,6 +156,31 @@ export class ExportManager {
 
       return frameData;
     });
+
+    this.showReport();
+    return framesData;
+  }
+
+  // Surface shapes that were skipped during the last export
+  showReport() {
+    const reportEl = document.getElementById('exportReport');
+    const report = this.lastReport;
+
+    if (reportEl) {
+      reportEl.innerHTML = '';
+      reportEl.style.display = report.length > 0 ? '' : 'none';
+      for (const entry of report) {
+        const item = document.createElement('div');
+        item.className = 'export-report-item';
+        const where = entry.frameIndex != null ? `KF ${entry.frameIndex + 1} / ` : '';
+        item.textContent = `${where}${entry.layer}: ${entry.shapeId} skipped (${entry.reason})`;
+        reportEl.appendChild(item);
+      }
+    }
+
+    if (report.length > 0) {
+      this.app.showNotification(`${report.length} shape(s) could not be triangulated`);
+    }
   }
 
   round(value, precision = 3) {
@@ -137,6 +233,46 @@ export class ExportManager {
     this.downloadFile('animation.json', json, 'application/json');
   }
 
+  exportSVG() {
+    this.downloadFile('frame.svg', this.svg.exportFrame(), 'image/svg+xml');
+  }
+
+  exportAnimatedSVG() {
+    this.downloadFile('animation.svg', this.svg.exportAnimation(), 'image/svg+xml');
+  }
+
+  // Animated SVG of the layers in the group picked in the layer list
+  exportGroupSVG() {
+    const group = this.app.layers.getGroup(this.app.layers.activeGroupId);
+    if (!group) {
+      alert('Select a layer group to export');
+      return;
+    }
+    const name = group.name.replace(/[^A-Za-z0-9_-]+/g, '_') || 'group';
+    this.downloadFile(`${name}.svg`, this.svg.exportAnimation(group.id), 'image/svg+xml');
+  }
+
+  exportLottie() {
+    const json = JSON.stringify(this.lottie.exportAnimation());
+    this.downloadFile('lottie.json', json, 'application/json');
+  }
+
+  exportPNG() {
+    return this.raster.exportPNG();
+  }
+
+  exportSpriteSheet() {
+    return this.raster.exportSpriteSheet();
+  }
+
+  exportGIF() {
+    return this.raster.exportGIF();
+  }
+
+  exportFrameSequence() {
+    return this.raster.exportFrameSequence();
+  }
+
   downloadFile(filename, content, mimeType) {
     const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
@@ -1,15 +1,26 @@
+import { SvgImporter } from './SvgImporter.js';
+import { ProjectSchema } from './ProjectSchema.js';
+import { ZipArchive } from './ZipArchive.js';
+
 // Folder/Project management - works with all browsers
 // Uses File System Access API when available, falls back to file input/download
+// Projects are saved as JSON, or as bundles: ZIP files holding project.json
+// and an assets/ folder with the images (and other files) the project uses
 export class FolderManager {
   constructor(app) {
     this.app = app;
+    this.svgImporter = new SvgImporter(app);
     this.directoryHandle = null;  // For File System Access API (Chrome/Edge)
     this.files = [];
     this.currentFileName = null;
     this.useFallback = !('showDirectoryPicker' in window);
     this.fallbackModeActive = false;
+    // Files kept with the project: path -> { type, data }
+    this.assets = new Map();
   }
 
+  static bundleExtension = '.polybundle';
+
   isSupported() {
     return 'showDirectoryPicker' in window;
   }
@@ -93,24 +104,29 @@ export class FolderManager {
     
     try {
       for await (const entry of this.directoryHandle.values()) {
-        if (entry.kind === 'file' && entry.name.endsWith('.json')) {
+        if (entry.kind === 'file' && (entry.name.endsWith('.json') || /\.svg$/i.test(entry.name) || this.isBundle(entry.name))) {
           const file = await entry.getFile();
-          const text = await file.text();
           let fileType = 'unknown';
           
-          try {
-            const data = JSON.parse(text);
-            if (data.frames && Array.isArray(data.frames)) {
-              fileType = 'animation';
-            } else if (data.layers && Array.isArray(data.layers)) {
-              fileType = 'frame';
-            } else if (data.shapes && Array.isArray(data.shapes)) {
-              fileType = 'shapes';
-            } else if (data.vertices || data.verts) {
-              fileType = 'shape';
+          if (/\.svg$/i.test(entry.name)) {
+            fileType = 'svg';
+          } else if (this.isBundle(entry.name)) {
+            fileType = 'bundle';
+          } else {
+            try {
+              const data = JSON.parse(await file.text());
+              if (data.frames && Array.isArray(data.frames)) {
+                fileType = 'animation';
+              } else if (data.layers && Array.isArray(data.layers)) {
+                fileType = 'frame';
+              } else if (data.shapes && Array.isArray(data.shapes)) {
+                fileType = 'shapes';
+              } else if (data.vertices || data.verts) {
+                fileType = 'shape';
+              }
+            } catch (e) {
+              fileType = 'invalid';
             }
-          } catch (e) {
-            fileType = 'invalid';
           }
 
           this.files.push({
@@ -130,16 +146,48 @@ export class FolderManager {
     }
   }
 
+  isBundle(fileName) {
+    return fileName.toLowerCase().endsWith(FolderManager.bundleExtension);
+  }
+
+  // Parse file contents: bundles add their assets, SVG files are converted
+  // to a frame with layers
+  async parseFile(fileName, file) {
+    if (this.isBundle(fileName)) {
+      return this.readBundle(await file.arrayBuffer());
+    }
+    const text = await file.text();
+    if (/\.svg$/i.test(fileName)) {
+      const tolerance = parseFloat(document.getElementById('svgTolerance')?.value) || 0.5;
+      return this.svgImporter.parse(text, { tolerance });
+    }
+    return JSON.parse(text);
+  }
+
+  stripExtension(fileName) {
+    return fileName.replace(/\.(json|svg|polybundle)$/i, '');
+  }
+
+  // Saving keeps the format of the project that was opened
+  setSaveFormat(format) {
+    const select = document.getElementById('saveFormat');
+    if (select) select.value = format;
+  }
+
+  getSaveFormat() {
+    return document.getElementById('saveFormat')?.value || 'json';
+  }
+
   async loadFile(fileName) {
     if (!this.directoryHandle) return null;
 
     try {
       const fileHandle = await this.directoryHandle.getFileHandle(fileName);
       const file = await fileHandle.getFile();
-      const text = await file.text();
-      const data = JSON.parse(text);
+      const data = await this.parseFile(fileName, file);
       
-      this.currentFileName = fileName.replace('.json', '');
+      this.currentFileName = this.stripExtension(fileName);
+      if (!/\.svg$/i.test(fileName)) this.setSaveFormat(this.isBundle(fileName) ? 'bundle' : 'json');
       this.updateUI();
       
       return data;
@@ -155,7 +203,7 @@ export class FolderManager {
     return new Promise((resolve) => {
       const input = document.createElement('input');
       input.type = 'file';
-      input.accept = '.json';
+      input.accept = `.json,.svg,${FolderManager.bundleExtension}`;
       
       input.onchange = async (e) => {
         const file = e.target.files[0];
@@ -165,9 +213,9 @@ export class FolderManager {
         }
         
         try {
-          const text = await file.text();
-          const data = JSON.parse(text);
-          this.currentFileName = file.name.replace('.json', '');
+          const data = await this.parseFile(file.name, file);
+          this.currentFileName = this.stripExtension(file.name);
+          if (!/\.svg$/i.test(file.name)) this.setSaveFormat(this.isBundle(file.name) ? 'bundle' : 'json');
           
           const fileNameInput = document.getElementById('saveFileName');
           if (fileNameInput) fileNameInput.value = this.currentFileName;
@@ -184,24 +232,33 @@ export class FolderManager {
     });
   }
 
-  async saveFile(fileName, data) {
-    // Ensure .json extension
-    if (!fileName.endsWith('.json')) {
-      fileName += '.json';
+  /**
+   * Save project data to the linked folder, or download it
+   * @param {string} fileName - Name with or without extension
+   * @param {Object} data - Project data
+   * @param {string} format - 'json' or 'bundle'
+   */
+  async saveFile(fileName, data, format = 'json') {
+    // Ensure the extension matches the format
+    const extension = format === 'bundle' ? FolderManager.bundleExtension : '.json';
+    if (!fileName.endsWith(extension)) {
+      fileName = this.stripExtension(fileName) + extension;
     }
 
+    const contents = format === 'bundle' ? this.createBundle(data) : JSON.stringify(data, null, 2);
+
     if (this.useFallback || !this.directoryHandle) {
       // Fallback: Download file
-      return this.saveFileFallback(fileName, data);
+      return this.saveFileFallback(fileName, contents, format === 'bundle' ? 'application/zip' : 'application/json');
     }
 
     try {
       const fileHandle = await this.directoryHandle.getFileHandle(fileName, { create: true });
       const writable = await fileHandle.createWritable();
-      await writable.write(JSON.stringify(data, null, 2));
+      await writable.write(contents);
       await writable.close();
       
-      this.currentFileName = fileName.replace('.json', '');
+      this.currentFileName = this.stripExtension(fileName);
       await this.refreshFiles();
       
       return true;
@@ -213,10 +270,9 @@ export class FolderManager {
   }
 
   // Fallback: Save file using download (works in all browsers)
-  saveFileFallback(fileName, data) {
+  saveFileFallback(fileName, contents, type) {
     try {
-      const json = JSON.stringify(data, null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
+      const blob = new Blob([contents], { type });
       const url = URL.createObjectURL(blob);
       
       const a = document.createElement('a');
@@ -227,7 +283,7 @@ export class FolderManager {
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
       
-      this.currentFileName = fileName.replace('.json', '');
+      this.currentFileName = this.stripExtension(fileName);
       return true;
     } catch (err) {
       console.error('Error saving file:', err);
@@ -236,6 +292,83 @@ export class FolderManager {
     }
   }
 
+  // ============= BUNDLES & ASSETS =============
+
+  /**
+   * Keep a file with the project. Paths include a checksum of the contents,
+   * so a path always means the same data, whichever project it came from
+   * @param {string} name - Original file name
+   * @param {string} type - MIME type
+   * @param {Uint8Array} data - File contents
+   * @returns {string} - Asset path, e.g. 'assets/1a2b3c4d-photo.png'
+   */
+  addAsset(name, type, data) {
+    const safeName = name.replace(/[^\w.-]+/g, '_') || 'asset';
+    const path = `assets/${ZipArchive.crc32(data).toString(16).padStart(8, '0')}-${safeName}`;
+    this.assets.set(path, { type, data });
+    return path;
+  }
+
+  getAsset(path) {
+    return this.assets.get(path) || null;
+  }
+
+  // Add assets as returned by getUsedAssets (e.g. from an autosave)
+  addAssets(assets) {
+    for (const { path, type, data } of assets || []) {
+      this.assets.set(path, { type, data });
+    }
+  }
+
+  // Forget assets that project data doesn't use, e.g. when another project
+  // is loaded
+  retainAssets(data) {
+    const used = new Set(this.getUsedAssets(data).map(asset => asset.path));
+    for (const path of [...this.assets.keys()]) {
+      if (!used.has(path)) this.assets.delete(path);
+    }
+  }
+
+  /**
+   * Assets that project data refers to
+   * @returns {Array} - [{ path, type, data }]
+   */
+  getUsedAssets(data) {
+    const paths = new Set((data.referenceImages || []).flatMap(ref => ref.assets));
+    return [...paths]
+      .filter(path => this.assets.has(path))
+      .map(path => ({ path, ...this.assets.get(path) }));
+  }
+
+  // project.json lists the assets so their types survive the round trip
+  createBundle(data) {
+    const assets = this.getUsedAssets(data);
+    const zip = new ZipArchive();
+    zip.addFile('project.json', JSON.stringify({
+      ...data,
+      assets: assets.map(({ path, type }) => ({ path, type }))
+    }, null, 2));
+    for (const asset of assets) zip.addFile(asset.path, asset.data);
+    return zip.toUint8Array();
+  }
+
+  // Read a bundle's project data, adding every file under assets/
+  async readBundle(bytes) {
+    const files = await ZipArchive.read(bytes);
+    const json = files.get('project.json');
+    if (!json) throw new Error('The bundle has no project.json');
+
+    const data = JSON.parse(new TextDecoder().decode(json));
+    const types = new Map((Array.isArray(data.assets) ? data.assets : [])
+      .filter(asset => asset && typeof asset.path === 'string')
+      .map(asset => [asset.path, asset.type || '']));
+    for (const [path, contents] of files) {
+      if (path.startsWith('assets/')) this.assets.set(path, { type: types.get(path) || '', data: contents });
+    }
+    delete data.assets;
+    return data;
+  }
+
   async deleteFile(fileName) {
     if (!this.directoryHandle) return false;
 
@@ -309,14 +442,14 @@ export class FolderManager {
     container.innerHTML = '';
 
     if (this.files.length === 0) {
-      container.innerHTML = '<div class="file-item" style="color: var(--fg-muted); cursor: default;">No JSON files found</div>';
+      container.innerHTML = '<div class="file-item" style="color: var(--fg-muted); cursor: default;">No project or SVG files found</div>';
       return;
     }
 
     for (const file of this.files) {
       const item = document.createElement('div');
       item.className = 'file-item';
-      if (this.currentFileName && file.name === this.currentFileName + '.json') {
+      if (this.currentFileName && this.stripExtension(file.name) === this.currentFileName) {
         item.classList.add('active');
       }
 
@@ -343,6 +476,8 @@ export class FolderManager {
       case 'frame': return '🖼️';
       case 'shapes': return '📐';
       case 'shape': return '⬡';
+      case 'svg': return '🎨';
+      case 'bundle': return '📦';
       default: return '📄';
     }
   }
@@ -353,6 +488,8 @@ export class FolderManager {
       case 'frame': return 'frame';
       case 'shapes': return 'shapes';
       case 'shape': return 'shape';
+      case 'svg': return 'svg';
+      case 'bundle': return 'bundle';
       default: return 'json';
     }
   }
@@ -360,33 +497,41 @@ export class FolderManager {
   async onFileClick(file) {
     const data = await this.loadFile(file.name);
     if (data) {
-      this.app.loadProjectData(data);
+      this.app.loadProjectData(data, this.currentFileName);
     }
   }
 
   getProjectData() {
     return {
-      version: 2,
+      version: ProjectSchema.VERSION,
       type: 'animation',
       canvasWidth: this.app.canvasWidth,
       canvasHeight: this.app.canvasHeight,
+      layers: this.app.layers.layers.map(layer => ({
+        id: layer.id,
+        name: layer.name,
+        visible: layer.visible,
+        locked: layer.locked,
+        opacity: layer.opacity,
+        solo: layer.solo,
+        color: layer.color,
+        parentId: layer.parentId
+      })),
+      groups: this.app.layers.groups,
+      symbols: this.app.symbols.symbols,
       frames: this.app.frames.frames.map(frame => ({
         id: frame.id,
         time: frame.time || 0,
         easing: frame.easing || 'easeInOutQuad',
-        layers: frame.layers.map(layer => ({
-          id: layer.id,
-          name: layer.name,
-          visible: layer.visible,
-          locked: layer.locked,
-          shapes: layer.shapes
-        }))
+        content: frame.content
       })),
       currentFrameIndex: this.app.frames.currentFrameIndex,
       fps: this.app.state.fps,
       timelineDuration: this.app.state.timelineDuration,
       loopMode: this.app.state.loopMode,
-      playbackSpeed: this.app.state.playbackSpeed
+      morphMode: this.app.state.morphMode,
+      playbackSpeed: this.app.state.playbackSpeed,
+      referenceImages: this.app.references.getProjectData()
     };
   }
 }
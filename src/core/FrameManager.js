@@ -1,9 +1,13 @@
+import { ShapeMorpher } from './ShapeMorpher.js';
+
 // Frame management for animation
 export class FrameManager {
   constructor(app) {
     this.app = app;
     this.frames = [];
     this.currentFrameIndex = 0;
+    this.lastLinkKey = null;
+    this.morpher = new ShapeMorpher();
   }
 
   createEmptyFrame(time = null) {
@@ -16,17 +20,12 @@ export class FrameManager {
         time = 0;
       }
     }
+    // Shapes per project layer id (see LayerManager)
     return {
       id: this.generateId(),
       time: time,
       easing: 'easeInOutQuad',
-      layers: [{
-        id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-        name: 'Layer 1',
-        visible: true,
-        locked: false,
-        shapes: []
-      }]
+      content: {}
     };
   }
 
@@ -34,6 +33,12 @@ export class FrameManager {
     return 'frame_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
 
+  // Track ids tie a shape to its counterparts in other keyframes. Unlike
+  // ids they are kept when keyframes are duplicated.
+  generateTrackId() {
+    return 'track_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
   getCurrentFrame() {
     return this.frames[this.currentFrameIndex];
   }
@@ -52,10 +57,6 @@ export class FrameManager {
     this.sortByTime();
     this.currentFrameIndex = this.frames.indexOf(frame);
     
-    if (this.app.layers) {
-      this.app.layers.activeLayerId = frame.layers[0].id;
-    }
-    
     // Update timeline duration if needed
     this.updateTimelineDuration();
     this.updateUI();
@@ -73,19 +74,12 @@ export class FrameManager {
       id: this.generateId(),
       time: newTime,
       easing: currentFrame.easing || 'easeInOutQuad',
-      layers: currentFrame.layers.map(layer => ({
-        id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-        name: layer.name,
-        visible: layer.visible,
-        locked: layer.locked,
-        shapes: JSON.parse(JSON.stringify(layer.shapes))
-      }))
+      content: JSON.parse(JSON.stringify(currentFrame.content))
     };
 
     this.frames.push(newFrame);
     this.sortByTime();
     this.currentFrameIndex = this.frames.indexOf(newFrame);
-    this.app.layers.activeLayerId = newFrame.layers[0].id;
     
     this.updateTimelineDuration();
     this.updateUI();
@@ -101,11 +95,6 @@ export class FrameManager {
       this.currentFrameIndex = this.frames.length - 1;
     }
     
-    const frame = this.getCurrentFrame();
-    if (this.app.layers) {
-      this.app.layers.activeLayerId = frame.layers[0]?.id;
-    }
-    
     this.updateTimelineDuration();
     this.updateUI();
     this.app.render();
@@ -123,15 +112,6 @@ export class FrameManager {
       this.app.state.interpolatedFrame = null;
     }
     
-    // Keep active layer if it exists in new frame, otherwise use first
-    if (this.app.layers) {
-      const currentActiveId = this.app.layers.activeLayerId;
-      const layerExists = frame.layers.some(l => l.id === currentActiveId);
-      if (!layerExists) {
-        this.app.layers.activeLayerId = frame.layers[0]?.id;
-      }
-    }
-    
     this.updateUI();
     this.app.render();
   }
@@ -183,6 +163,11 @@ export class FrameManager {
     if (this.app.layers) {
       this.app.layers.updateUI();
     }
+
+    // Reference images shown on some keyframes only
+    if (this.app.references) {
+      this.app.references.updateUI();
+    }
   }
 
   // ============= TIMELINE HELPERS =============
@@ -214,6 +199,181 @@ export class FrameManager {
     return { prev, next };
   }
 
+  /**
+   * Resolve the animation at a point in time
+   * @param {number} time - Time in seconds
+   * @returns {Object} - { index, frame }: index of the keyframe at or before
+   *   `time`, and the interpolated frame (null when `time` is on a keyframe)
+   */
+  getFrameAtTime(time) {
+    const keyframes = this.frames;
+
+    // Find surrounding keyframes
+    let prevIndex = -1;
+    let nextIndex = -1;
+
+    for (let i = 0; i < keyframes.length; i++) {
+      const kfTime = keyframes[i].time || 0;
+      if (kfTime <= time) prevIndex = i;
+      if (kfTime >= time && nextIndex < 0) nextIndex = i;
+    }
+
+    if (prevIndex < 0) prevIndex = 0;
+    if (nextIndex < 0) nextIndex = keyframes.length - 1;
+
+    const prevKf = keyframes[prevIndex];
+    const nextKf = keyframes[nextIndex];
+    const prevTime = prevKf ? prevKf.time || 0 : 0;
+    const nextTime = nextKf ? nextKf.time || 0 : 0;
+
+    // Exactly at (or too close to) a keyframe
+    if (prevIndex === nextIndex || nextTime - prevTime < 0.001) {
+      return { index: prevIndex, frame: null };
+    }
+
+    const t = (time - prevTime) / (nextTime - prevTime);
+
+    // Use the per-keyframe easing from the prev keyframe
+    const easingFn = FrameManager.easing[prevKf.easing || 'linear'] || FrameManager.easing.linear;
+    return {
+      index: prevIndex,
+      frame: this.createInterpolatedFrame(prevKf, nextKf, easingFn(t))
+    };
+  }
+
+  // Frame to display at a point in time: interpolated, or the keyframe itself
+  getDisplayFrameAtTime(time) {
+    const { index, frame } = this.getFrameAtTime(time);
+    return frame || this.frames[index] || null;
+  }
+
+  // ============= TRACKS =============
+
+  /**
+   * Give shapes without a track id one. Missing ids are shared by index
+   * within each layer across keyframes, which is how projects saved before
+   * track ids were interpolated.
+   * @param {Array} frames - Keyframes to update in place
+   */
+  ensureTrackIds(frames = this.frames) {
+    const tracksByLayer = new Map();
+
+    for (const frame of frames) {
+      for (const [layerId, shapes] of Object.entries(frame.content)) {
+        if (!tracksByLayer.has(layerId)) tracksByLayer.set(layerId, []);
+        const tracks = tracksByLayer.get(layerId);
+        const used = new Set(shapes.map(shape => shape.trackId).filter(Boolean));
+
+        shapes.forEach((shape, i) => {
+          if (!shape.trackId) {
+            let trackId = tracks[i];
+            if (!trackId || used.has(trackId)) trackId = this.generateTrackId();
+            shape.trackId = trackId;
+            used.add(trackId);
+          }
+          if (!tracks[i]) tracks[i] = shape.trackId;
+        });
+      }
+    }
+  }
+
+  /**
+   * Pair up layers or shapes across keyframes by track id
+   * @param {Array} lists - The items (layers or shapes) of each keyframe
+   * @returns {Array} - One row per track holding its item in each keyframe,
+   *   or null where a keyframe lacks it. Rows follow the first keyframe's
+   *   order; tracks that appear later go after their predecessor there.
+   */
+  matchTracks(lists) {
+    const rows = [];
+    const rowByTrack = new Map();
+
+    lists.forEach((items, k) => {
+      let previous = -1;
+      for (const item of items) {
+        let row = item.trackId ? rowByTrack.get(item.trackId) : null;
+        // New track, or a track id repeated within one keyframe
+        if (!row || row[k]) {
+          row = lists.map(() => null);
+          rows.splice(previous + 1, 0, row);
+          if (item.trackId && !rowByTrack.has(item.trackId)) rowByTrack.set(item.trackId, row);
+        }
+        row[k] = item;
+        previous = rows.indexOf(row);
+      }
+    });
+
+    return rows;
+  }
+
+  // Keyframe whose shapes the current keyframe is linked against: the
+  // previous one, or the next one for the first keyframe
+  getLinkFrame() {
+    return this.frames[this.currentFrameIndex > 0 ? this.currentFrameIndex - 1 : this.currentFrameIndex + 1] || null;
+  }
+
+  /**
+   * Re-link a shape to a shape of the link keyframe, so they interpolate
+   * into each other. A shape in the same layer already on that track takes
+   * over the linked shape's old track.
+   * @param {string} shapeId - Editable shape
+   * @param {string|null} trackId - Track to join, or null for a new track
+   */
+  linkShape(shapeId, trackId) {
+    const layer = this.app.shapes.getShapeLayer(shapeId);
+    const shape = layer && layer.shapes.find(s => s.id === shapeId);
+    if (!shape || shape.trackId === trackId) return;
+
+    if (trackId) {
+      const holder = layer.shapes.find(s => s.trackId === trackId);
+      if (holder) holder.trackId = shape.trackId;
+      shape.trackId = trackId;
+    } else {
+      shape.trackId = this.generateTrackId();
+    }
+
+    this.app.saveHistory('Link Shape');
+    this.updateLinkUI();
+    this.app.render();
+  }
+
+  // List the link keyframe's shapes for the selected shape
+  updateLinkUI() {
+    const select = document.getElementById('shapeLinkSelect');
+    if (!select) return;
+
+    const layer = this.app.shapes.getShapeLayer(this.app.state.selectedShapes[0]);
+    const shape = layer && layer.shapes.find(s => s.id === this.app.state.selectedShapes[0]);
+    const linkFrame = this.getLinkFrame();
+    const linkShapes = layer && linkFrame ? linkFrame.content[layer.id] || [] : null;
+
+    // Skip rebuilding while nothing it shows has changed
+    const key = [shape?.id, shape?.trackId, linkFrame?.id, linkShapes?.map(s => s.trackId).join()].join('|');
+    if (key === this.lastLinkKey) return;
+    this.lastLinkKey = key;
+
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'None (grows / shrinks)';
+    select.appendChild(none);
+
+    if (linkShapes) {
+      linkShapes.forEach((s, i) => {
+        const option = document.createElement('option');
+        option.value = s.trackId;
+        option.textContent = `Shape ${i + 1} (${s.vertices.length} pts)`;
+        select.appendChild(option);
+      });
+    }
+
+    select.disabled = !shape || !linkShapes;
+    select.value = shape && linkShapes && linkShapes.some(s => s.trackId === shape.trackId) ? shape.trackId : '';
+    select.title = linkFrame
+      ? `Shape in keyframe ${this.frames.indexOf(linkFrame) + 1} that the selected shape morphs to/from`
+      : 'Add another keyframe to link shapes';
+  }
+
   // ============= EASING FUNCTIONS =============
   // t is the progress from 0 to 1
   
@@ -255,6 +415,25 @@ export class FrameManager {
     }
   };
 
+  // Cubic bezier control points [x1, y1, x2, y2] approximating each easing,
+  // for formats with bezier timing (SVG keySplines, CSS, Lottie).
+  // Elastic and bounce have no bezier form and must be sampled instead.
+  static easingBezier = {
+    linear: [0, 0, 1, 1],
+
+    easeInQuad: [0.55, 0.085, 0.68, 0.53],
+    easeOutQuad: [0.25, 0.46, 0.45, 0.94],
+    easeInOutQuad: [0.455, 0.03, 0.515, 0.955],
+
+    easeInCubic: [0.55, 0.055, 0.675, 0.19],
+    easeOutCubic: [0.215, 0.61, 0.355, 1],
+    easeInOutCubic: [0.645, 0.045, 0.355, 1],
+
+    easeInQuart: [0.895, 0.03, 0.685, 0.22],
+    easeOutQuart: [0.165, 0.84, 0.44, 1],
+    easeInOutQuart: [0.77, 0, 0.175, 1]
+  };
+
   // ============= INTERPOLATION METHODS =============
   
   /**
@@ -290,12 +469,6 @@ export class FrameManager {
   interpolateBetweenFrames(startFrame, endFrame, numFrames, easingType, insertIndex) {
     const easingFn = FrameManager.easing[easingType] || FrameManager.easing.linear;
     
-    // Validate that frames have matching structure
-    if (startFrame.layers.length !== endFrame.layers.length) {
-      console.warn('Frames have different number of layers');
-      return false;
-    }
-    
     const newFrames = [];
     
     for (let i = 1; i <= numFrames; i++) {
@@ -324,44 +497,33 @@ export class FrameManager {
   createInterpolatedFrame(startFrame, endFrame, t) {
     const interpolatedFrame = {
       id: this.generateId(),
-      layers: []
+      content: {}
     };
     
-    for (let layerIndex = 0; layerIndex < startFrame.layers.length; layerIndex++) {
-      const startLayer = startFrame.layers[layerIndex];
-      const endLayer = endFrame.layers[layerIndex];
-      
-      const interpolatedLayer = {
-        id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-        name: startLayer.name,
-        visible: startLayer.visible,
-        locked: startLayer.locked,
-        shapes: []
-      };
-      
+    // Shapes are paired by track id within each layer
+    const layerIds = new Set([...Object.keys(startFrame.content), ...Object.keys(endFrame.content)]);
+    for (const layerId of layerIds) {
       // Interpolate shapes
-      const maxShapes = Math.max(startLayer.shapes.length, endLayer.shapes.length);
+      const shapes = [];
+      const shapePairs = this.matchTracks([startFrame.content[layerId] || [], endFrame.content[layerId] || []]);
       
-      for (let shapeIndex = 0; shapeIndex < maxShapes; shapeIndex++) {
-        const startShape = startLayer.shapes[shapeIndex];
-        const endShape = endLayer.shapes[shapeIndex];
-        
+      for (const [startShape, endShape] of shapePairs) {
         if (startShape && endShape) {
           // Both shapes exist - interpolate between them
           const interpolatedShape = this.interpolateShape(startShape, endShape, t);
-          interpolatedLayer.shapes.push(interpolatedShape);
+          shapes.push(interpolatedShape);
         } else if (startShape && !endShape) {
           // Shape only exists in start frame - fade out (scale down)
           const interpolatedShape = this.interpolateShapeToNothing(startShape, 1 - t);
-          interpolatedLayer.shapes.push(interpolatedShape);
+          shapes.push(interpolatedShape);
         } else if (!startShape && endShape) {
           // Shape only exists in end frame - fade in (scale up)
           const interpolatedShape = this.interpolateShapeToNothing(endShape, t);
-          interpolatedLayer.shapes.push(interpolatedShape);
+          shapes.push(interpolatedShape);
         }
       }
       
-      interpolatedFrame.layers.push(interpolatedLayer);
+      interpolatedFrame.content[layerId] = shapes;
     }
     
     return interpolatedFrame;
@@ -375,12 +537,166 @@ export class FrameManager {
    * @returns {Object} - Interpolated shape
    */
   interpolateShape(startShape, endShape, t) {
+    if (startShape.type === 'instance' || endShape.type === 'instance') {
+      return this.app.symbols.interpolate(startShape, endShape, t);
+    }
+
+    const curved = this.interpolateAnchors(startShape, endShape, t);
+    if (curved) return curved;
+
+    // Other curves tween as their flattened outlines
+    startShape = this.app.shapes.flattenShape(startShape);
+    endShape = this.app.shapes.flattenShape(endShape);
+
+    const shape = {
+      ...this.app.styles.interpolateStyle(startShape, endShape, t),
+      id: 'shape_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      trackId: startShape.trackId,
+      type: startShape.type,
+      vertices: this.interpolateRing(startShape.vertices, endShape.vertices, t, startShape.closed !== false),
+      closed: startShape.closed
+    };
+    if (startShape.groups) shape.groups = [...startShape.groups];
+
+    // Holes are paired by index; unmatched holes grow from / shrink to
+    // their own center
+    const startHoles = startShape.holes || [];
+    const endHoles = endShape.holes || [];
+    const holeCount = Math.max(startHoles.length, endHoles.length);
+
+    if (holeCount > 0) {
+      shape.holes = [];
+      for (let i = 0; i < holeCount; i++) {
+        if (startHoles[i] && endHoles[i]) {
+          shape.holes.push(this.interpolateRing(startHoles[i], endHoles[i], t));
+        } else if (startHoles[i]) {
+          shape.holes.push(this.scaleRing(startHoles[i], 1 - t));
+        } else {
+          shape.holes.push(this.scaleRing(endHoles[i], t));
+        }
+      }
+      shape.fillRule = startShape.fillRule || endShape.fillRule;
+    }
+
+    return shape;
+  }
+
+  /**
+   * Tween curved shapes anchor by anchor, handles included, so in-betweens
+   * stay curves. Needs the same number of rings wound the same way with the
+   * same number of anchors; by arc length, closed rings start from the
+   * anchor that lines them up best (or that matches their pins)
+   * @returns {Object|null} - Interpolated shape, or null to flatten instead
+   */
+  interpolateAnchors(startShape, endShape, t) {
+    const shapes = this.app.shapes;
+    const startRings = shapes.getRings(startShape);
+    const endRings = shapes.getRings(endShape);
+    if (![...startRings, ...endRings].some(ring => shapes.curves.hasCurves(ring))) return null;
+    if (startRings.length !== endRings.length) return null;
+
+    const rings = [];
+    for (let i = 0; i < startRings.length; i++) {
+      const a = startRings[i];
+      const b = endRings[i];
+      const closed = i > 0 || startShape.closed !== false;
+      if (a.length !== b.length) return null;
+
+      let offset = 0;
+      if (closed) {
+        if (this.morpher.signedArea(a) * this.morpher.signedArea(b) < 0) return null;
+        if (this.isSmoothMorph()) offset = this.anchorOffset(a, b);
+        if (offset === null) return null;
+      }
+      rings.push(a.map((p, k) => this.interpolateAnchor(p, b[(k + offset) % b.length], t)));
+    }
+
+    const shape = {
+      ...this.app.styles.interpolateStyle(startShape, endShape, t),
+      id: 'shape_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      trackId: startShape.trackId,
+      type: startShape.type,
+      vertices: rings[0],
+      closed: startShape.closed
+    };
+    if (startShape.groups) shape.groups = [...startShape.groups];
+    if (rings.length > 1) {
+      shape.holes = rings.slice(1);
+      shape.fillRule = startShape.fillRule || endShape.fillRule;
+    }
+    return shape;
+  }
+
+  // Anchor of ring b paired with anchor 0 of ring a: the one that lines up
+  // shared pins, else the one closest overall with both rings centered.
+  // Null if the pins can't all line up
+  anchorOffset(a, b) {
+    const pinned = a.map((p, k) => [p.pin, k]).filter(([pin]) => pin != null);
+    if (pinned.length > 0 || b.some(p => p.pin != null)) {
+      const [pin, k] = pinned[0] || [];
+      const j = b.findIndex(p => p.pin != null && p.pin === pin);
+      if (j < 0) return null;
+      const offset = (j - k + b.length) % b.length;
+      const aligned = a.every((p, i) => p.pin === b[(i + offset) % b.length].pin);
+      return aligned ? offset : null;
+    }
+
+    const ca = this.ringCenter(a);
+    const cb = this.ringCenter(b);
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let offset = 0; offset < b.length; offset++) {
+      let distance = 0;
+      for (let i = 0; i < a.length; i++) {
+        const q = b[(i + offset) % b.length];
+        distance += (a[i].x - ca.x - (q.x - cb.x)) ** 2 + (a[i].y - ca.y - (q.y - cb.y)) ** 2;
+      }
+      if (distance < bestDistance) {
+        best = offset;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  // A missing handle tweens from / to a zero offset
+  interpolateAnchor(p, q, t) {
+    const anchor = { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+    for (const key of ['handleIn', 'handleOut']) {
+      if (!p[key] && !q[key]) continue;
+      const from = p[key] || { x: 0, y: 0 };
+      const to = q[key] || { x: 0, y: 0 };
+      anchor[key] = { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    }
+    return anchor;
+  }
+
+  // Whether rings are matched by arc length (ShapeMorpher) rather than
+  // by vertex index
+  isSmoothMorph() {
+    return !this.app.state || this.app.state.morphMode !== 'index';
+  }
+
+  /**
+   * Interpolate between two rings of points
+   * @param {Array} startVerts - Starting ring
+   * @param {Array} endVerts - Ending ring
+   * @param {number} t - Interpolation factor (0 = start, 1 = end)
+   * @param {boolean} closed - Whether the rings are closed
+   * @returns {Array} - Interpolated ring
+   */
+  interpolateRing(startVerts, endVerts, t, closed = true) {
     const interpolatedVertices = [];
     
+    if (this.isSmoothMorph()) {
+      const [start, end] = this.morpher.matchRings([startVerts, endVerts], closed);
+      return start.map((p, i) => ({
+        x: p.x + (end[i].x - p.x) * t,
+        y: p.y + (end[i].y - p.y) * t
+      }));
+    }
+
     // Handle different vertex counts by resampling
-    const startVerts = startShape.vertices;
-    const endVerts = endShape.vertices;
-    
     if (startVerts.length === endVerts.length) {
       // Same vertex count - simple interpolation
       for (let i = 0; i < startVerts.length; i++) {
@@ -403,12 +719,7 @@ export class FrameManager {
       }
     }
     
-    return {
-      id: 'shape_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-      type: startShape.type,
-      vertices: interpolatedVertices,
-      closed: startShape.closed
-    };
+    return interpolatedVertices;
   }
 
   /**
@@ -418,27 +729,54 @@ export class FrameManager {
    * @returns {Object} - Scaled shape
    */
   interpolateShapeToNothing(shape, scale) {
-    // Find center of shape
-    let cx = 0, cy = 0;
-    for (const v of shape.vertices) {
-      cx += v.x;
-      cy += v.y;
-    }
-    cx /= shape.vertices.length;
-    cy /= shape.vertices.length;
-    
-    // Scale vertices toward/from center
-    const scaledVertices = shape.vertices.map(v => ({
-      x: cx + (v.x - cx) * scale,
-      y: cy + (v.y - cy) * scale
-    }));
+    if (shape.type === 'instance') return this.app.symbols.scaleInstance(shape, scale);
+
+    const center = this.ringCenter(shape.vertices);
     
-    return {
+    const scaledShape = {
+      ...this.app.styles.getStyle(shape),
       id: 'shape_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      trackId: shape.trackId,
       type: shape.type,
-      vertices: scaledVertices,
+      vertices: this.scaleRing(shape.vertices, scale, center),
       closed: shape.closed
     };
+    if (shape.groups) scaledShape.groups = [...shape.groups];
+
+    if (shape.holes && shape.holes.length > 0) {
+      scaledShape.holes = shape.holes.map(hole => this.scaleRing(hole, scale, center));
+      scaledShape.fillRule = shape.fillRule;
+    }
+
+    return scaledShape;
+  }
+
+  /**
+   * Scale a ring toward a center point (defaults to the ring's own center)
+   * @param {Array} ring - Ring of points, curve handles scaled with them
+   * @param {number} scale - Scale factor
+   * @param {Object} center - Optional center {x, y}
+   * @returns {Array} - Scaled ring
+   */
+  scaleRing(ring, scale, center = this.ringCenter(ring)) {
+    return ring.map(v => {
+      const point = {
+        x: center.x + (v.x - center.x) * scale,
+        y: center.y + (v.y - center.y) * scale
+      };
+      if (v.handleIn) point.handleIn = { x: v.handleIn.x * scale, y: v.handleIn.y * scale };
+      if (v.handleOut) point.handleOut = { x: v.handleOut.x * scale, y: v.handleOut.y * scale };
+      return point;
+    });
+  }
+
+  ringCenter(ring) {
+    let cx = 0, cy = 0;
+    for (const v of ring) {
+      cx += v.x;
+      cy += v.y;
+    }
+    return { x: cx / ring.length, y: cy / ring.length };
   }
 
   /**
@@ -0,0 +1,326 @@
+/**
+ * GifEncoder - Minimal animated GIF (GIF89a) encoder in pure JS.
+ *
+ * All frames share one global palette of up to 256 colours, built with
+ * median cut over a 15-bit colour histogram of every frame, so frames can
+ * be rendered twice (histogram, then encode) instead of kept in memory.
+ * Pixels are mapped to the nearest palette entry, optionally with
+ * Floyd-Steinberg dithering, and LZW-compressed. Frames must be fully
+ * opaque: draw them over a background colour first.
+ */
+export class GifEncoder {
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {Object} options - { palette, loop } where loop is the repeat
+   *   count (0 = forever) or null to play once
+   */
+  constructor(width, height, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.loop = options.loop !== undefined ? options.loop : 0;
+    this.chunks = [];
+    this.setPalette(options.palette || [[0, 0, 0]]);
+    this.writeHeader();
+  }
+
+  setPalette(colors) {
+    // The colour table size must be a power of two (2..256 entries)
+    let bits = 1;
+    while ((1 << bits) < colors.length) bits++;
+    this.paletteBits = bits;
+    this.palette = colors;
+    this.table = new Uint8Array(3 << bits);
+    colors.forEach((c, i) => this.table.set(c, i * 3));
+    // 15-bit colour -> palette index
+    this.cache = new Int16Array(32768).fill(-1);
+  }
+
+  writeHeader() {
+    const bytes = [];
+    this.writeString(bytes, 'GIF89a');
+    this.writeShort(bytes, this.width);
+    this.writeShort(bytes, this.height);
+    // Global colour table present, 8-bit colour resolution, table size
+    bytes.push(0xf0 | (this.paletteBits - 1), 0, 0);
+    this.chunks.push(Uint8Array.from(bytes), this.table);
+
+    if (this.loop !== null) {
+      const ext = [0x21, 0xff, 0x0b];
+      this.writeString(ext, 'NETSCAPE2.0');
+      ext.push(3, 1);
+      this.writeShort(ext, this.loop);
+      ext.push(0);
+      this.chunks.push(Uint8Array.from(ext));
+    }
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8ClampedArray} rgba - Pixels from getImageData()
+   * @param {number} delay - Display time in hundredths of a second
+   * @param {Object} options - { dither }
+   */
+  addFrame(rgba, delay, options = {}) {
+    const indices = options.dither ? this.ditherPixels(rgba) : this.mapPixels(rgba);
+
+    const bytes = [];
+    // Graphic control extension: no disposal, no transparency
+    bytes.push(0x21, 0xf9, 4, 0x04);
+    this.writeShort(bytes, Math.max(2, Math.round(delay)));
+    bytes.push(0, 0);
+    // Image descriptor covering the whole canvas, no local colour table
+    bytes.push(0x2c);
+    this.writeShort(bytes, 0);
+    this.writeShort(bytes, 0);
+    this.writeShort(bytes, this.width);
+    this.writeShort(bytes, this.height);
+    bytes.push(0);
+
+    const minCodeSize = Math.max(2, this.paletteBits);
+    bytes.push(minCodeSize);
+    this.chunks.push(Uint8Array.from(bytes), this.lzw(indices, minCodeSize));
+  }
+
+  // Finish the file and return its bytes
+  finish() {
+    this.chunks.push(Uint8Array.of(0x3b));
+    const length = this.chunks.reduce((sum, c) => sum + c.length, 0);
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+
+  // ============= COLOUR MAPPING =============
+
+  nearest(r, g, b) {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const cached = this.cache[key];
+    if (cached >= 0) return cached;
+
+    let best = 0;
+    let bestDist = Infinity;
+    const palette = this.palette;
+    for (let i = 0; i < palette.length; i++) {
+      const dr = palette[i][0] - r;
+      const dg = palette[i][1] - g;
+      const db = palette[i][2] - b;
+      const dist = dr * dr + dg * dg + db * db;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = i;
+      }
+    }
+    this.cache[key] = best;
+    return best;
+  }
+
+  mapPixels(rgba) {
+    const count = this.width * this.height;
+    const indices = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      indices[i] = this.nearest(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+    }
+    return indices;
+  }
+
+  // Floyd-Steinberg error diffusion
+  ditherPixels(rgba) {
+    const { width, height, palette } = this;
+    const indices = new Uint8Array(width * height);
+    let current = new Float32Array((width + 2) * 3);
+    let next = new Float32Array((width + 2) * 3);
+    const clamp = v => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = (y * width + x) * 4;
+        const e = (x + 1) * 3;
+        const r = clamp(rgba[p] + current[e]);
+        const g = clamp(rgba[p + 1] + current[e + 1]);
+        const b = clamp(rgba[p + 2] + current[e + 2]);
+
+        const index = this.nearest(r | 0, g | 0, b | 0);
+        indices[y * width + x] = index;
+
+        const c = palette[index];
+        const errors = [r - c[0], g - c[1], b - c[2]];
+        for (let k = 0; k < 3; k++) {
+          current[e + 3 + k] += errors[k] * 7 / 16;
+          next[e - 3 + k] += errors[k] * 3 / 16;
+          next[e + k] += errors[k] * 5 / 16;
+          next[e + 3 + k] += errors[k] / 16;
+        }
+      }
+      [current, next] = [next, current];
+      next.fill(0);
+    }
+
+    return indices;
+  }
+
+  // Pixel counts per 15-bit colour, with exact channel sums so flat
+  // colours survive quantization unchanged
+  static createHistogram() {
+    return { counts: new Uint32Array(32768), sums: new Float64Array(32768 * 3) };
+  }
+
+  static addToHistogram(histogram, rgba) {
+    const { counts, sums } = histogram;
+    for (let i = 0; i < rgba.length; i += 4) {
+      const key = ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+      counts[key]++;
+      sums[key * 3] += rgba[i];
+      sums[key * 3 + 1] += rgba[i + 1];
+      sums[key * 3 + 2] += rgba[i + 2];
+    }
+  }
+
+  /**
+   * Build a palette from a colour histogram with median cut
+   * @param {Uint32Array} histogram - From createHistogram()/addToHistogram()
+   * @param {number} maxColors - Palette size limit
+   * @returns {Array} - [[r, g, b], ...]
+   */
+  static buildPalette(histogram, maxColors = 256) {
+    const { counts, sums } = histogram;
+    const colors = [];
+    for (let key = 0; key < counts.length; key++) {
+      if (counts[key] > 0) colors.push(key);
+    }
+    if (colors.length === 0) return [[0, 0, 0]];
+
+    const channel = (key, c) => ((key >> (10 - c * 5)) & 31);
+    const makeBox = keys => {
+      const min = [31, 31, 31];
+      const max = [0, 0, 0];
+      let count = 0;
+      for (const key of keys) {
+        for (let c = 0; c < 3; c++) {
+          const v = channel(key, c);
+          if (v < min[c]) min[c] = v;
+          if (v > max[c]) max[c] = v;
+        }
+        count += counts[key];
+      }
+      const ranges = max.map((v, c) => v - min[c]);
+      const axis = ranges.indexOf(Math.max(...ranges));
+      return { keys, count, axis, range: ranges[axis] };
+    };
+
+    const boxes = [makeBox(colors)];
+    while (boxes.length < maxColors) {
+      // Split the most populous box that still has a spread of colours
+      let target = -1;
+      for (let i = 0; i < boxes.length; i++) {
+        if (boxes[i].range > 0 && (target < 0 || boxes[i].count * boxes[i].range > boxes[target].count * boxes[target].range)) {
+          target = i;
+        }
+      }
+      if (target < 0) break;
+
+      const box = boxes[target];
+      const keys = box.keys.slice().sort((a, b) => channel(a, box.axis) - channel(b, box.axis));
+      let half = 0;
+      let split = 1;
+      for (let i = 0; i < keys.length - 1; i++) {
+        half += counts[keys[i]];
+        split = i + 1;
+        if (half >= box.count / 2) break;
+      }
+      boxes.splice(target, 1, makeBox(keys.slice(0, split)), makeBox(keys.slice(split)));
+    }
+
+    // Each box's colour is the pixel-weighted average of its members
+    return boxes.map(box => {
+      const sum = [0, 0, 0];
+      for (const key of box.keys) {
+        for (let c = 0; c < 3; c++) sum[c] += sums[key * 3 + c];
+      }
+      return sum.map(v => Math.round(v / box.count));
+    });
+  }
+
+  // ============= LZW =============
+
+  lzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let block = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const emit = code => {
+      buffer |= code << bufferBits;
+      bufferBits += codeSize;
+      while (bufferBits >= 8) {
+        block.push(buffer & 0xff);
+        buffer >>>= 8;
+        bufferBits -= 8;
+        if (block.length === 255) {
+          output.push(255, ...block);
+          block = [];
+        }
+      }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = dictionary.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode < 4096) {
+        dictionary.set(key, nextCode++);
+        // Widen after emitting, once the next code no longer fits
+        if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+      } else {
+        // Table full: start over
+        emit(clearCode);
+        dictionary = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      }
+      prefix = k;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) {
+      block.push(buffer & 0xff);
+      if (block.length === 255) {
+        output.push(255, ...block);
+        block = [];
+      }
+    }
+    if (block.length > 0) output.push(block.length, ...block);
+    output.push(0);
+
+    return Uint8Array.from(output);
+  }
+
+  // ============= HELPERS =============
+
+  writeShort(bytes, value) {
+    bytes.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  writeString(bytes, text) {
+    for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i));
+  }
+}
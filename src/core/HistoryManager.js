@@ -1,56 +1,321 @@
+import { StateDiff } from './StateDiff.js';
+
 // History management for undo/redo
+//
+// Every entry is a labelled transaction. `record(label)` commits a single
+// action; `begin(label)` / `commit()` wrap several mutations (and nested
+// record() calls) into one entry. Consecutive records sharing a coalesce key
+// within `coalesceWindow` ms are merged, so continuous sculpting or nudging
+// produces one entry.
+//
+// Only the current state is kept in full. Each entry stores structural
+// patches (see StateDiff) to step back to the previous entry and forward
+// again, and the oldest entries are dropped once `memoryBudget` is exceeded.
+//
+// Recording serialises each frame, layer, group, symbol and reference image
+// once and keeps the previous copy of any whose JSON is unchanged, so the
+// diff only walks the items an edit touched. The JSON of each copy is
+// remembered, which also gives the size of the current state without
+// measuring it again.
 export class HistoryManager {
   constructor(app) {
     this.app = app;
-    this.undoStack = [];
-    this.redoStack = [];
+    this.entries = [];     // [{ id, label, time, undo, redo, size, coalesceKey }]
+    this.index = -1;       // Entry matching the current document state
+    this.current = null;   // Full state at `index`
+    this.currentSize = 0;
     this.maxHistory = 100;
+    this.memoryBudget = 50 * 1024 * 1024; // Bytes
+    this.coalesceWindow = 1000;
+    this.transaction = null;
+    this.idCounter = 1;
+    this.canCoalesce = false;
+    // Snapshot item -> its JSON
+    this.serialized = new WeakMap();
   }
 
-  // Push current state to history
-  pushState(state) {
-    this.undoStack.push(JSON.stringify(state));
-    if (this.undoStack.length > this.maxHistory) {
-      this.undoStack.shift();
+  static collections = ['frames', 'layers', 'groups', 'symbols', 'referenceImages'];
+
+  // Record the current document state as a labelled history entry
+  record(label = 'Edit', options = {}) {
+    if (this.transaction) {
+      // Folded into the open transaction, recorded on commit()
+      this.transaction.dirty = true;
+      return;
     }
-    this.redoStack = [];
+
+    const { state, size } = this.snapshot(this.app.getState());
+    const now = Date.now();
+    const last = this.entries[this.index];
+
+    // Recording after an undo discards the redo branch
+    this.entries.length = this.index + 1;
+
+    const coalesce = options.coalesce &&
+      this.canCoalesce &&
+      this.index > 0 &&
+      last.coalesceKey === options.coalesce &&
+      now - last.time < this.coalesceWindow;
+
+    if (!last) {
+      this.entries.push(this.createEntry(label, now, null, null, options));
+      this.index = 0;
+    } else if (coalesce) {
+      // Re-diff the merged entry against the state before it
+      const previous = StateDiff.apply(this.current, last.undo);
+      last.redo = StateDiff.diff(previous, state);
+      last.undo = StateDiff.diff(state, previous);
+      last.size = this.measure(last.undo) + this.measure(last.redo);
+      last.time = now;
+    } else {
+      const redo = StateDiff.diff(this.current, state);
+      if (!redo) {
+        // Nothing changed
+        this.updateUI();
+        return;
+      }
+      const undo = StateDiff.diff(state, this.current);
+      this.entries.push(this.createEntry(label, now, undo, redo, options));
+      this.index = this.entries.length - 1;
+    }
+
+    this.current = state;
+    this.currentSize = size;
+    this.canCoalesce = true;
+    this.trim();
+    this.updateUI();
   }
 
-  // Undo last action
-  undo() {
-    if (this.undoStack.length <= 1) return; // Keep at least one state
+  createEntry(label, time, undo, redo, options) {
+    return {
+      id: this.idCounter++,
+      label,
+      time,
+      undo,
+      redo,
+      size: this.measure(undo) + this.measure(redo),
+      coalesceKey: options.coalesce || null
+    };
+  }
+
+  /**
+   * Immutable copy of the live state. Items of the collections whose JSON
+   * matches the item with the same id in the current state reuse it, so
+   * StateDiff skips them by identity
+   * @returns {Object} - { state, size } with the approximate size in bytes
+   */
+  snapshot(live) {
+    const state = { ...live };
+    let size = 0;
+    for (const key of HistoryManager.collections) {
+      const previous = new Map((this.current ? this.current[key] || [] : []).map(item => [item.id, item]));
+      state[key] = (live[key] || []).map(item => {
+        const json = JSON.stringify(item);
+        size += json.length * 2;
+        const match = previous.get(item.id);
+        if (match && this.getJson(match) === json) return match;
+
+        const copy = JSON.parse(json);
+        this.serialized.set(copy, json);
+        return copy;
+      });
+    }
+    state.selectedShapes = [...live.selectedShapes];
+    state.selectedVertices = [...live.selectedVertices];
+    return { state, size };
+  }
 
-    const currentState = this.undoStack.pop();
-    this.redoStack.push(currentState);
+  // Size of a snapshot's collections, from their remembered JSON
+  sizeOf(state) {
+    let size = 0;
+    for (const key of HistoryManager.collections) {
+      for (const item of state[key] || []) size += this.getJson(item).length * 2;
+    }
+    return size;
+  }
 
-    const previousState = this.undoStack[this.undoStack.length - 1];
-    if (previousState) {
-      this.app.restoreState(JSON.parse(previousState));
+  // Fresh copy for the app to mutate, parsed from the remembered JSON
+  clone(state) {
+    const copy = JSON.parse(JSON.stringify({ ...state, frames: [], layers: [], groups: [], symbols: [] }));
+    for (const key of HistoryManager.collections) {
+      copy[key] = (state[key] || []).map(item => JSON.parse(this.getJson(item)));
     }
+    return copy;
+  }
+
+  // JSON of a snapshot item; ones rebuilt by patches are serialised on demand
+  getJson(item) {
+    let json = this.serialized.get(item);
+    if (json === undefined) {
+      json = JSON.stringify(item);
+      this.serialized.set(item, json);
+    }
+    return json;
+  }
+
+  // Approximate memory footprint of a value in bytes (UTF-16 JSON)
+  measure(value) {
+    return value ? JSON.stringify(value).length * 2 : 0;
+  }
+
+  // Drop the oldest entries while over the entry limit or memory budget
+  trim() {
+    while (this.index > 0 &&
+      (this.entries.length > this.maxHistory || this.getMemoryUsage() > this.memoryBudget)) {
+      this.entries.shift();
+      this.index--;
+
+      // The new oldest entry becomes the base, its patches lead nowhere
+      const base = this.entries[0];
+      base.undo = null;
+      base.redo = null;
+      base.size = 0;
+    }
+  }
+
+  getMemoryUsage() {
+    let total = this.currentSize;
+    for (const entry of this.entries) {
+      total += entry.size;
+    }
+    return total;
+  }
+
+  setMemoryBudget(megabytes) {
+    this.memoryBudget = Math.max(1, megabytes) * 1024 * 1024;
+    this.trim();
+    this.updateUI();
+  }
+
+  // Start a transaction - nested begin() calls are merged into the outer one
+  begin(label = 'Edit') {
+    if (this.transaction) {
+      this.transaction.depth++;
+      return;
+    }
+    this.transaction = { label, depth: 1, dirty: false };
+  }
+
+  // Close the current transaction, recording it if anything changed
+  commit(options = {}) {
+    const transaction = this.transaction;
+    if (!transaction) return;
+
+    transaction.depth--;
+    if (transaction.depth > 0) return;
+
+    this.transaction = null;
+    if (transaction.dirty || options.force) {
+      this.record(transaction.label, options);
+    }
+  }
+
+  // Abandon the current transaction and restore the last recorded state
+  cancel() {
+    if (!this.transaction) return;
+    this.transaction = null;
+    this.goTo(this.index);
+  }
+
+  // Jump to any entry in the history by walking the patches in between
+  goTo(index) {
+    if (index < 0 || index >= this.entries.length) return;
+
+    while (this.index > index) {
+      this.current = StateDiff.apply(this.current, this.entries[this.index].undo);
+      this.index--;
+    }
+    while (this.index < index) {
+      this.index++;
+      this.current = StateDiff.apply(this.current, this.entries[this.index].redo);
+    }
+
+    this.canCoalesce = false;
+    this.currentSize = this.sizeOf(this.current);
+    // The app mutates restored state in place, keep ours untouched
+    this.app.restoreState(this.clone(this.current));
+    this.updateUI();
+  }
+
+  // Undo last action
+  undo() {
+    if (!this.canUndo()) return; // Keep at least one state
+    this.goTo(this.index - 1);
   }
 
   // Redo last undone action
   redo() {
-    if (this.redoStack.length === 0) return;
-
-    const stateToRestore = this.redoStack.pop();
-    this.undoStack.push(stateToRestore);
-    this.app.restoreState(JSON.parse(stateToRestore));
+    if (!this.canRedo()) return;
+    this.goTo(this.index + 1);
   }
 
   // Clear all history
   clear() {
-    this.undoStack = [];
-    this.redoStack = [];
+    this.entries = [];
+    this.index = -1;
+    this.current = null;
+    this.currentSize = 0;
+    this.transaction = null;
+    this.canCoalesce = false;
+    this.updateUI();
   }
 
   // Check if undo is available
   canUndo() {
-    return this.undoStack.length > 1;
+    return this.index > 0;
   }
 
   // Check if redo is available
   canRedo() {
-    return this.redoStack.length > 0;
+    return this.index < this.entries.length - 1;
+  }
+
+  updateUI() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) {
+      undoBtn.disabled = !this.canUndo();
+      undoBtn.title = this.canUndo() ? `Undo ${this.entries[this.index].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !this.canRedo();
+      redoBtn.title = this.canRedo() ? `Redo ${this.entries[this.index + 1].label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    const stats = document.getElementById('historyStats');
+    if (stats) {
+      const usage = this.getMemoryUsage() / (1024 * 1024);
+      const budget = this.memoryBudget / (1024 * 1024);
+      stats.textContent = `${this.entries.length} steps · ${usage.toFixed(2)} / ${budget} MB`;
+    }
+
+    const container = document.getElementById('historyList');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    this.entries.forEach((entry, index) => {
+      const item = document.createElement('div');
+      item.className = 'history-item' +
+        (index === this.index ? ' active' : '') +
+        (index > this.index ? ' future' : '');
+
+      const label = document.createElement('span');
+      label.className = 'history-label';
+      label.textContent = entry.label;
+
+      const time = document.createElement('span');
+      time.className = 'history-time';
+      time.textContent = new Date(entry.time).toLocaleTimeString();
+
+      item.appendChild(label);
+      item.appendChild(time);
+      item.addEventListener('click', () => this.goTo(index));
+      container.appendChild(item);
+    });
+
+    // Keep the current entry in view
+    const active = container.querySelector('.history-item.active');
+    if (active) active.scrollIntoView({ block: 'nearest' });
   }
 }
@@ -6,8 +6,7 @@ export class InputHandler {
     this.isDrawing = false;
     this.isDragging = false;
     this.isPanning = false;
-    this.isDraggingRefImage = false;
-    this.refImageDragStart = null;
+    this.refImageDrag = null;  // { original, handle, start } while dragging a reference image
     this.lastMousePos = { x: 0, y: 0 };
     this.dragStart = { x: 0, y: 0 };
     this.selectionStart = null;
@@ -86,16 +85,15 @@ export class InputHandler {
 
     // Left click
     if (e.button === 0) {
-      // Check if clicking on reference image (when not locked and select tool is active)
-      if (this.isClickOnRefImage(pos) && !this.app.state.referenceImage.locked) {
-        this.isDraggingRefImage = true;
-        this.refImageDragStart = {
-          mouseX: pos.x,
-          mouseY: pos.y,
-          imageX: this.app.state.referenceImage.x,
-          imageY: this.app.state.referenceImage.y
-        };
-        this.canvas.style.cursor = 'move';
+      // Reference image handles, or an unlocked reference image where no
+      // shape was clicked (select tool only)
+      const refHit = this.hitTestRefImages(pos);
+      if (refHit) {
+        const references = this.app.references;
+        const image = references.getImage(refHit.imageId);
+        if (references.activeId !== image.id) references.setActive(image.id);
+        this.refImageDrag = { original: { ...image }, handle: refHit.handle, start: pos };
+        this.canvas.style.cursor = refHit.handle === 'move' ? 'move' : 'crosshair';
         return;
       }
 
@@ -111,14 +109,11 @@ export class InputHandler {
     }
   }
 
-  isClickOnRefImage(pos) {
-    const ref = this.app.state.referenceImage;
-    if (!ref || !ref.image || !ref.visible) return false;
-    
-    return pos.x >= ref.x && 
-           pos.x <= ref.x + ref.width &&
-           pos.y >= ref.y && 
-           pos.y <= ref.y + ref.height;
+  hitTestRefImages(pos) {
+    if (this.app.state.currentTool !== 'select') return null;
+    const hit = this.app.references.hitTest(pos);
+    if (!hit || (hit.handle === 'move' && this.app.shapes.hitTestShapes(pos))) return null;
+    return hit;
   }
 
   handleMouseMove(e) {
@@ -139,17 +134,10 @@ export class InputHandler {
       return;
     }
 
-    // Dragging reference image
-    if (this.isDraggingRefImage && this.refImageDragStart) {
-      const dx = pos.x - this.refImageDragStart.mouseX;
-      const dy = pos.y - this.refImageDragStart.mouseY;
-      this.app.state.referenceImage.x = this.refImageDragStart.imageX + dx;
-      this.app.state.referenceImage.y = this.refImageDragStart.imageY + dy;
-      // Update position inputs in UI
-      const refImageX = document.getElementById('refImageX');
-      const refImageY = document.getElementById('refImageY');
-      if (refImageX) refImageX.value = Math.round(this.app.state.referenceImage.x);
-      if (refImageY) refImageY.value = Math.round(this.app.state.referenceImage.y);
+    // Dragging a reference image or one of its handles
+    if (this.refImageDrag) {
+      const { original, handle, start } = this.refImageDrag;
+      this.app.references.dragHandle(original, handle, start, pos, e.shiftKey);
       this.app.render();
       return;
     }
@@ -185,10 +173,8 @@ export class InputHandler {
       return;
     }
 
-    if (this.isDraggingRefImage) {
-      this.isDraggingRefImage = false;
-      this.refImageDragStart = null;
-      this.canvas.style.cursor = 'default';
+    if (this.refImageDrag) {
+      this.endRefImageDrag();
       return;
     }
 
@@ -209,14 +195,18 @@ export class InputHandler {
     if (this.isDrawing) {
       this.handleMouseUp(e);
     }
-    if (this.isDraggingRefImage) {
-      this.isDraggingRefImage = false;
-      this.refImageDragStart = null;
-      this.canvas.style.cursor = 'default';
-    }
+    if (this.refImageDrag) this.endRefImageDrag();
     this.isPanning = false;
   }
 
+  // A drag that changed the reference is one history entry
+  endRefImageDrag() {
+    const labels = { move: 'Move Reference', rotate: 'Rotate Reference' };
+    this.app.saveHistory(labels[this.refImageDrag.handle] || 'Scale Reference');
+    this.refImageDrag = null;
+    this.canvas.style.cursor = 'default';
+  }
+
   handleDoubleClick(e) {
     const pos = this.getCanvasPos(e.clientX, e.clientY);
     const snappedPos = this.snapToGrid(pos);
@@ -366,8 +356,9 @@ export class InputHandler {
 
   // Keyboard events
   handleKeyDown(e) {
-    // Ignore if typing in input
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    // Ignore if typing in input or choosing from a select
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
 
     const key = e.key.toLowerCase();
 
@@ -427,7 +418,11 @@ export class InputHandler {
           break;
         case 'g':
           e.preventDefault();
-          this.app.groupSelected();
+          if (e.shiftKey) {
+            this.app.ungroupSelected();
+          } else {
+            this.app.groupSelected();
+          }
           break;
         case 's':
           e.preventDefault();
@@ -460,6 +455,17 @@ export class InputHandler {
         e.preventDefault();
         this.app.cycleSelection(e.shiftKey ? -1 : 1);
         break;
+      case 'arrowleft':
+      case 'arrowright':
+      case 'arrowup':
+      case 'arrowdown': {
+        e.preventDefault();
+        const step = e.shiftKey ? 10 : 1;
+        const dx = key === 'arrowleft' ? -step : key === 'arrowright' ? step : 0;
+        const dy = key === 'arrowup' ? -step : key === 'arrowdown' ? step : 0;
+        this.app.nudgeSelected(dx, dy);
+        break;
+      }
       case '[':
         this.app.sendBackward();
         break;
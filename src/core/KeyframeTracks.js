@@ -0,0 +1,195 @@
+/**
+ * KeyframeTracks - Keyframe data prepared for animation export formats
+ * (animated SVG, Lottie) that interpolate values themselves.
+ *
+ * Shapes are paired across keyframes by track id within each layer, like the
+ * editor's interpolation; symbol instances are resolved first, so the shapes
+ * they draw become tracks of their own, and bezier curves are flattened.
+ * Each ring is resampled to the same point count in every keyframe so
+ * exported paths can be interpolated (by arc length with ShapeMorpher in
+ * smooth morph mode, otherwise by index), and shapes missing from a
+ * keyframe collapse to the center of their neighbour. Easings with a
+ * bezier form (FrameManager.easingBezier) become spline segments; elastic
+ * and bounce are baked into extra linear stops.
+ */
+export class KeyframeTracks {
+  constructor(app) {
+    this.app = app;
+    // Stops inserted per keyframe segment for easings without a bezier
+    this.easingSamples = 12;
+  }
+
+  // Keyframes in time order
+  getKeyframes() {
+    return [...this.app.frames.frames].sort((a, b) => (a.time || 0) - (b.time || 0));
+  }
+
+  /**
+   * Key times and splines shared by every animated value.
+   * Each stop interpolates between keyframes `from` and `to` at eased `t`;
+   * `order` lists stop indices in playback order (pingpong plays forward
+   * then backward within one doubled cycle).
+   * @param {Array} keyframes - At least two keyframes in time order
+   * @returns {Object} - { stops, order, keyTimes (0-1), keySplines, duration, once }
+   */
+  buildTiming(keyframes) {
+    const FrameManager = this.app.frames.constructor;
+    const startTime = keyframes[0].time || 0;
+    const duration = (keyframes[keyframes.length - 1].time || 0) - startTime;
+    const stops = [];
+    const splines = [];
+
+    for (let i = 0; i < keyframes.length - 1; i++) {
+      const a = keyframes[i].time || 0;
+      const b = keyframes[i + 1].time || 0;
+      const easing = keyframes[i].easing || 'linear';
+      const bezier = FrameManager.easingBezier[easing];
+
+      stops.push({ from: i, to: i + 1, t: 0, time: (a - startTime) / duration });
+
+      if (bezier) {
+        splines.push(bezier);
+      } else {
+        // No bezier equivalent: sample the easing with linear steps
+        const easingFn = FrameManager.easing[easing] || FrameManager.easing.linear;
+        const steps = this.easingSamples;
+        for (let s = 1; s < steps; s++) {
+          stops.push({
+            from: i,
+            to: i + 1,
+            t: easingFn(s / steps),
+            time: (a + (b - a) * s / steps - startTime) / duration
+          });
+        }
+        for (let s = 0; s < steps; s++) splines.push(FrameManager.easingBezier.linear);
+      }
+    }
+    stops.push({ from: keyframes.length - 2, to: keyframes.length - 1, t: 1, time: 1 });
+
+    const loopMode = this.app.state.loopMode;
+    let keyTimes = stops.map(s => s.time);
+    let order = stops.map((s, i) => i);
+    let keySplines = splines;
+
+    if (loopMode === 'pingpong') {
+      keyTimes = [...keyTimes.map(t => t / 2), ...keyTimes.slice(0, -1).reverse().map(t => 1 - t / 2)];
+      order = [...order, ...order.slice(0, -1).reverse()];
+      keySplines = [...splines, ...[...splines].reverse().map(([x1, y1, x2, y2]) => [1 - x2, 1 - y2, 1 - x1, 1 - y1])];
+    }
+
+    return {
+      stops,
+      order,
+      keyTimes,
+      keySplines,
+      duration: loopMode === 'pingpong' ? duration * 2 : duration,
+      once: loopMode === 'once'
+    };
+  }
+
+  /**
+   * Group shape tracks by layer
+   * @param {Array} keyframes - Keyframes in time order
+   * @returns {Array} - [{ layer, tracks }] for each project layer, where
+   *   tracks come from buildShapeTrack()
+   */
+  buildLayers(keyframes) {
+    return this.app.layers.layers.map(layer => {
+      const tracks = [];
+      const content = keyframes.map(f => this.app.symbols.resolveAll(f.content[layer.id] || [])
+        .map(shape => this.app.shapes.flattenShape(shape)));
+      for (const shapes of this.app.frames.matchTracks(content)) {
+        const track = this.buildShapeTrack(shapes);
+        if (track) tracks.push(track);
+      }
+      return { layer, tracks };
+    });
+  }
+
+  /**
+   * Geometry and style of one shape in every keyframe
+   * @param {Array} shapes - The shape in each keyframe, or null where missing
+   * @returns {Object|null} - { rings, styles, closed, fillRule } where
+   *   rings[i] holds the outline and holes in keyframe i, or null if the
+   *   shape never appears
+   */
+  buildShapeTrack(shapes) {
+    const present = shapes.map(s => s !== null && s.vertices.length >= 2);
+    if (!present.some(Boolean)) return null;
+
+    // Shape to borrow geometry/style from when it's missing in keyframe i
+    const source = present.map((exists, i) => {
+      if (exists) return i;
+      if (i > 0 && present[i - 1]) return i - 1;
+      for (let j = i + 1; j < shapes.length; j++) if (present[j]) return j;
+      for (let j = i - 1; j >= 0; j--) if (present[j]) return j;
+      return null;
+    });
+    const first = shapes[present.indexOf(true)];
+
+    // Rings per keyframe, resampled to matching point counts
+    const frames = this.app.frames;
+    const closed = first.closed !== false;
+    const holeCount = Math.max(...shapes.map(s => (s && s.holes ? s.holes.length : 0)));
+    const rings = shapes.map(() => []);
+
+    for (let r = 0; r <= holeCount; r++) {
+      const ringAt = i => {
+        const shape = shapes[i];
+        if (!present[i]) return null;
+        return r === 0 ? shape.vertices : (shape.holes && shape.holes[r - 1]) || null;
+      };
+      const existing = shapes.map((s, i) => ringAt(i)).filter(Boolean);
+      const matched = frames.isSmoothMorph()
+        ? frames.morpher.matchRings(existing, closed || r > 0)
+        : existing.map(ring => frames.resampleVertices(ring, Math.max(...existing.map(e => e.length))));
+      const count = matched[0].length;
+
+      for (let i = 0; i < shapes.length; i++) {
+        if (ringAt(i)) {
+          rings[i].push(matched.shift());
+          continue;
+        }
+        // Collapse to a point: a missing hole shrinks to its own center,
+        // a missing shape to the center of its neighbour's outline
+        const hole = present[i] ? this.findHole(shapes, r - 1, i) : null;
+        const center = frames.ringCenter(hole || shapes[source[i]].vertices);
+        rings[i].push(new Array(count).fill(center));
+      }
+    }
+
+    return {
+      rings,
+      styles: source.map(j => this.app.styles.getStyle(shapes[j])),
+      closed,
+      fillRule: holeCount > 0 ? first.fillRule || 'nonzero' : null
+    };
+  }
+
+  // First hole with index `h` found in a keyframe near `i`
+  findHole(shapes, h, i) {
+    if (h < 0) return null;
+    for (let d = 0; d < shapes.length; d++) {
+      for (const j of [i - d, i + d]) {
+        const shape = shapes[j];
+        if (shape && shape.holes && shape.holes[h]) return shape.holes[h];
+      }
+    }
+    return null;
+  }
+
+  // Rings of a track at a stop
+  ringsAt(track, stop) {
+    const a = track.rings[stop.from];
+    const b = track.rings[stop.to];
+    return a.map((ring, r) => ring.map((p, k) => ({
+      x: p.x + (b[r][k].x - p.x) * stop.t,
+      y: p.y + (b[r][k].y - p.y) * stop.t
+    })));
+  }
+
+  // Style of a track at a stop
+  styleAt(track, stop) {
+    return this.app.styles.interpolateStyle(track.styles[stop.from], track.styles[stop.to], stop.t);
+  }
+}
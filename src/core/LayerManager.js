@@ -1,24 +1,120 @@
 // Layer management
+//
+// Layers are defined once for the whole project (name, visibility, lock,
+// opacity, solo, colour tag and order); each keyframe only stores the shapes
+// it holds per layer, in `frame.content[layerId]`.
+//
+// Layers can be nested in groups (`layer.parentId`, `group.parentId`). The
+// layers of a group are always contiguous in `layers`, so groups need no
+// order of their own, and empty groups are removed. Hiding or locking a group
+// hides or locks everything in it.
+//
+// While any layer is soloed only soloed layers are shown in the editor.
+// Shapes can be edited on shown, unlocked layers: the active layer only, or
+// all of them when selecting across layers (`state.crossLayerSelect`).
+// A symbol open for editing replaces the keyframe with a single layer of
+// its own (see SymbolManager), which is always shown and editable.
 export class LayerManager {
   constructor(app) {
     this.app = app;
-    this.activeLayerId = null;
+    this.layers = [];
+    this.groups = [];
+    this.layers.push(this.createEmptyLayer());
+    this.activeLayerId = this.layers[0].id;
+    // Group picked in the layer list, if a group rather than a layer is
+    this.activeGroupId = null;
   }
 
+  // Colour tags handed out to new layers in turn
+  static tagColors = ['#ff6b6b', '#4a9eff', '#51cf66', '#fcc419', '#cc5de8', '#ff922b', '#22b8cf'];
+
   createEmptyLayer(name = null) {
-    const layerCount = this.getCurrentLayers().length;
     return {
       id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-      name: name || `Layer ${layerCount + 1}`,
+      name: name || `Layer ${this.layers.length + 1}`,
       visible: true,
       locked: false,
-      shapes: []
+      opacity: 1,
+      solo: false,
+      color: LayerManager.tagColors[this.layers.length % LayerManager.tagColors.length],
+      parentId: null
+    };
+  }
+
+  createGroup(name = null) {
+    return {
+      id: 'group_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name: name || `Group ${this.groups.length + 1}`,
+      visible: true,
+      locked: false,
+      collapsed: false,
+      parentId: null
+    };
+  }
+
+  // Project layer with every property set, from saved or older data
+  normalizeLayer(layer, index) {
+    const opacity = parseFloat(layer.opacity);
+    return {
+      id: layer.id || 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name: layer.name || `Layer ${index + 1}`,
+      visible: layer.visible !== false,
+      locked: layer.locked || false,
+      opacity: isNaN(opacity) ? 1 : Math.min(1, Math.max(0, opacity)),
+      solo: layer.solo || false,
+      color: layer.color || LayerManager.tagColors[index % LayerManager.tagColors.length],
+      parentId: layer.parentId || null
     };
   }
 
+  // Saved groups with every property set, dropping dangling parents
+  normalizeGroups(groups) {
+    const list = (groups || []).map((group, i) => ({
+      ...this.createGroup(group.name || `Group ${i + 1}`),
+      id: group.id,
+      visible: group.visible !== false,
+      locked: group.locked || false,
+      collapsed: group.collapsed || false,
+      parentId: group.parentId || null
+    })).filter(group => group.id);
+
+    const ids = new Set(list.map(g => g.id));
+    for (const group of list) {
+      if (!ids.has(group.parentId)) group.parentId = null;
+    }
+    return list;
+  }
+
+  /**
+   * The project's layers with the shapes a frame holds on each, bottom to top
+   * @param {Object} frame - Keyframe, interpolated frame or symbol edit frame
+   * @returns {Array} - [{ id, name, visible, locked, ..., shapes }]; assigning
+   *   `shapes` writes through to the frame. A layer the frame holds nothing on
+   *   reads as a new empty array, so add shapes with addShapes()
+   */
+  getFrameLayers(frame) {
+    if (!frame) return [];
+    if (frame.symbolId) return [this.app.symbols.getEditLayer(frame.symbolId)];
+    return this.layers.map(layer => {
+      const view = { ...layer };
+      Object.defineProperty(view, 'shapes', {
+        enumerable: true,
+        get: () => frame.content[layer.id] || [],
+        set: shapes => { frame.content[layer.id] = shapes; }
+      });
+      return view;
+    });
+  }
+
+  // Insert shapes into a layer from getFrameLayers, at the end by default
+  addShapes(layer, shapes, index = layer.shapes.length) {
+    const list = layer.shapes;
+    list.splice(index, 0, ...shapes);
+    layer.shapes = list;
+  }
+
   getCurrentLayers() {
-    const frame = this.app.frames.getCurrentFrame();
-    return frame ? frame.layers : [];
+    return this.getFrameLayers(this.app.symbols.getEditFrame() || this.app.frames.getCurrentFrame());
   }
 
   getActiveLayer() {
@@ -26,31 +122,90 @@ export class LayerManager {
     return layers.find(l => l.id === this.activeLayerId) || layers[0];
   }
 
-  addLayer(name = null) {
-    const frame = this.app.frames.getCurrentFrame();
-    if (!frame) return;
+  getLayer(layerId) {
+    return this.layers.find(l => l.id === layerId);
+  }
+
+  getGroup(groupId) {
+    return this.groups.find(g => g.id === groupId);
+  }
+
+  // Layer or group
+  getNode(id) {
+    return this.getLayer(id) || this.getGroup(id);
+  }
+
+  hasSolo() {
+    return this.layers.some(l => l.solo);
+  }
+
+  // Visible itself and in every enclosing group
+  isVisible(layer) {
+    return layer.visible && this.getAncestors(layer).every(g => g.visible);
+  }
+
+  // Locked itself or by an enclosing group
+  isLocked(layer) {
+    return layer.locked || this.getAncestors(layer).some(g => g.locked);
+  }
+
+  // Whether a layer is drawn in the editor
+  isShown(layer) {
+    if (layer.symbolId) return true;
+    return this.isVisible(layer) && (layer.solo || !this.hasSolo());
+  }
+
+  // Whether a layer's shapes can be selected and edited
+  isEditable(layer) {
+    if (layer.symbolId) return true;
+    return this.isShown(layer) && !this.isLocked(layer) &&
+      (this.app.state.crossLayerSelect || layer.id === this.activeLayerId);
+  }
 
+  // Whether new shapes can go on the active layer; tells the user why not
+  canAddToActiveLayer() {
+    if (this.app.symbols.editingId) return true;
+    const layer = this.getLayer(this.activeLayerId);
+    if (!layer) return false;
+    if (this.isLocked(layer) || !this.isShown(layer)) {
+      this.app.showNotification(`${layer.name} is ${this.isLocked(layer) ? 'locked' : 'hidden'}`);
+      return false;
+    }
+    return true;
+  }
+
+  // Add a layer above the active layer, or at the top of the active group
+  addLayer(name = null) {
     const layer = this.createEmptyLayer(name);
-    frame.layers.push(layer);
+    const group = this.getGroup(this.activeGroupId);
+    const below = group ? this.getBlock(group.id) : [this.getLayer(this.activeLayerId)].filter(Boolean);
+
+    layer.parentId = group ? group.id : (below[0] ? below[0].parentId : null);
+    this.layers.splice(below.length > 0 ? this.layers.indexOf(below[below.length - 1]) + 1 : this.layers.length, 0, layer);
     this.activeLayerId = layer.id;
+    this.activeGroupId = null;
 
     this.updateUI();
     this.app.render();
     return layer;
   }
 
+  // Delete the active layer and its shapes in every keyframe
   deleteActiveLayer() {
-    const frame = this.app.frames.getCurrentFrame();
-    if (!frame || frame.layers.length <= 1) return;
+    if (this.layers.length <= 1) return;
 
-    const index = frame.layers.findIndex(l => l.id === this.activeLayerId);
+    const index = this.layers.findIndex(l => l.id === this.activeLayerId);
     if (index === -1) return;
 
-    frame.layers.splice(index, 1);
+    this.layers.splice(index, 1);
+    for (const frame of this.app.frames.frames) {
+      delete frame.content[this.activeLayerId];
+    }
+    this.pruneGroups();
     
     // Select adjacent layer
-    const newIndex = Math.min(index, frame.layers.length - 1);
-    this.activeLayerId = frame.layers[newIndex].id;
+    const newIndex = Math.min(index, this.layers.length - 1);
+    this.activeLayerId = this.layers[newIndex].id;
 
     this.updateUI();
     this.app.render();
@@ -60,118 +215,487 @@ export class LayerManager {
     this.deleteActiveLayer();
   }
 
-  mergeLayers() {
-    const frame = this.app.frames.getCurrentFrame();
-    if (!frame || frame.layers.length <= 1) return;
+  /**
+   * Whether layers can become one without changing what shows or what can
+   * be edited: none hidden or locked (by itself or a group), all at the
+   * same opacity and all soloed or none. Tells the user why not
+   */
+  canMerge(layers) {
+    const blocked = layers.find(layer => !this.isVisible(layer) || this.isLocked(layer));
+    if (blocked) {
+      this.app.showNotification(`Cannot merge: ${blocked.name} is ${this.isLocked(blocked) ? 'locked' : 'hidden'}`);
+      return false;
+    }
+    if (layers.some(layer => layer.opacity !== layers[0].opacity)) {
+      this.app.showNotification('Cannot merge layers with different opacity');
+      return false;
+    }
+    if (layers.some(layer => layer.solo !== layers[0].solo)) {
+      this.app.showNotification('Cannot merge soloed and unsoloed layers');
+      return false;
+    }
+    return true;
+  }
 
-    this.app.history.record('Merge Layers');
+  // Merge all layers into the first one, in every keyframe
+  mergeLayers() {
+    if (this.layers.length <= 1 || !this.canMerge(this.layers)) return;
 
-    // Merge all shapes into first layer
-    const allShapes = [];
-    for (const layer of frame.layers) {
-      allShapes.push(...layer.shapes);
+    const [first] = this.layers;
+    for (const frame of this.app.frames.frames) {
+      const allShapes = [];
+      for (const layer of this.layers) {
+        allShapes.push(...(frame.content[layer.id] || []));
+      }
+      frame.content = { [first.id]: allShapes };
     }
 
-    frame.layers = [{
-      id: frame.layers[0].id,
-      name: 'Merged Layer',
-      visible: true,
-      locked: false,
-      shapes: allShapes
+    this.layers = [{
+      ...this.normalizeLayer({ id: first.id, name: 'Merged Layer' }, 0),
+      opacity: first.opacity,
+      solo: first.solo,
+      color: first.color
     }];
+    this.groups = [];
 
-    this.activeLayerId = frame.layers[0].id;
+    this.activeLayerId = first.id;
+    this.activeGroupId = null;
 
-    this.app.emit('layersChanged');
-    this.app.emit('stateChanged');
+    this.updateUI();
     this.app.render();
+    this.app.history.record('Merge Layers');
   }
 
+  // Layer or group visibility
   setLayerVisibility(layerId, visible) {
-    const layers = this.getCurrentLayers();
-    const layer = layers.find(l => l.id === layerId);
+    const layer = this.getNode(layerId);
     if (layer) {
       layer.visible = visible;
+      this.app.shapes.pruneSelection();
       this.app.render();
     }
   }
 
   setLayerLocked(layerId, locked) {
-    const layers = this.getCurrentLayers();
-    const layer = layers.find(l => l.id === layerId);
+    const layer = this.getNode(layerId);
     if (layer) {
       layer.locked = locked;
+      this.app.shapes.pruneSelection();
+      this.app.render();
+    }
+  }
+
+  setLayerSolo(layerId, solo) {
+    const layer = this.getLayer(layerId);
+    if (layer) {
+      layer.solo = solo;
+      this.app.shapes.pruneSelection();
+      this.app.render();
     }
   }
 
+  setLayerOpacity(layerId, opacity) {
+    const layer = this.getLayer(layerId);
+    if (layer) {
+      layer.opacity = Math.min(1, Math.max(0, opacity));
+      this.app.render();
+    }
+  }
+
+  setLayerColor(layerId, color) {
+    const layer = this.getLayer(layerId);
+    if (layer) {
+      layer.color = color;
+      this.updateUI();
+      this.app.render();
+      this.app.history.record('Layer Color');
+    }
+  }
+
+  setActiveLayer(layerId) {
+    this.activeLayerId = layerId;
+    this.activeGroupId = null;
+    this.app.shapes.pruneSelection();
+    this.updateUI();
+    this.app.render();
+  }
+
   renameLayer(layerId, name) {
-    const layers = this.getCurrentLayers();
-    const layer = layers.find(l => l.id === layerId);
+    const layer = this.getNode(layerId);
     if (layer) {
       layer.name = name;
-      this.app.emit('layersChanged');
+      this.updateUI();
+      this.app.history.record('Rename Layer');
     }
   }
 
+  // Move a layer or group past its neighbour (+1 up, -1 down), stepping out
+  // of its group at the group's edge
   moveLayer(layerId, direction) {
-    const frame = this.app.frames.getCurrentFrame();
-    if (!frame) return;
+    const node = this.getNode(layerId);
+    if (!node) return;
 
-    const index = frame.layers.findIndex(l => l.id === layerId);
-    if (index === -1) return;
+    // Siblings are listed top to bottom
+    const siblings = this.getChildren(node.parentId);
+    const neighbour = siblings[siblings.indexOf(node) - direction];
+    const target = neighbour || this.getGroup(node.parentId);
+    if (!target) return;
 
-    const newIndex = index + direction;
-    if (newIndex < 0 || newIndex >= frame.layers.length) return;
+    this.moveNode(layerId, target.id, direction > 0 ? 'above' : 'below');
+  }
 
-    this.app.history.record('Reorder Layer');
+  // ============= GROUPS =============
+
+  // Groups enclosing a layer or group, innermost first
+  getAncestors(node) {
+    const ancestors = [];
+    let group = node && this.getGroup(node.parentId);
+    while (group && !ancestors.includes(group)) {
+      ancestors.push(group);
+      group = this.getGroup(group.parentId);
+    }
+    return ancestors;
+  }
 
-    const [layer] = frame.layers.splice(index, 1);
-    frame.layers.splice(newIndex, 0, layer);
+  isInGroup(node, groupId) {
+    return this.getAncestors(node).some(g => g.id === groupId);
+  }
+
+  // Layers under a layer or group (at any depth), bottom to top
+  getBlock(id) {
+    const layer = this.getLayer(id);
+    return layer ? [layer] : this.layers.filter(l => this.isInGroup(l, id));
+  }
+
+  // Layers and groups directly inside a group (null for the top level),
+  // top to bottom
+  getChildren(parentId) {
+    const top = node => Math.max(...this.getBlock(node.id).map(l => this.layers.indexOf(l)));
+    return [...this.layers, ...this.groups]
+      .filter(node => (node.parentId || null) === (parentId || null))
+      .sort((a, b) => top(b) - top(a));
+  }
+
+  // Put the active layer (or group) in a new group
+  groupActive() {
+    const node = this.getNode(this.activeGroupId || this.activeLayerId);
+    if (!node) return null;
+
+    const group = this.createGroup();
+    group.parentId = node.parentId || null;
+    node.parentId = group.id;
+    this.groups.push(group);
+    this.activeGroupId = group.id;
+
+    this.updateUI();
+    this.app.history.record('Group Layers');
+    return group;
+  }
+
+  // Move a group's contents up a level and remove it
+  ungroup(groupId) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+
+    for (const node of [...this.layers, ...this.groups]) {
+      if (node.parentId === groupId) node.parentId = group.parentId;
+    }
+    this.groups = this.groups.filter(g => g !== group);
+    if (this.activeGroupId === groupId) this.activeGroupId = null;
+
+    this.updateUI();
+    this.app.render();
+    this.app.history.record('Ungroup Layers');
+  }
+
+  // Delete a group with all its layers (and their shapes in every keyframe)
+  deleteGroup(groupId) {
+    const block = this.getBlock(groupId);
+    if (block.length === 0 || block.length >= this.layers.length) return;
+
+    const index = this.layers.indexOf(block[0]);
+    this.layers = this.layers.filter(l => !block.includes(l));
+    for (const frame of this.app.frames.frames) {
+      for (const layer of block) delete frame.content[layer.id];
+    }
+    this.groups = this.groups.filter(g => g.id !== groupId && !this.isInGroup(g, groupId));
+    this.pruneGroups();
+
+    this.activeGroupId = null;
+    this.activeLayerId = this.layers[Math.min(index, this.layers.length - 1)].id;
+
+    this.updateUI();
+    this.app.render();
+  }
+
+  // Merge a group's layers into one layer that takes the group's place
+  mergeGroup(groupId) {
+    const group = this.getGroup(groupId);
+    const block = this.getBlock(groupId);
+    if (!group || block.length === 0 || !this.canMerge(block)) return;
+
+    const [first] = block;
+    for (const frame of this.app.frames.frames) {
+      const allShapes = [];
+      for (const layer of block) {
+        allShapes.push(...(frame.content[layer.id] || []));
+        delete frame.content[layer.id];
+      }
+      frame.content[first.id] = allShapes;
+    }
+
+    this.layers = this.layers.filter(l => l === first || !block.includes(l));
+    // All were shown and unlocked, so the merged layer is too; they shared
+    // the first layer's opacity and solo
+    Object.assign(first, {
+      name: group.name,
+      parentId: group.parentId,
+      visible: true,
+      locked: false
+    });
+    this.groups = this.groups.filter(g => g !== group && !this.isInGroup(g, groupId));
+
+    this.activeLayerId = first.id;
+    this.activeGroupId = null;
+
+    this.updateUI();
+    this.app.render();
+    this.app.history.record('Merge Group');
+  }
+
+  setGroupCollapsed(groupId, collapsed) {
+    const group = this.getGroup(groupId);
+    if (group) {
+      group.collapsed = collapsed;
+      this.updateUI();
+    }
+  }
+
+  setActiveGroup(groupId) {
+    this.activeGroupId = groupId;
+    this.updateUI();
+  }
 
-    this.app.emit('layersChanged');
+  /**
+   * Move a layer or group next to (or into) another one, as when dragged
+   * in the layer list
+   * @param {string} id - Layer or group to move
+   * @param {string} targetId - Layer or group to drop on
+   * @param {string} position - 'above', 'below' or 'inside' (groups only)
+   */
+  moveNode(id, targetId, position) {
+    const node = this.getNode(id);
+    const target = this.getNode(targetId);
+    if (!node || !target || node === target || this.isInGroup(target, id)) return;
+    if (position === 'inside' && !this.getGroup(targetId)) return;
+
+    // Lift the node's layers out, then drop them at the edge of the target's
+    const block = this.getBlock(id);
+    const rest = this.layers.filter(l => !block.includes(l));
+    const targetBlock = this.getBlock(targetId).filter(l => !block.includes(l));
+    let index;
+    if (targetBlock.length === 0) {
+      // Stepping out of a group that holds nothing else: stay in place
+      index = this.layers.indexOf(block[0]);
+    } else if (position === 'below') {
+      index = rest.indexOf(targetBlock[0]);
+    } else {
+      index = rest.indexOf(targetBlock[targetBlock.length - 1]) + 1;
+    }
+    rest.splice(index, 0, ...block);
+
+    this.layers = rest;
+    node.parentId = position === 'inside' ? targetId : target.parentId || null;
+    this.pruneGroups();
+
+    this.updateUI();
     this.app.render();
+    this.app.history.record('Reorder Layer');
+  }
+
+  // Remove groups left without layers
+  pruneGroups() {
+    const used = new Set();
+    for (const layer of this.layers) {
+      for (const group of this.getAncestors(layer)) used.add(group.id);
+    }
+    this.groups = this.groups.filter(g => used.has(g.id));
+    if (this.activeGroupId && !used.has(this.activeGroupId)) this.activeGroupId = null;
+  }
+
+  /**
+   * Convert keyframes that each carry their own `layers` (projects saved
+   * before layers were project-wide) to project layers plus per-keyframe
+   * content. Layers are matched across keyframes by track id where they
+   * have one, otherwise by index, like they used to be interpolated; a
+   * layer's name, visibility and lock come from its first keyframe.
+   * @param {Array} frames - Keyframes with `layers` arrays, updated in place
+   * @returns {Array} - Project layers
+   */
+  migrateFrameLayers(frames) {
+    // Layers without a track id share one by index
+    const trackIds = [];
+    for (const frame of frames) {
+      frame.layers.forEach((layer, i) => {
+        if (!layer.trackId) layer.trackId = trackIds[i] || (trackIds[i] = 'index_' + i);
+      });
+    }
+
+    const rows = this.app.frames.matchTracks(frames.map(frame => frame.layers));
+    const layers = rows.map((row, i) => this.normalizeLayer(row.find(Boolean), i));
+
+    frames.forEach((frame, k) => {
+      frame.content = {};
+      rows.forEach((row, i) => {
+        if (row[k]) frame.content[layers[i].id] = row[k].shapes || [];
+      });
+      delete frame.layers;
+    });
+
+    return layers;
   }
 
   updateUI() {
     const container = document.getElementById('layersList');
     if (!container) return;
     
-    const layers = this.getCurrentLayers();
     container.innerHTML = '';
+    this.renderChildren(container, null, 0);
 
-    // Render in reverse order (top layer first)
-    for (let i = layers.length - 1; i >= 0; i--) {
-      const layer = layers[i];
-      const item = document.createElement('div');
-      item.className = 'layer-item' + (layer.id === this.activeLayerId ? ' active' : '');
-      
-      item.innerHTML = `
-        <span class="layer-visibility" title="Toggle Visibility">
-          ${layer.visible ? '👁' : '○'}
-        </span>
-        <span class="layer-name">${layer.name}</span>
-        <span class="layer-lock" title="Toggle Lock">
-          ${layer.locked ? '🔒' : ''}
-        </span>
-      `;
-
-      item.addEventListener('click', (e) => {
-        if (e.target.classList.contains('layer-visibility')) {
-          this.setLayerVisibility(layer.id, !layer.visible);
-          this.updateUI();
-        } else if (e.target.classList.contains('layer-lock')) {
-          this.setLayerLocked(layer.id, !layer.locked);
-          this.updateUI();
-        } else {
-          this.activeLayerId = layer.id;
-          this.updateUI();
-        }
-      });
+    // Opacity slider follows the active layer
+    const active = this.getLayer(this.activeLayerId);
+    const opacityInput = document.getElementById('layerOpacity');
+    if (opacityInput && active) opacityInput.value = Math.round(active.opacity * 100);
 
+    for (const id of ['ungroupLayersBtn', 'exportGroupBtn']) {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !this.activeGroupId;
+    }
+  }
+
+  // List a group's contents, top layer first, indented by depth
+  renderChildren(container, parentId, depth) {
+    for (const node of this.getChildren(parentId)) {
+      const isGroup = !!this.getGroup(node.id);
+      const item = isGroup ? this.createGroupItem(node) : this.createLayerItem(node);
+      item.style.paddingLeft = `${8 + depth * 14}px`;
+      this.makeDraggable(item, node, isGroup);
       container.appendChild(item);
+
+      if (isGroup && !node.collapsed) this.renderChildren(container, node.id, depth + 1);
     }
   }
 
+  createLayerItem(layer) {
+    const item = document.createElement('div');
+    item.className = 'layer-item' + (layer.id === this.activeLayerId && !this.activeGroupId ? ' active' : '') +
+      (this.isShown(layer) ? '' : ' hidden');
+      
+    // Names and colours come from project files, so never parse them as markup
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'layer-color';
+    color.title = 'Outline Colour';
+    color.value = layer.color;
+    item.append(
+      color,
+      this.createSpan('layer-visibility', layer.visible ? '👁' : '○', 'Toggle Visibility'),
+      this.createSpan('layer-name', layer.name),
+      this.createSpan('layer-solo' + (layer.solo ? ' active' : ''), 'S', 'Solo'),
+      this.createSpan('layer-lock', layer.locked ? '🔒' : '🔓', 'Toggle Lock')
+    );
+
+    color.addEventListener('change', (e) => {
+      this.setLayerColor(layer.id, e.target.value);
+    });
+
+    item.addEventListener('click', (e) => {
+      if (e.target.classList.contains('layer-color')) {
+        return;
+      } else if (e.target.classList.contains('layer-visibility')) {
+        this.setLayerVisibility(layer.id, !layer.visible);
+        this.updateUI();
+      } else if (e.target.classList.contains('layer-solo')) {
+        this.setLayerSolo(layer.id, !layer.solo);
+        this.updateUI();
+      } else if (e.target.classList.contains('layer-lock')) {
+        this.setLayerLocked(layer.id, !layer.locked);
+        this.updateUI();
+      } else {
+        this.setActiveLayer(layer.id);
+      }
+    });
+
+    return item;
+  }
+
+  createSpan(className, text, title = null) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    if (title) span.title = title;
+    return span;
+  }
+
+  createGroupItem(group) {
+    const item = document.createElement('div');
+    item.className = 'layer-item layer-group' + (group.id === this.activeGroupId ? ' active' : '') +
+      (this.isVisible(group) ? '' : ' hidden');
+
+    item.append(
+      this.createSpan('layer-toggle', group.collapsed ? '▸' : '▾', 'Expand / Collapse'),
+      this.createSpan('layer-visibility', group.visible ? '👁' : '○', 'Toggle Visibility'),
+      this.createSpan('layer-name', group.name),
+      this.createSpan('layer-lock', group.locked ? '🔒' : '🔓', 'Toggle Lock')
+    );
+
+    item.addEventListener('click', (e) => {
+      if (e.target.classList.contains('layer-toggle')) {
+        this.setGroupCollapsed(group.id, !group.collapsed);
+      } else if (e.target.classList.contains('layer-visibility')) {
+        this.setLayerVisibility(group.id, !group.visible);
+        this.updateUI();
+      } else if (e.target.classList.contains('layer-lock')) {
+        this.setLayerLocked(group.id, !group.locked);
+        this.updateUI();
+      } else {
+        this.setActiveGroup(group.id);
+      }
+    });
+
+    return item;
+  }
+
+  // Drag a row onto another: the upper or lower edge drops above or below
+  // it, the middle of a group row drops inside the group
+  makeDraggable(item, node, isGroup) {
+    item.draggable = true;
+    const dropPosition = (e) => {
+      const rect = item.getBoundingClientRect();
+      const y = (e.clientY - rect.top) / rect.height;
+      if (isGroup && y > 0.25 && y < 0.75) return 'inside';
+      return y < 0.5 ? 'above' : 'below';
+    };
+    const clearMarks = () => item.classList.remove('drop-above', 'drop-below', 'drop-inside');
+
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', node.id);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    item.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      clearMarks();
+      item.classList.add('drop-' + dropPosition(e));
+    });
+    item.addEventListener('dragleave', clearMarks);
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      clearMarks();
+      const id = e.dataTransfer.getData('text/plain');
+      if (id && id !== node.id) this.moveNode(id, node.id, dropPosition(e));
+    });
+  }
+
   renderLayersList() {
     this.updateUI();
   }
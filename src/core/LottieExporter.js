@@ -0,0 +1,182 @@
+import { StyleManager } from './StyleManager.js';
+import { KeyframeTracks } from './KeyframeTracks.js';
+
+/**
+ * LottieExporter - Writes keyframe animations as Lottie (Bodymovin) JSON.
+ *
+ * Each editor layer becomes a shape layer positioned so the canvas center
+ * is the world origin. Each shape becomes a group holding one path per ring
+ * (outline and holes), a fill, a stroke and a transform for its opacity.
+ * Paths, colours and opacities are keyframed at the keyframe times using
+ * KeyframeTracks; easings map to bezier out/in tangents on each keyframe,
+ * and elastic/bounce are baked into extra linear keyframes.
+ *
+ * Lottie draws the first layer / shape on top, so both are listed in
+ * reverse editor order. Pingpong is baked into one forward-and-back cycle.
+ */
+export class LottieExporter {
+  constructor(app) {
+    this.app = app;
+    this.tracks = new KeyframeTracks(app);
+    this.precision = 3;
+  }
+
+  static lineJoin = { miter: 1, round: 2, bevel: 3 };
+
+  /**
+   * Build the Lottie animation
+   * @returns {Object} - Lottie JSON
+   */
+  exportAnimation() {
+    const fps = this.app.state.fps || 12;
+    const keyframes = this.tracks.getKeyframes();
+    const animated = keyframes.length > 1 &&
+      (keyframes[keyframes.length - 1].time || 0) > (keyframes[0].time || 0);
+
+    // A single stop at t=0 turns every value static
+    const timing = animated
+      ? this.tracks.buildTiming(keyframes)
+      : { stops: [{ from: 0, to: 0, t: 0 }], order: [0], keyTimes: [0], keySplines: [], duration: 1 };
+    const frameCount = Math.max(1, Math.round(timing.duration * fps));
+
+    const layers = [];
+    const layerTracks = keyframes.length > 0 ? this.tracks.buildLayers(keyframes) : [];
+
+    layerTracks.forEach(({ layer, tracks }, index) => {
+      layers.unshift({
+        ddd: 0,
+        ind: index + 1,
+        ty: 4,
+        nm: layer.name,
+        hd: !this.app.layers.isVisible(layer),
+        sr: 1,
+        ks: {
+          o: this.value(this.round(layer.opacity * 100)),
+          r: this.value(0),
+          p: this.value([this.app.canvasWidth / 2, this.app.canvasHeight / 2, 0]),
+          a: this.value([0, 0, 0]),
+          s: this.value([100, 100, 100])
+        },
+        ao: 0,
+        shapes: tracks.map((track, i) => this.shapeGroup(track, timing, frameCount, `Shape ${i + 1}`)).reverse(),
+        ip: 0,
+        op: frameCount,
+        st: 0,
+        bm: 0
+      });
+    });
+
+    return {
+      v: '5.7.4',
+      fr: fps,
+      ip: 0,
+      op: frameCount,
+      w: this.app.canvasWidth,
+      h: this.app.canvasHeight,
+      nm: 'Animation',
+      ddd: 0,
+      assets: [],
+      layers
+    };
+  }
+
+  shapeGroup(track, timing, frameCount, name) {
+    const stops = timing.stops;
+    const ringsAt = stops.map(stop => this.tracks.ringsAt(track, stop));
+    const stylesAt = stops.map(stop => this.tracks.styleAt(track, stop));
+    const animate = values => this.animatedValue(values, timing, frameCount);
+
+    const items = ringsAt[0].map((ring, r) => ({
+      ty: 'sh',
+      nm: r === 0 ? 'Path' : `Hole ${r}`,
+      ks: animate(ringsAt.map(rings => this.pathValue(rings[r], track.closed || r > 0)))
+    }));
+
+    items.push({
+      ty: 'fl',
+      nm: 'Fill',
+      c: animate(stylesAt.map(style => this.color(style.fill))),
+      o: animate(stylesAt.map(style => this.round(style.fillVisible ? this.alpha(style.fill) * style.fillOpacity * 100 : 0))),
+      r: track.fillRule === 'evenodd' ? 2 : 1
+    });
+
+    items.push({
+      ty: 'st',
+      nm: 'Stroke',
+      c: animate(stylesAt.map(style => this.color(style.stroke))),
+      o: animate(stylesAt.map(style => this.round(style.strokeVisible ? this.alpha(style.stroke) * 100 : 0))),
+      w: animate(stylesAt.map(style => this.round(style.strokeWidth))),
+      lc: 2,
+      lj: LottieExporter.lineJoin[track.styles[0].strokeJoin] || 1,
+      ml: 4
+    });
+
+    items.push({
+      ty: 'tr',
+      p: this.value([0, 0]),
+      a: this.value([0, 0]),
+      s: this.value([100, 100]),
+      r: this.value(0),
+      o: animate(stylesAt.map(style => this.round(style.opacity * 100))),
+      sk: this.value(0),
+      sa: this.value(0)
+    });
+
+    return { ty: 'gr', nm: name, it: items };
+  }
+
+  // Lottie path data for a polygon ring (straight edges: zero tangents)
+  pathValue(ring, closed) {
+    return {
+      c: closed,
+      v: ring.map(p => [this.round(p.x), this.round(p.y)]),
+      i: ring.map(() => [0, 0]),
+      o: ring.map(() => [0, 0])
+    };
+  }
+
+  // Static property
+  value(k) {
+    return { a: 0, k };
+  }
+
+  /**
+   * Property animated over the timing's stops, or static if it never changes
+   * @param {Array} values - Value at each stop (in stop order)
+   */
+  animatedValue(values, timing, frameCount) {
+    const first = JSON.stringify(values[0]);
+    if (values.every(v => JSON.stringify(v) === first)) return this.value(values[0]);
+
+    const wrap = v => (Array.isArray(v) ? v : [v]);
+    const keyframes = timing.order.map((stopIndex, j) => {
+      const keyframe = { t: this.round(timing.keyTimes[j] * frameCount), s: wrap(values[stopIndex]) };
+      const spline = timing.keySplines[j];
+      if (spline) {
+        // Out tangent of this keyframe and in tangent of the next
+        const [x1, y1, x2, y2] = spline.map(v => this.round(v));
+        keyframe.o = { x: [x1], y: [y1] };
+        keyframe.i = { x: [x2], y: [y2] };
+      }
+      return keyframe;
+    });
+
+    return { a: 1, k: keyframes };
+  }
+
+  // Colour as [r, g, b, 1] in 0-1; alpha goes into the opacity property
+  color(value) {
+    const c = StyleManager.parseColor(value) || StyleManager.parseColor(StyleManager.defaults.fill);
+    return [c.r / 255, c.g / 255, c.b / 255].map(v => this.round(v)).concat(1);
+  }
+
+  alpha(value) {
+    const c = StyleManager.parseColor(value);
+    return c ? c.a : 1;
+  }
+
+  round(value) {
+    const mult = Math.pow(10, this.precision);
+    return Math.round(value * mult) / mult || 0;
+  }
+}
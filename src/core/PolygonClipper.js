@@ -0,0 +1,380 @@
+/**
+ * PolygonClipper - Boolean operations on polygon sets.
+ *
+ * Each operand is a list of rings interpreted with the even-odd rule. All
+ * edges are split where they meet edges of the other operand, every piece is
+ * classified as inside, outside or coincident with the other operand, and
+ * the pieces selected by the operation are linked back into rings. Outer
+ * rings are returned with the holes they contain.
+ */
+export class PolygonClipper {
+  constructor() {
+    this.epsilon = 1e-9;
+  }
+
+  /**
+   * Combine two polygon sets
+   * @param {Array} subject - Rings of the first operand as [[{x, y}, ...], ...]
+   * @param {Array} clip - Rings of the second operand
+   * @param {string} operation - 'union' | 'subtract' | 'intersect' | 'xor'
+   * @returns {Array} - [{ outer: [{x, y}, ...], holes: [[{x, y}, ...], ...] }, ...]
+   */
+  compute(subject, clip, operation) {
+    if (operation === 'xor') {
+      // Both differences only touch along edges, so they can simply be combined
+      return [
+        ...this.compute(subject, clip, 'subtract'),
+        ...this.compute(clip, subject, 'subtract')
+      ];
+    }
+
+    const a = this.orientRings(subject);
+    const b = this.orientRings(clip);
+    const [edgesA, edgesB] = this.splitEdges(a, b);
+
+    this.classifyEdges(edgesA, edgesB, b);
+    this.classifyEdges(edgesB, edgesA, a);
+
+    const selected = [];
+    for (const edge of edgesA) {
+      if (operation === 'union' && (edge.type === 'outside' || edge.type === 'same')) selected.push(edge);
+      if (operation === 'intersect' && (edge.type === 'inside' || edge.type === 'same')) selected.push(edge);
+      if (operation === 'subtract' && (edge.type === 'outside' || edge.type === 'opposite')) selected.push(edge);
+    }
+    for (const edge of edgesB) {
+      if (operation === 'union' && edge.type === 'outside') selected.push(edge);
+      if (operation === 'intersect' && edge.type === 'inside') selected.push(edge);
+      if (operation === 'subtract' && edge.type === 'inside') {
+        selected.push({ start: edge.end, end: edge.start });
+      }
+    }
+
+    return this.buildPolygons(this.linkEdges(selected));
+  }
+
+  // Drop degenerate rings and orient the rest so the filled region is on the
+  // left of every edge: outer rings positive area, holes negative
+  orientRings(rings) {
+    const cleaned = rings
+      .map(ring => this.cleanRing(ring))
+      .filter(ring => ring.length >= 3 && Math.abs(this.signedArea(ring)) > this.epsilon);
+
+    return cleaned.map(ring => {
+      const sample = this.interiorPoint(ring);
+      let depth = 0;
+      for (const other of cleaned) {
+        if (other !== ring && this.pointInRing(sample, other)) depth++;
+      }
+      const isHole = depth % 2 === 1;
+      const area = this.signedArea(ring);
+      return (area > 0) === !isHole ? ring : ring.slice().reverse();
+    });
+  }
+
+  cleanRing(ring) {
+    const result = [];
+    for (const p of ring) {
+      const prev = result[result.length - 1];
+      if (!prev || !this.samePoint(prev, p)) result.push({ x: p.x, y: p.y });
+    }
+    while (result.length > 1 && this.samePoint(result[0], result[result.length - 1])) {
+      result.pop();
+    }
+    return result;
+  }
+
+  // Split the edges of both operands at every point where they meet
+  splitEdges(a, b) {
+    const segments = [];
+    for (const [owner, rings] of [['a', a], ['b', b]]) {
+      for (const ring of rings) {
+        for (let i = 0; i < ring.length; i++) {
+          const p = ring[i];
+          const q = ring[(i + 1) % ring.length];
+          segments.push({
+            owner,
+            p,
+            q,
+            minX: Math.min(p.x, q.x),
+            maxX: Math.max(p.x, q.x),
+            minY: Math.min(p.y, q.y),
+            maxY: Math.max(p.y, q.y),
+            splits: []
+          });
+        }
+      }
+    }
+
+    // Sweep along x so only overlapping segments are compared
+    const sorted = segments.slice().sort((s1, s2) => s1.minX - s2.minX);
+    for (let i = 0; i < sorted.length; i++) {
+      const s1 = sorted[i];
+      for (let j = i + 1; j < sorted.length; j++) {
+        const s2 = sorted[j];
+        if (s2.minX > s1.maxX + this.epsilon) break;
+        if (s1.owner === s2.owner) continue;
+        if (s2.minY > s1.maxY + this.epsilon || s2.maxY < s1.minY - this.epsilon) continue;
+        this.intersectSegments(s1, s2);
+      }
+    }
+
+    const edgesA = [];
+    const edgesB = [];
+    for (const segment of segments) {
+      const points = segment.splits
+        .sort((s1, s2) => s1.t - s2.t)
+        .map(split => split.point);
+      points.unshift(segment.p);
+      points.push(segment.q);
+
+      const target = segment.owner === 'a' ? edgesA : edgesB;
+      for (let i = 0; i < points.length - 1; i++) {
+        if (this.samePoint(points[i], points[i + 1])) continue;
+        target.push({ start: points[i], end: points[i + 1] });
+      }
+    }
+
+    return [edgesA, edgesB];
+  }
+
+  // Record the points where two segments meet on both of them. Shared points
+  // use the exact same coordinates so the pieces can be matched by key later
+  intersectSegments(s1, s2) {
+    let touching = false;
+
+    for (const [point, segment] of [[s1.p, s2], [s1.q, s2], [s2.p, s1], [s2.q, s1]]) {
+      const t = this.onSegmentInterior(point, segment.p, segment.q);
+      if (t !== null) {
+        segment.splits.push({ t, point });
+        touching = true;
+      }
+    }
+    if (touching) return;
+
+    const rx = s1.q.x - s1.p.x;
+    const ry = s1.q.y - s1.p.y;
+    const sx = s2.q.x - s2.p.x;
+    const sy = s2.q.y - s2.p.y;
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < this.epsilon) return;
+
+    const dx = s2.p.x - s1.p.x;
+    const dy = s2.p.y - s1.p.y;
+    const t = (dx * sy - dy * sx) / denom;
+    const u = (dx * ry - dy * rx) / denom;
+    if (t <= this.epsilon || t >= 1 - this.epsilon || u <= this.epsilon || u >= 1 - this.epsilon) return;
+
+    const point = { x: s1.p.x + t * rx, y: s1.p.y + t * ry };
+    s1.splits.push({ t, point });
+    s2.splits.push({ t: u, point });
+  }
+
+  // Parameter of p along a-b if p lies strictly between the endpoints, else null
+  onSegmentInterior(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    if (lenSq === 0) return null;
+
+    const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq;
+    if (t <= this.epsilon || t >= 1 - this.epsilon) return null;
+
+    const dist = Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / Math.sqrt(lenSq);
+    return dist < 1e-7 ? t : null;
+  }
+
+  // Mark each edge as 'inside', 'outside', 'same' (shared with an edge of
+  // the other operand running the same way) or 'opposite'
+  classifyEdges(edges, otherEdges, otherRings) {
+    const keys = new Set(otherEdges.map(edge => this.edgeKey(edge.start, edge.end)));
+
+    for (const edge of edges) {
+      if (keys.has(this.edgeKey(edge.start, edge.end))) {
+        edge.type = 'same';
+      } else if (keys.has(this.edgeKey(edge.end, edge.start))) {
+        edge.type = 'opposite';
+      } else {
+        const mid = {
+          x: (edge.start.x + edge.end.x) / 2,
+          y: (edge.start.y + edge.end.y) / 2
+        };
+        edge.type = this.pointInRings(mid, otherRings) ? 'inside' : 'outside';
+      }
+    }
+  }
+
+  // Chain directed edges into closed rings. Where several edges leave the
+  // same point, take the sharpest left turn so touching regions stay apart
+  linkEdges(edges) {
+    const outgoing = new Map();
+    for (const edge of edges) {
+      const key = this.pointKey(edge.start);
+      if (!outgoing.has(key)) outgoing.set(key, []);
+      outgoing.get(key).push(edge);
+    }
+
+    const rings = [];
+    for (const first of edges) {
+      if (first.used) continue;
+
+      const ring = [];
+      const startKey = this.pointKey(first.start);
+      let edge = first;
+      let closed = false;
+
+      while (edge) {
+        edge.used = true;
+        ring.push(edge.start);
+
+        const endKey = this.pointKey(edge.end);
+        if (endKey === startKey) {
+          closed = true;
+          break;
+        }
+
+        const candidates = (outgoing.get(endKey) || []).filter(e => !e.used);
+        edge = this.pickLeftmost(edge, candidates);
+      }
+
+      if (closed && ring.length >= 3) {
+        rings.push(this.removeCollinear(ring));
+      }
+    }
+
+    return rings.filter(ring => ring.length >= 3 && Math.abs(this.signedArea(ring)) > this.epsilon);
+  }
+
+  pickLeftmost(incoming, candidates) {
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    const inX = incoming.end.x - incoming.start.x;
+    const inY = incoming.end.y - incoming.start.y;
+    let best = null;
+    let bestTurn = -Infinity;
+
+    for (const candidate of candidates) {
+      const outX = candidate.end.x - candidate.start.x;
+      const outY = candidate.end.y - candidate.start.y;
+      const turn = Math.atan2(inX * outY - inY * outX, inX * outX + inY * outY);
+      if (turn > bestTurn) {
+        bestTurn = turn;
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  // Remove the extra vertices left on straight runs by edge splitting
+  removeCollinear(ring) {
+    const result = ring.slice();
+    let i = 0;
+    while (result.length > 3 && i < result.length) {
+      const prev = result[(i - 1 + result.length) % result.length];
+      const curr = result[i];
+      const next = result[(i + 1) % result.length];
+      const cross = (curr.x - prev.x) * (next.y - curr.y) - (curr.y - prev.y) * (next.x - curr.x);
+      const dot = (curr.x - prev.x) * (next.x - curr.x) + (curr.y - prev.y) * (next.y - curr.y);
+      if (Math.abs(cross) < this.epsilon && dot > 0) {
+        result.splice(i, 1);
+      } else {
+        i++;
+      }
+    }
+    return result;
+  }
+
+  // Group rings into outer boundaries and the holes they contain
+  buildPolygons(rings) {
+    const outers = [];
+    const holes = [];
+    for (const ring of rings) {
+      const area = this.signedArea(ring);
+      if (area > 0) {
+        outers.push({ outer: ring, holes: [], area });
+      } else {
+        holes.push(ring);
+      }
+    }
+
+    for (const hole of holes) {
+      // A point just left of a hole edge lies in the filled region around it
+      const sample = this.pointBesideEdge(hole[0], hole[1]);
+      let owner = null;
+      for (const polygon of outers) {
+        if (this.pointInRing(sample, polygon.outer) && (!owner || polygon.area < owner.area)) {
+          owner = polygon;
+        }
+      }
+      if (owner) owner.holes.push(hole);
+    }
+
+    return outers.map(({ outer, holes }) => ({ outer, holes }));
+  }
+
+  pointBesideEdge(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const offset = Math.min(len * 0.01, 1e-3);
+    return {
+      x: (a.x + b.x) / 2 - dy / len * offset,
+      y: (a.y + b.y) / 2 + dx / len * offset
+    };
+  }
+
+  // A point strictly inside a ring, used to test how deeply rings nest
+  interiorPoint(ring) {
+    const area = this.signedArea(ring);
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      const sample = area > 0 ? this.pointBesideEdge(a, b) : this.pointBesideEdge(b, a);
+      if (this.pointInRing(sample, ring)) return sample;
+    }
+    return ring[0];
+  }
+
+  pointInRings(point, rings) {
+    let inside = false;
+    for (const ring of rings) {
+      if (this.pointInRing(point, ring)) inside = !inside;
+    }
+    return inside;
+  }
+
+  pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const xi = ring[i].x, yi = ring[i].y;
+      const xj = ring[j].x, yj = ring[j].y;
+      if (((yi > point.y) !== (yj > point.y)) &&
+          (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  samePoint(a, b) {
+    return Math.abs(a.x - b.x) <= this.epsilon && Math.abs(a.y - b.y) <= this.epsilon;
+  }
+
+  pointKey(p) {
+    return `${p.x},${p.y}`;
+  }
+
+  edgeKey(a, b) {
+    return `${this.pointKey(a)}|${this.pointKey(b)}`;
+  }
+}
@@ -0,0 +1,396 @@
+import { BezierPath } from './BezierPath.js';
+import { ReferenceImageManager } from './ReferenceImageManager.js';
+
+/**
+ * ProjectSchema - Versions, migration and validation of project files.
+ *
+ * The current format (version 4) is what FolderManager.getProjectData
+ * writes:
+ *
+ *   { version, canvasWidth?, canvasHeight?, fps?, timelineDuration?,
+ *     loopMode?, morphMode?, playbackSpeed?, currentFrameIndex?,
+ *     layers: [{ id, name?, visible?, locked?, opacity?, solo?, color?, parentId? }],
+ *     groups?: [{ id, name?, ... }],
+ *     symbols?: [{ id, name?, shapes: [shape] }],
+ *     frames: [{ id?, time?, easing?, content: { [layerId]: [shape] } }],
+ *     referenceImages?: [{ id, name?, assets: [path], x?, y?, scaleX?, scaleY?,
+ *       rotation?, opacity?, visible?, locked?, placement?, keyframes?, start? }] }
+ *
+ * A shape has an `id` and `vertices` ({x, y} with optional bezier handles
+ * and pin), or is a symbol instance (`type: 'instance'`, `symbolId`,
+ * `transform` {a, b, c, d, e, f}). Holes, fill rule, style and shape groups
+ * are optional. Anything else the editor needs is filled in when loading.
+ * Reference images name files in the project's assets (see FolderManager
+ * bundles).
+ *
+ * Older data is migrated one version at a time up to the current one:
+ *   0 - unversioned files: keyframes holding their own `layers`, a single
+ *       frame of `layers` (also what SvgImporter returns), a `shapes` list
+ *       or a single shape's `vertices`
+ *   1 - browser saves: `{ version: 1, state }` holding editor state
+ *   2 - keyframes holding their own `layers`, matched by track id
+ *   3 - a single `referenceImage` ({ asset, x, y, scale, opacity, visible,
+ *       locked })
+ *
+ * Validation reports each problem with where it is. Problems with single
+ * shapes (or shapes kept on a layer that doesn't exist), with reference
+ * images and with layer names and colours can be repaired by dropping them;
+ * anything else is fatal.
+ */
+export class ProjectSchema {
+  constructor(app) {
+    this.app = app;
+    this.migrations = {
+      0: data => this.migrateUnversioned(data),
+      1: data => this.migrateBrowserSave(data),
+      2: data => this.migrateFrameLayers(data),
+      3: data => this.migrateReferenceImage(data)
+    };
+  }
+
+  static VERSION = 4;
+  static fillRules = ['nonzero', 'evenodd'];
+
+  // ============= MIGRATION =============
+
+  getVersion(data) {
+    if (typeof data.version === 'number') return data.version;
+    if (data.state) return 1;
+    // Project-wide layers were written before the version was bumped
+    if (Array.isArray(data.frames) && Array.isArray(data.layers) && data.frames.every(f => f && f.content)) return 3;
+    return 0;
+  }
+
+  /**
+   * Bring project data up to the current version
+   * @param {Object} data - Parsed project file (left unchanged)
+   * @returns {Object} - { data, fromVersion }
+   * @throws {Error} - If the data can't be read as any known version
+   */
+  migrate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Project data is not an object');
+    }
+
+    const fromVersion = this.getVersion(data);
+    if (fromVersion > ProjectSchema.VERSION) {
+      throw new Error(`Project version ${fromVersion} is newer than this editor supports (${ProjectSchema.VERSION})`);
+    }
+
+    let result = JSON.parse(JSON.stringify(data));
+    let version = fromVersion;
+    while (version < ProjectSchema.VERSION) {
+      const migration = this.migrations[version];
+      if (!migration) throw new Error(`Unknown project version ${version}`);
+      result = migration(result);
+      version = result.version;
+    }
+    return { data: result, fromVersion };
+  }
+
+  // Version 0 to 2: wrap whatever was found in keyframes
+  migrateUnversioned(data) {
+    let frames;
+    if (Array.isArray(data.frames)) {
+      frames = data.frames;
+    } else if (Array.isArray(data.layers)) {
+      frames = [{ layers: data.layers }];
+    } else if (Array.isArray(data.shapes)) {
+      frames = [{ layers: [{ name: 'Layer 1', shapes: data.shapes }] }];
+    } else if (Array.isArray(data.vertices || data.verts)) {
+      const shape = {
+        type: 'polygon',
+        vertices: data.vertices || data.verts,
+        holes: data.holes || [],
+        fillRule: data.fillRule || 'nonzero',
+        closed: data.closed !== false,
+        // Missing style properties fall back to StyleManager.defaults
+        fill: data.fill,
+        stroke: data.stroke
+      };
+      frames = [{ layers: [{ name: 'Layer 1', shapes: [shape] }] }];
+    } else {
+      throw new Error('No frames, layers or shapes found');
+    }
+
+    // Shapes in these files may have no ids
+    for (const frame of frames) {
+      for (const layer of (frame && Array.isArray(frame.layers) ? frame.layers : [])) {
+        for (const shape of (layer && Array.isArray(layer.shapes) ? layer.shapes : [])) {
+          if (shape && typeof shape === 'object' && !shape.id) shape.id = this.app.shapes.generateId();
+        }
+      }
+    }
+
+    return { ...data, version: 2, frames };
+  }
+
+  // Version 1 to 2 (or 3 if the state already had project-wide layers)
+  migrateBrowserSave(data) {
+    const state = data.state || {};
+    const projectWide = Array.isArray(state.layers) && Array.isArray(state.frames) &&
+      state.frames.every(f => f && f.content);
+    return {
+      version: projectWide ? 3 : 2,
+      frames: state.frames,
+      layers: state.layers,
+      groups: state.groups,
+      symbols: state.symbols,
+      currentFrameIndex: state.currentFrameIndex
+    };
+  }
+
+  // Version 2 to 3: layers defined once for the project
+  migrateFrameLayers(data) {
+    if (!Array.isArray(data.frames)) throw new Error('Project has no frames');
+
+    const frames = data.frames.map((frame, index) => ({
+      ...frame,
+      time: frame && frame.time != null ? frame.time : index * 1.0,
+      layers: (frame && Array.isArray(frame.layers) ? frame.layers : [])
+        .filter(layer => layer && typeof layer === 'object')
+    }));
+    const layers = this.app.layers.migrateFrameLayers(frames);
+
+    return {
+      ...data,
+      version: 3,
+      layers,
+      groups: [],
+      frames,
+      // Projects saved before morph modes tweened by vertex index
+      morphMode: data.morphMode || 'index'
+    };
+  }
+
+  // Version 3 to 4: a list of reference images
+  migrateReferenceImage(data) {
+    const { referenceImage, ...rest } = data;
+    const ref = referenceImage && typeof referenceImage === 'object' ? referenceImage : null;
+    return {
+      ...rest,
+      version: 4,
+      referenceImages: ref ? [{
+        id: 'ref_1',
+        name: 'Reference',
+        assets: [ref.asset],
+        x: ref.x,
+        y: ref.y,
+        scaleX: ref.scale,
+        scaleY: ref.scale,
+        opacity: ref.opacity,
+        visible: ref.visible,
+        locked: ref.locked
+      }] : []
+    };
+  }
+
+  // ============= VALIDATION =============
+
+  /**
+   * Check current-version project data
+   * @param {Object} data - Migrated project data
+   * @param {Object} options - { repair }: drop invalid shapes (shapes on
+   *   unknown layers, reference images, layer names and colours) from `data`
+   *   while checking
+   * @returns {Array} - [{ location, message, fatal }]
+   */
+  validate(data, { repair = false } = {}) {
+    const errors = [];
+    const fatal = (location, message) => errors.push({ location, message, fatal: true });
+
+    if (!Array.isArray(data.layers)) {
+      fatal('Project', 'layers is not a list');
+      return errors;
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+      fatal('Project', 'has no keyframes');
+      return errors;
+    }
+
+    const layerNames = new Map();
+    data.layers.forEach((layer, i) => {
+      if (!layer || typeof layer !== 'object' || typeof layer.id !== 'string') {
+        fatal(`Layer ${i + 1}`, 'has no id');
+      } else if (layerNames.has(layer.id)) {
+        fatal(`Layer ${i + 1}`, `repeats the id "${layer.id}"`);
+      } else {
+        this.checkLabels(layer, `Layer ${i + 1}`, errors, repair);
+        layerNames.set(layer.id, layer.name || layer.id);
+      }
+    });
+
+    if (data.groups != null && !Array.isArray(data.groups)) fatal('Project', 'groups is not a list');
+    (Array.isArray(data.groups) ? data.groups : []).forEach((group, i) => {
+      if (!group || typeof group.id !== 'string') fatal(`Layer group ${i + 1}`, 'has no id');
+      else this.checkLabels(group, `Layer group ${i + 1}`, errors, repair);
+    });
+
+    const symbols = data.symbols == null ? [] : data.symbols;
+    if (!Array.isArray(symbols)) {
+      fatal('Project', 'symbols is not a list');
+      return errors;
+    }
+    const symbolIds = new Set();
+    symbols.forEach((symbol, i) => {
+      if (!symbol || typeof symbol.id !== 'string' || !Array.isArray(symbol.shapes)) {
+        fatal(`Symbol ${i + 1}`, 'needs an id and a shapes list');
+      } else {
+        symbolIds.add(symbol.id);
+      }
+    });
+    for (const symbol of symbols.filter(s => symbolIds.has(s.id))) {
+      symbol.shapes = this.checkShapes(symbol.shapes, `Symbol "${symbol.name || symbol.id}"`, symbolIds, errors, repair);
+    }
+
+    if (data.referenceImages != null && !Array.isArray(data.referenceImages)) {
+      errors.push({ location: 'Project', message: 'referenceImages is not a list', fatal: false });
+      if (repair) data.referenceImages = [];
+    } else if (data.referenceImages) {
+      data.referenceImages = data.referenceImages.filter((ref, i) => {
+        const problem = this.checkReferenceImage(ref);
+        if (!problem) return true;
+        errors.push({ location: `Reference image ${i + 1}`, message: problem, fatal: false });
+        return !repair;
+      });
+    }
+
+    data.frames.forEach((frame, i) => {
+      const where = `Keyframe ${i + 1}`;
+      if (!frame || typeof frame !== 'object' || !frame.content || typeof frame.content !== 'object') {
+        fatal(where, 'has no content');
+        return;
+      }
+      if (frame.time != null && !(Number.isFinite(frame.time) && frame.time >= 0)) fatal(where, 'time is not a positive number');
+      if (frame.easing != null && typeof frame.easing !== 'string') fatal(where, 'easing is not a name');
+
+      for (const [layerId, shapes] of Object.entries(frame.content)) {
+        if (!layerNames.has(layerId)) {
+          errors.push({ location: where, message: `holds shapes on layer "${layerId}", which doesn't exist`, fatal: false });
+          if (repair) delete frame.content[layerId];
+        } else if (!Array.isArray(shapes)) {
+          errors.push({ location: `${where} › Layer "${layerNames.get(layerId)}"`, message: 'shapes is not a list', fatal: false });
+          if (repair) frame.content[layerId] = [];
+        } else {
+          frame.content[layerId] = this.checkShapes(shapes, `${where} › Layer "${layerNames.get(layerId)}"`, symbolIds, errors, repair);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  // A layer's or group's name and colour tag; repairing drops them, so the
+  // defaults are used instead
+  checkLabels(node, where, errors, repair) {
+    if (node.name != null && typeof node.name !== 'string') {
+      errors.push({ location: where, message: 'name is not a string', fatal: false });
+      if (repair) delete node.name;
+    }
+    if (node.color != null && !(typeof node.color === 'string' && /^#[0-9a-f]{6}$/i.test(node.color))) {
+      errors.push({ location: where, message: 'colour is not a #rrggbb value', fatal: false });
+      if (repair) delete node.color;
+    }
+  }
+
+  // Check a list of shapes, returning it without the invalid ones if repairing
+  checkShapes(shapes, where, symbolIds, errors, repair) {
+    return shapes.filter((shape, i) => {
+      const problem = this.checkShape(shape, symbolIds);
+      if (!problem) return true;
+
+      const name = shape && typeof shape.id === 'string' ? ` (${shape.id})` : '';
+      errors.push({ location: `${where} › Shape ${i + 1}${name}`, message: problem, fatal: false });
+      return !repair;
+    });
+  }
+
+  /**
+   * The first problem with a shape
+   * @returns {string|null} - Description, or null if the shape is valid
+   */
+  checkShape(shape, symbolIds) {
+    if (!shape || typeof shape !== 'object' || Array.isArray(shape)) return 'is not an object';
+    if (typeof shape.id !== 'string' || !shape.id) return 'has no id';
+    if (!Array.isArray(shape.vertices)) return 'vertices is not a list';
+
+    if (shape.type === 'instance') {
+      if (!symbolIds.has(shape.symbolId)) return `places symbol "${shape.symbolId}", which doesn't exist`;
+      const m = shape.transform;
+      if (!m || !['a', 'b', 'c', 'd', 'e', 'f'].every(k => Number.isFinite(m[k]))) return 'transform is not a full matrix';
+    } else {
+      if (shape.vertices.length < 2) return `has ${shape.vertices.length} vertices (at least 2 are needed)`;
+      const problem = this.checkRing(shape.vertices, 'vertices');
+      if (problem) return problem;
+    }
+
+    if (shape.holes != null) {
+      if (!Array.isArray(shape.holes)) return 'holes is not a list';
+      for (let h = 0; h < shape.holes.length; h++) {
+        const hole = shape.holes[h];
+        if (!Array.isArray(hole) || hole.length < 3) return `holes[${h}] needs at least 3 vertices`;
+        const problem = this.checkRing(hole, `holes[${h}]`);
+        if (problem) return problem;
+      }
+    }
+
+    if (shape.fillRule != null && !ProjectSchema.fillRules.includes(shape.fillRule)) return `fill rule "${shape.fillRule}" is unknown`;
+    for (const key of ['fill', 'stroke', 'strokeJoin']) {
+      if (shape[key] != null && typeof shape[key] !== 'string') return `${key} is not a string`;
+    }
+    if (shape.strokeWidth != null && !(Number.isFinite(shape.strokeWidth) && shape.strokeWidth >= 0)) return 'strokeWidth is not a positive number';
+    for (const key of ['opacity', 'fillOpacity']) {
+      if (shape[key] != null && !(Number.isFinite(shape[key]) && shape[key] >= 0 && shape[key] <= 1)) return `${key} is not between 0 and 1`;
+    }
+    if (shape.groups != null && !(Array.isArray(shape.groups) && shape.groups.every(id => typeof id === 'string'))) {
+      return 'groups is not a list of ids';
+    }
+    return null;
+  }
+
+  checkRing(ring, name) {
+    const isPoint = p => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+    for (let v = 0; v < ring.length; v++) {
+      const p = ring[v];
+      if (!isPoint(p)) return `${name}[${v}] is not a point with numeric x and y`;
+      for (const key of ['handleIn', 'handleOut']) {
+        if (p[key] != null && !isPoint(p[key])) return `${name}[${v}].${key} is not a numeric offset`;
+      }
+      if (p.handleType != null && !BezierPath.handleTypes.includes(p.handleType)) {
+        return `${name}[${v}] has unknown handle type "${p.handleType}"`;
+      }
+      if (p.pin != null && !Number.isFinite(p.pin)) return `${name}[${v}].pin is not a number`;
+    }
+    return null;
+  }
+
+  checkReferenceImage(ref) {
+    if (!ref || typeof ref !== 'object' || Array.isArray(ref)) return 'is not an object';
+    if (!Array.isArray(ref.assets) || ref.assets.length === 0 || !ref.assets.every(path => typeof path === 'string' && path)) {
+      return 'names no image assets';
+    }
+    for (const key of ['x', 'y', 'rotation', 'start']) {
+      if (ref[key] != null && !Number.isFinite(ref[key])) return `${key} is not a number`;
+    }
+    for (const key of ['scaleX', 'scaleY']) {
+      if (ref[key] != null && !(Number.isFinite(ref[key]) && ref[key] > 0)) return `${key} is not a positive number`;
+    }
+    if (ref.opacity != null && !(Number.isFinite(ref.opacity) && ref.opacity >= 0 && ref.opacity <= 1)) return 'opacity is not between 0 and 1';
+    if (ref.placement != null && !ReferenceImageManager.placements.includes(ref.placement)) return `placement "${ref.placement}" is unknown`;
+    if (ref.keyframes != null && !(Array.isArray(ref.keyframes) && ref.keyframes.every(id => typeof id === 'string'))) {
+      return 'keyframes is not a list of ids';
+    }
+    return null;
+  }
+
+  /**
+   * Readable list of problems
+   * @param {Array} errors - From validate()
+   * @param {number} limit - Problems listed before summarising the rest
+   */
+  formatErrors(errors, limit = 10) {
+    const lines = errors.slice(0, limit).map(e => `• ${e.location}: ${e.message}`);
+    if (errors.length > limit) lines.push(`…and ${errors.length - limit} more`);
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,300 @@
+import { GifEncoder } from './GifEncoder.js';
+import { ZipArchive } from './ZipArchive.js';
+
+/**
+ * RasterExporter - Renders frames to PNG images, sprite sheets, animated GIFs
+ * and ZIPs of numbered PNG frames.
+ *
+ * Frames are drawn with CanvasRenderer.renderFrameContent(), so the output
+ * matches the editor without grid, handles, selection or canvas bounds. The
+ * image covers the canvas bounds (canvasWidth x canvasHeight) multiplied by
+ * the export scale, on a transparent background (GIFs get a solid
+ * background colour since they only support 1-bit transparency).
+ */
+export class RasterExporter {
+  constructor(app) {
+    this.app = app;
+    // Gap between sprite sheet cells, in pixels
+    this.padding = 2;
+    // Largest canvas dimension browsers reliably support
+    this.maxSize = 16384;
+  }
+
+  getScale() {
+    const scale = parseFloat(document.getElementById('rasterScale')?.value);
+    return scale > 0 ? scale : 1;
+  }
+
+  // Pixel size of one rendered frame at the given scale
+  getFrameSize(scale = this.getScale()) {
+    return {
+      width: Math.max(1, Math.round(this.app.canvasWidth * scale)),
+      height: Math.max(1, Math.round(this.app.canvasHeight * scale))
+    };
+  }
+
+  /**
+   * Draw a frame into a context
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} frame - Frame to draw
+   * @param {number} scale - Pixels per world unit
+   * @param {number} x - Left edge of the frame in the target, in pixels
+   * @param {number} y - Top edge of the frame in the target, in pixels
+   */
+  drawFrame(ctx, frame, scale, x = 0, y = 0) {
+    const { width, height } = this.getFrameSize(scale);
+
+    ctx.save();
+    // Clip to the cell so strokes don't bleed into neighbouring sprites
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.clip();
+    // World origin is at the center of the canvas bounds
+    ctx.setTransform(scale, 0, 0, scale, x + width / 2, y + height / 2);
+    this.app.renderer.renderFrameContent(ctx, frame);
+    ctx.restore();
+  }
+
+  createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  toBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) resolve(blob);
+        else reject(new Error('Could not encode PNG'));
+      }, 'image/png');
+    });
+  }
+
+  // Render a single frame to a canvas, optionally over a background colour
+  renderFrame(frame, scale = this.getScale(), background = null, canvas = null) {
+    const { width, height } = this.getFrameSize(scale);
+    if (width > this.maxSize || height > this.maxSize) {
+      throw new Error(`Image would be ${width} × ${height} px, the limit is ${this.maxSize} px`);
+    }
+
+    if (!canvas) canvas = this.createCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.clearRect(0, 0, width, height);
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    this.drawFrame(ctx, frame, scale);
+    return canvas;
+  }
+
+  /**
+   * Sample the timeline at the project fps, using the same interpolation as
+   * playback
+   * @returns {Array} - [{ time, frame }]
+   */
+  getTimelineSamples() {
+    const fps = this.app.state.fps || 12;
+    const { minTime, maxTime } = this.app.getPlayableRange();
+    const frames = this.app.frames;
+    if (frames.frames.length === 0) return [];
+    if (frames.frames.length === 1) return [{ time: frames.frames[0].time || 0, frame: frames.frames[0] }];
+
+    // Include the last keyframe; tiny overshoots from float steps are dropped
+    const count = Math.floor((maxTime - minTime) * fps + 1e-6) + 1;
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      const time = minTime + i / fps;
+      samples.push({ time, frame: frames.getDisplayFrameAtTime(time) });
+    }
+    return samples;
+  }
+
+  // Timeline samples in playback order; pingpong plays forward then back
+  getPlaybackSamples() {
+    const samples = this.getTimelineSamples();
+    if (this.app.state.loopMode === 'pingpong' && samples.length > 2) {
+      // Skip both ends on the way back so they aren't shown twice
+      return [...samples, ...samples.slice(1, -1).reverse()];
+    }
+    return samples;
+  }
+
+  // Frame delays in hundredths of a second, rounded without drifting
+  getFrameDelays(count, fps) {
+    const delays = [];
+    for (let i = 0; i < count; i++) {
+      delays.push(Math.round((i + 1) * 100 / fps) - Math.round(i * 100 / fps));
+    }
+    return delays;
+  }
+
+  // Let the browser repaint between frames of long exports
+  nextTick() {
+    return new Promise(resolve => setTimeout(resolve));
+  }
+
+  /**
+   * Render the animation into a grid image
+   * @param {number} scale - Pixels per world unit
+   * @returns {Object} - { canvas, atlas }
+   */
+  renderSpriteSheet(scale = this.getScale()) {
+    const samples = this.getTimelineSamples();
+    if (samples.length === 0) throw new Error('No frames to export');
+
+    const { width, height } = this.getFrameSize(scale);
+    const padding = this.padding;
+    const columns = Math.ceil(Math.sqrt(samples.length));
+    const rows = Math.ceil(samples.length / columns);
+    const sheetWidth = columns * width + (columns - 1) * padding;
+    const sheetHeight = rows * height + (rows - 1) * padding;
+
+    if (sheetWidth > this.maxSize || sheetHeight > this.maxSize) {
+      throw new Error(`Sprite sheet would be ${sheetWidth} × ${sheetHeight} px, ` +
+        `the limit is ${this.maxSize} px. Lower the scale or fps.`);
+    }
+
+    const canvas = this.createCanvas(sheetWidth, sheetHeight);
+    const ctx = canvas.getContext('2d');
+    const fps = this.app.state.fps || 12;
+    const frames = [];
+
+    samples.forEach((sample, index) => {
+      const x = (index % columns) * (width + padding);
+      const y = Math.floor(index / columns) * (height + padding);
+      this.drawFrame(ctx, sample.frame, scale, x, y);
+      frames.push({
+        index,
+        x,
+        y,
+        w: width,
+        h: height,
+        time: Math.round(sample.time * 1000) / 1000,
+        duration: Math.round(1000 / fps) / 1000
+      });
+    });
+
+    const atlas = {
+      size: { w: sheetWidth, h: sheetHeight },
+      frameSize: { w: width, h: height },
+      scale,
+      fps,
+      loopMode: this.app.state.loopMode,
+      frames
+    };
+
+    return { canvas, atlas };
+  }
+
+  async exportPNG() {
+    try {
+      // Export what the editor currently shows, including in-between frames
+      const frame = this.app.state.interpolatedFrame || this.app.frames.getCurrentFrame();
+      if (!frame) throw new Error('No frame to export');
+
+      const blob = await this.toBlob(this.renderFrame(frame));
+      this.app.exporter.downloadFile('frame.png', blob, 'image/png');
+    } catch (err) {
+      console.error('PNG export failed:', err);
+      alert('PNG export failed: ' + err.message);
+    }
+  }
+
+  async exportSpriteSheet() {
+    try {
+      const { canvas, atlas } = this.renderSpriteSheet();
+      atlas.image = 'spritesheet.png';
+
+      const blob = await this.toBlob(canvas);
+      this.app.exporter.downloadFile('spritesheet.png', blob, 'image/png');
+      this.app.exporter.downloadFile('spritesheet.json', JSON.stringify(atlas, null, 2), 'application/json');
+      this.app.showNotification(`Exported ${atlas.frames.length} frame(s)`);
+    } catch (err) {
+      console.error('Sprite sheet export failed:', err);
+      alert('Sprite sheet export failed: ' + err.message);
+    }
+  }
+
+  /**
+   * Encode the playback as an animated GIF
+   * @param {Object} options - { scale, background, dither }
+   * @returns {Promise<Uint8Array>} - GIF file bytes
+   */
+  async encodeGIF(options = {}) {
+    const scale = options.scale || this.getScale();
+    const background = options.background || '#ffffff';
+    const samples = this.getPlaybackSamples();
+    if (samples.length === 0) throw new Error('No frames to export');
+
+    const { width, height } = this.getFrameSize(scale);
+    const canvas = this.createCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const pixels = frame => {
+      this.renderFrame(frame, scale, background, canvas);
+      return ctx.getImageData(0, 0, width, height).data;
+    };
+
+    // Render twice - once for the shared palette, once to encode - rather
+    // than keeping every frame's pixels in memory
+    const histogram = GifEncoder.createHistogram();
+    for (const sample of samples) {
+      GifEncoder.addToHistogram(histogram, pixels(sample.frame));
+    }
+
+    const encoder = new GifEncoder(width, height, {
+      palette: GifEncoder.buildPalette(histogram),
+      loop: this.app.state.loopMode === 'once' ? null : 0
+    });
+    const delays = this.getFrameDelays(samples.length, this.app.state.fps || 12);
+
+    for (let i = 0; i < samples.length; i++) {
+      encoder.addFrame(pixels(samples[i].frame), delays[i], { dither: options.dither });
+      await this.nextTick();
+    }
+
+    return encoder.finish();
+  }
+
+  async exportGIF() {
+    try {
+      this.app.showNotification('Encoding GIF...');
+      const bytes = await this.encodeGIF({
+        background: document.getElementById('gifBackground')?.value,
+        dither: document.getElementById('gifDither')?.checked
+      });
+      this.app.exporter.downloadFile('animation.gif', bytes, 'image/gif');
+    } catch (err) {
+      console.error('GIF export failed:', err);
+      alert('GIF export failed: ' + err.message);
+    }
+  }
+
+  // ZIP of numbered PNGs (frame_0001.png, ...) in playback order
+  async exportFrameSequence() {
+    try {
+      const samples = this.getPlaybackSamples();
+      if (samples.length === 0) throw new Error('No frames to export');
+
+      const zip = new ZipArchive();
+      const digits = Math.max(4, String(samples.length).length);
+      const scale = this.getScale();
+      const { width, height } = this.getFrameSize(scale);
+      const canvas = this.createCanvas(width, height);
+
+      for (let i = 0; i < samples.length; i++) {
+        this.renderFrame(samples[i].frame, scale, null, canvas);
+        const blob = await this.toBlob(canvas);
+        const name = `frame_${String(i + 1).padStart(digits, '0')}.png`;
+        zip.addFile(name, new Uint8Array(await blob.arrayBuffer()));
+      }
+
+      this.app.exporter.downloadFile('frames.zip', zip.toBlob(), 'application/zip');
+      this.app.showNotification(`Exported ${samples.length} frame(s)`);
+    } catch (err) {
+      console.error('Frame export failed:', err);
+      alert('Frame export failed: ' + err.message);
+    }
+  }
+}
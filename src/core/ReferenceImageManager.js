@@ -0,0 +1,495 @@
+/**
+ * ReferenceImageManager - Images to trace over, kept with the project.
+ *
+ * A reference is one image, or a sequence of numbered images that follows
+ * the playhead: one image per timeline frame (at the project fps) from its
+ * `start` time, holding the last one after the end. The image files are
+ * project assets (see FolderManager) and references name them by path.
+ *
+ * Placement: `x`, `y` is the top-left corner of the unrotated image, which
+ * is scaled by `scaleX` / `scaleY` and rotated by `rotation` degrees about
+ * its centre. References are drawn in list order, either below or above the
+ * shapes. One limited to some `keyframes` only shows while one of them is
+ * the current keyframe.
+ *
+ * References are part of the history state, so every change records an
+ * entry; handle drags are recorded when they end (see InputHandler).
+ */
+export class ReferenceImageManager {
+  constructor(app) {
+    this.app = app;
+    this.images = [];
+    this.activeId = null;
+    // Asset path -> decoded Image, null while decoding, false if unreadable
+    this.bitmaps = new Map();
+    this.idCounter = 1;
+    this.minScale = 0.01;
+  }
+
+  static placements = ['below', 'above'];
+
+  generateId() {
+    return 'ref_' + Date.now() + '_' + (this.idCounter++);
+  }
+
+  getImage(id) {
+    return this.images.find(image => image.id === id);
+  }
+
+  getActive() {
+    return this.getImage(this.activeId) || null;
+  }
+
+  setActive(id) {
+    this.activeId = id;
+    this.updateUI();
+    this.app.render();
+  }
+
+  // ============= PROJECT DATA =============
+
+  normalize(image, index) {
+    return {
+      id: image.id || this.generateId(),
+      name: image.name || `Reference ${index + 1}`,
+      assets: image.assets.slice(),
+      x: image.x || 0,
+      y: image.y || 0,
+      scaleX: image.scaleX || 1,
+      scaleY: image.scaleY || 1,
+      rotation: image.rotation || 0,
+      opacity: image.opacity != null ? image.opacity : 0.5,
+      visible: image.visible !== false,
+      locked: !!image.locked,
+      placement: image.placement === 'above' ? 'above' : 'below',
+      keyframes: Array.isArray(image.keyframes) ? image.keyframes.slice() : null,
+      start: image.start || 0
+    };
+  }
+
+  // Saved references; ones whose files are missing are dropped
+  load(images) {
+    const all = images || [];
+    this.images = all
+      .filter(image => image.assets.every(path => this.app.folder.getAsset(path)))
+      .map((image, i) => this.normalize(image, i));
+    this.activeId = null;
+    for (const path of this.bitmaps.keys()) {
+      if (!this.images.some(image => image.assets.includes(path))) this.bitmaps.delete(path);
+    }
+    if (this.images.length < all.length) {
+      this.app.showNotification('Reference images not found: open the project bundle to include them');
+    }
+    this.updateUI();
+  }
+
+  // References from a history state; ones whose files went with a project
+  // loaded since are left out
+  restore(images) {
+    this.images = images.filter(image => image.assets.every(path => this.app.folder.getAsset(path)));
+    if (!this.getImage(this.activeId)) this.activeId = null;
+    this.updateUI();
+  }
+
+  getProjectData() {
+    return this.images.map(image => ({ ...image, assets: image.assets.slice() }));
+  }
+
+  // ============= ADDING & ORDER =============
+
+  /**
+   * Add image files as references, centred on the canvas
+   * @param {Array} files - File objects
+   * @param {boolean} asSequence - One reference stepping through the files
+   *   in number order, instead of one reference per file
+   * @returns {Promise<Array>} - The new references
+   */
+  async addFiles(files, asSequence = false) {
+    const paths = [];
+    const sorted = asSequence ? this.sortByNumber([...files]) : [...files];
+    for (const file of sorted) {
+      paths.push(this.app.folder.addAsset(file.name, file.type, new Uint8Array(await file.arrayBuffer())));
+    }
+    if (paths.length === 0) return [];
+
+    const groups = asSequence
+      ? [{ name: this.sequenceName(sorted.map(f => f.name)), assets: paths }]
+      : paths.map((path, i) => ({ name: sorted[i].name.replace(/\.[^.]+$/, ''), assets: [path] }));
+
+    const added = [];
+    for (const group of groups) {
+      const bitmap = await this.decode(group.assets[0]);
+      const image = this.normalize({
+        ...group,
+        x: -bitmap.width / 2,
+        y: -bitmap.height / 2
+      }, this.images.length);
+      this.images.push(image);
+      added.push(image);
+    }
+    this.activeId = added[added.length - 1].id;
+    this.updateUI();
+    this.app.render();
+    this.app.saveHistory(added.length > 1 ? 'Add References' : 'Add Reference');
+    return added;
+  }
+
+  // Files in order of the last number in their names (frame_2 before frame_10)
+  sortByNumber(files) {
+    const number = file => {
+      const matches = file.name.match(/\d+/g);
+      return matches ? parseInt(matches[matches.length - 1]) : 0;
+    };
+    return files.sort((a, b) => number(a) - number(b) || a.name.localeCompare(b.name));
+  }
+
+  // Name shared by a sequence's files, without frame numbers
+  sequenceName(names) {
+    const base = names[0].replace(/\.[^.]+$/, '').replace(/[\s_.-]*\d+$/, '');
+    return (base || 'Sequence') + ` (${names.length} frames)`;
+  }
+
+  remove(id) {
+    this.images = this.images.filter(image => image.id !== id);
+    if (this.activeId === id) this.activeId = null;
+    this.updateUI();
+    this.app.render();
+    this.app.saveHistory('Remove Reference');
+  }
+
+  // Move a reference up (drawn later, on top) or down the list
+  move(id, direction) {
+    const index = this.images.findIndex(image => image.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= this.images.length) return;
+
+    [this.images[index], this.images[target]] = [this.images[target], this.images[index]];
+    this.updateUI();
+    this.app.render();
+    this.app.saveHistory('Reorder Reference');
+  }
+
+  /**
+   * Change a reference's settings
+   * @param {string} id - Reference id
+   * @param {Object} changes - Settings to assign
+   * @param {string} label - History label
+   * @param {Object} options - History options, e.g. { coalesce } for sliders
+   */
+  update(id, changes, label = 'Change Reference', options = {}) {
+    const image = this.getImage(id);
+    if (!image) return;
+    Object.assign(image, changes);
+    this.updateUI();
+    this.app.render();
+    this.app.saveHistory(label, options);
+  }
+
+  // ============= KEYFRAMES & SEQUENCES =============
+
+  isShown(image) {
+    if (!image.visible) return false;
+    if (!image.keyframes) return true;
+    const frame = this.app.frames.getCurrentFrame();
+    return !!frame && image.keyframes.includes(frame.id);
+  }
+
+  // Show or hide a reference on one keyframe; shown on all of them, it is
+  // no longer limited
+  setShownOnKeyframe(id, frameId, shown) {
+    const image = this.getImage(id);
+    if (!image) return;
+
+    const allIds = this.app.frames.frames.map(frame => frame.id);
+    const current = new Set(image.keyframes || allIds);
+    if (shown) current.add(frameId);
+    else current.delete(frameId);
+    image.keyframes = allIds.every(frameId => current.has(frameId)) ? null : allIds.filter(frameId => current.has(frameId));
+    this.updateUI();
+    this.app.render();
+    this.app.saveHistory('Reference Keyframes');
+  }
+
+  // Asset shown at the playhead
+  getAssetAt(image, time = this.app.state.playheadTime) {
+    if (image.assets.length === 1) return image.assets[0];
+    const index = Math.floor((time - image.start) * (this.app.state.fps || 12) + 1e-6);
+    return image.assets[Math.max(0, Math.min(index, image.assets.length - 1))];
+  }
+
+  // ============= BITMAPS =============
+
+  // Decode an asset once
+  decode(path) {
+    const cached = this.bitmaps.get(path);
+    if (cached) return Promise.resolve(cached);
+
+    const asset = this.app.folder.getAsset(path);
+    if (!asset) return Promise.reject(new Error(`Missing asset ${path}`));
+    this.bitmaps.set(path, null);
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([asset.data], { type: asset.type }));
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        this.bitmaps.set(path, img);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        this.bitmaps.set(path, false);
+        reject(new Error(`Could not read ${path}`));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * The decoded image a reference shows now
+   * @returns {Image|null} - null until decoded; the view redraws then
+   */
+  getBitmap(image) {
+    const path = this.getAssetAt(image);
+    // The first image gives the size
+    for (const p of new Set([image.assets[0], path])) {
+      if (!this.bitmaps.has(p)) this.decode(p).then(() => this.app.render(), err => console.error(err));
+    }
+    return this.bitmaps.get(path) || null;
+  }
+
+  // ============= GEOMETRY =============
+
+  // Natural size, from the first image (sequence frames share it)
+  getSize(image) {
+    const bitmap = this.bitmaps.get(image.assets[0]);
+    return bitmap ? { width: bitmap.width, height: bitmap.height } : null;
+  }
+
+  getCenter(image, size) {
+    return {
+      x: image.x + size.width * image.scaleX / 2,
+      y: image.y + size.height * image.scaleY / 2
+    };
+  }
+
+  // Image pixel position (0..width, 0..height) to world
+  toWorld(image, size, u, v) {
+    const c = this.getCenter(image, size);
+    const angle = image.rotation * Math.PI / 180;
+    const dx = (u - size.width / 2) * image.scaleX;
+    const dy = (v - size.height / 2) * image.scaleY;
+    return {
+      x: c.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+      y: c.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+  }
+
+  // World position to image pixels
+  toImage(image, size, p) {
+    const c = this.getCenter(image, size);
+    const angle = -image.rotation * Math.PI / 180;
+    const dx = p.x - c.x;
+    const dy = p.y - c.y;
+    return {
+      u: (dx * Math.cos(angle) - dy * Math.sin(angle)) / image.scaleX + size.width / 2,
+      v: (dx * Math.sin(angle) + dy * Math.cos(angle)) / image.scaleY + size.height / 2
+    };
+  }
+
+  /**
+   * Handle positions in world coordinates: the four corners, and the
+   * rotation handle above the top edge
+   * @returns {Object|null} - { nw, ne, se, sw, rotate }
+   */
+  getHandles(image) {
+    const size = this.getSize(image);
+    if (!size) return null;
+
+    const { width: w, height: h } = size;
+    const top = this.toWorld(image, size, w / 2, 0);
+    const c = this.getCenter(image, size);
+    const length = Math.hypot(top.x - c.x, top.y - c.y) || 1;
+    const offset = 24 / this.app.state.zoom;
+    return {
+      nw: this.toWorld(image, size, 0, 0),
+      ne: this.toWorld(image, size, w, 0),
+      se: this.toWorld(image, size, w, h),
+      sw: this.toWorld(image, size, 0, h),
+      rotate: { x: top.x + (top.x - c.x) / length * offset, y: top.y + (top.y - c.y) / length * offset }
+    };
+  }
+
+  /**
+   * What a click with the select tool picks
+   * @returns {Object|null} - { imageId, handle } where handle is a corner,
+   *   'rotate' or 'move'. Handles belong to the active reference; any shown,
+   *   unlocked reference can be moved, the topmost first
+   */
+  hitTest(pos) {
+    const threshold = 8 / this.app.state.zoom;
+    const active = this.getActive();
+    if (active && this.isShown(active) && !active.locked) {
+      const handles = this.getHandles(active);
+      for (const [handle, p] of Object.entries(handles || {})) {
+        if (Math.hypot(pos.x - p.x, pos.y - p.y) < threshold) return { imageId: active.id, handle };
+      }
+    }
+
+    for (const image of this.images.slice().reverse()) {
+      if (!this.isShown(image) || image.locked) continue;
+      const size = this.getSize(image);
+      if (!size) continue;
+      const { u, v } = this.toImage(image, size, pos);
+      if (u >= 0 && u <= size.width && v >= 0 && v <= size.height) return { imageId: image.id, handle: 'move' };
+    }
+    return null;
+  }
+
+  /**
+   * Apply a handle drag
+   * @param {Object} original - The reference's settings when the drag began
+   * @param {string} handle - 'move', 'rotate' or a corner
+   * @param {Object} start - Where the drag began
+   * @param {Object} pos - Where it is now
+   * @param {boolean} constrain - Shift: keep the aspect ratio when scaling,
+   *   snap rotation to 15°
+   */
+  dragHandle(original, handle, start, pos, constrain) {
+    const image = this.getImage(original.id);
+    const size = this.getSize(original);
+    if (!image || !size) return;
+
+    if (handle === 'move') {
+      image.x = original.x + pos.x - start.x;
+      image.y = original.y + pos.y - start.y;
+    } else if (handle === 'rotate') {
+      const c = this.getCenter(original, size);
+      const turn = Math.atan2(pos.y - c.y, pos.x - c.x) - Math.atan2(start.y - c.y, start.x - c.x);
+      let rotation = original.rotation + turn * 180 / Math.PI;
+      if (constrain) rotation = Math.round(rotation / 15) * 15;
+      image.rotation = ((rotation % 360) + 540) % 360 - 180;
+    } else {
+      this.scaleFromCorner(image, original, size, handle, pos, constrain);
+    }
+    this.updateUI();
+  }
+
+  // Scale so the dragged corner follows pos and the opposite one stays put
+  scaleFromCorner(image, original, size, corner, pos, keepRatio) {
+    const signX = corner.includes('e') ? 1 : -1;
+    const signY = corner.includes('s') ? 1 : -1;
+    const anchor = this.toWorld(original, size, signX > 0 ? 0 : size.width, signY > 0 ? 0 : size.height);
+
+    const angle = original.rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = pos.x - anchor.x;
+    const dy = pos.y - anchor.y;
+    let scaleX = Math.max(this.minScale, (dx * cos + dy * sin) * signX / size.width);
+    let scaleY = Math.max(this.minScale, (-dx * sin + dy * cos) * signY / size.height);
+    if (keepRatio) {
+      const factor = Math.max(scaleX / original.scaleX, scaleY / original.scaleY);
+      scaleX = original.scaleX * factor;
+      scaleY = original.scaleY * factor;
+    }
+
+    // New centre, half the new size from the anchor along the image's axes
+    const hx = signX * size.width * scaleX / 2;
+    const hy = signY * size.height * scaleY / 2;
+    const cx = anchor.x + hx * cos - hy * sin;
+    const cy = anchor.y + hx * sin + hy * cos;
+    image.scaleX = scaleX;
+    image.scaleY = scaleY;
+    image.x = cx - size.width * scaleX / 2;
+    image.y = cy - size.height * scaleY / 2;
+  }
+
+  // ============= UI =============
+
+  updateUI() {
+    const container = document.getElementById('referenceList');
+    if (container) {
+      container.innerHTML = '';
+      if (this.images.length === 0) {
+        container.innerHTML = '<div class="file-item" style="color: var(--fg-muted); cursor: default;">No reference images</div>';
+      }
+      // Topmost first, like the layer list
+      for (const image of this.images.slice().reverse()) {
+        container.appendChild(this.createImageItem(image));
+      }
+    }
+
+    const active = this.getActive();
+    const settings = document.getElementById('refImageSettings');
+    if (settings) settings.style.display = active ? '' : 'none';
+    for (const id of ['removeRefImageBtn', 'refImageUpBtn', 'refImageDownBtn']) {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !active;
+    }
+    if (!active) return;
+
+    const setValue = (id, value) => {
+      const el = document.getElementById(id);
+      if (el && document.activeElement !== el) el.value = value;
+    };
+    const opacity = Math.round(active.opacity * 100);
+    setValue('refImageOpacity', opacity);
+    const opacityValue = document.getElementById('refImageOpacityValue');
+    if (opacityValue) opacityValue.textContent = opacity + '%';
+    setValue('refImageScaleX', Math.round(active.scaleX * 100));
+    setValue('refImageScaleY', Math.round(active.scaleY * 100));
+    setValue('refImageRotation', Math.round(active.rotation));
+    setValue('refImageX', Math.round(active.x));
+    setValue('refImageY', Math.round(active.y));
+    setValue('refImagePlacement', active.placement);
+    setValue('refImageStart', active.start);
+
+    const locked = document.getElementById('refImageLocked');
+    if (locked) locked.checked = active.locked;
+    const onKeyframe = document.getElementById('refImageOnKeyframe');
+    const frame = this.app.frames.getCurrentFrame();
+    if (onKeyframe) onKeyframe.checked = !active.keyframes || (!!frame && active.keyframes.includes(frame.id));
+    const sequenceRow = document.getElementById('refImageSequenceRow');
+    if (sequenceRow) sequenceRow.style.display = active.assets.length > 1 ? 'flex' : 'none';
+  }
+
+  createImageItem(image) {
+    const item = document.createElement('div');
+    item.className = 'layer-item' + (image.id === this.activeId ? ' active' : '') +
+      (image.visible ? '' : ' hidden');
+    item.title = 'Double-click to rename';
+
+    const visibility = document.createElement('span');
+    visibility.className = 'layer-visibility';
+    visibility.title = 'Toggle Visibility';
+    visibility.textContent = image.visible ? '👁' : '○';
+    item.appendChild(visibility);
+
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = image.name + (image.keyframes ? ' (some keyframes)' : '');
+    item.appendChild(name);
+
+    const lock = document.createElement('span');
+    lock.className = 'layer-lock';
+    lock.title = 'Toggle Lock';
+    lock.textContent = image.locked ? '🔒' : '🔓';
+    item.appendChild(lock);
+
+    item.addEventListener('click', (e) => {
+      if (e.target === visibility) {
+        this.update(image.id, { visible: !image.visible }, 'Reference Visibility');
+      } else if (e.target === lock) {
+        this.update(image.id, { locked: !image.locked }, image.locked ? 'Unlock Reference' : 'Lock Reference');
+      } else {
+        this.setActive(image.id);
+      }
+    });
+    item.addEventListener('dblclick', () => {
+      const value = prompt('Reference name:', image.name);
+      if (value && value.trim()) this.update(image.id, { name: value.trim() }, 'Rename Reference');
+    });
+
+    return item;
+  }
+}
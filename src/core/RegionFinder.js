@@ -0,0 +1,278 @@
+/**
+ * RegionFinder - The enclosed area around a point, bounded by any mix of
+ * outlines.
+ *
+ * Every outline edge is split where it meets another, and the pieces form a
+ * planar graph; edges that lead nowhere (open ends, stray spikes) are pruned.
+ * Walking the graph with the sharpest turn at every node traces its faces:
+ * bounded faces come out with positive area, and each connected piece also
+ * yields one negative face around its outside. The region is the smallest
+ * bounded face containing the point, and the outsides of the other pieces
+ * lying within it become its holes.
+ */
+export class RegionFinder {
+  constructor() {
+    this.epsilon = 1e-9;
+    // Node coordinates are matched after rounding to this many places
+    this.precision = 6;
+  }
+
+  /**
+   * Find the region enclosing a point
+   * @param {Array} outlines - [{ points: [{x, y}, ...], closed }, ...]
+   * @param {Object} point - {x, y}
+   * @returns {Object|null} - { outer, holes } like PolygonClipper results,
+   *   or null if the point is not enclosed
+   */
+  find(outlines, point) {
+    const graph = this.buildGraph(this.splitSegments(this.collectSegments(outlines)));
+    this.pruneDangling(graph);
+
+    const faces = this.traceFaces(graph);
+    let outer = null;
+    for (const face of faces) {
+      if (face.area > 0 && this.pointInRing(point, face.ring) && (!outer || face.area < outer.area)) {
+        outer = face;
+      }
+    }
+    if (!outer) return null;
+
+    // Outsides of other pieces within the region, skipping ones nested in
+    // another hole or wrapped around the point
+    const candidates = faces.filter(face => face.area < 0 && face.component !== outer.component &&
+      this.pointInRing(face.ring[0], outer.ring) && !this.pointInRing(point, face.ring));
+    const holes = candidates.filter(face => !candidates.some(other =>
+      other !== face && other.area < face.area && this.pointInRing(face.ring[0], other.ring)));
+
+    return { outer: outer.ring, holes: holes.map(face => face.ring) };
+  }
+
+  collectSegments(outlines) {
+    const segments = [];
+    for (const { points, closed } of outlines) {
+      const count = closed ? points.length : points.length - 1;
+      for (let i = 0; i < count; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        if (this.samePoint(p, q)) continue;
+        segments.push({
+          p,
+          q,
+          minX: Math.min(p.x, q.x),
+          maxX: Math.max(p.x, q.x),
+          minY: Math.min(p.y, q.y),
+          maxY: Math.max(p.y, q.y),
+          splits: []
+        });
+      }
+    }
+    return segments;
+  }
+
+  // Split segments at every point where they meet (sweeping along x so
+  // only overlapping segments are compared)
+  splitSegments(segments) {
+    const sorted = segments.slice().sort((s1, s2) => s1.minX - s2.minX);
+    for (let i = 0; i < sorted.length; i++) {
+      const s1 = sorted[i];
+      for (let j = i + 1; j < sorted.length; j++) {
+        const s2 = sorted[j];
+        if (s2.minX > s1.maxX + this.epsilon) break;
+        if (s2.minY > s1.maxY + this.epsilon || s2.maxY < s1.minY - this.epsilon) continue;
+        this.intersectSegments(s1, s2);
+      }
+    }
+
+    const pieces = [];
+    for (const segment of segments) {
+      const points = segment.splits
+        .sort((s1, s2) => s1.t - s2.t)
+        .map(split => split.point);
+      points.unshift(segment.p);
+      points.push(segment.q);
+      for (let i = 0; i < points.length - 1; i++) {
+        if (!this.samePoint(points[i], points[i + 1])) pieces.push([points[i], points[i + 1]]);
+      }
+    }
+    return pieces;
+  }
+
+  // Record where two segments meet on both of them
+  intersectSegments(s1, s2) {
+    let touching = false;
+    for (const [point, segment] of [[s1.p, s2], [s1.q, s2], [s2.p, s1], [s2.q, s1]]) {
+      const t = this.onSegmentInterior(point, segment.p, segment.q);
+      if (t !== null) {
+        segment.splits.push({ t, point });
+        touching = true;
+      }
+    }
+    if (touching) return;
+
+    const rx = s1.q.x - s1.p.x;
+    const ry = s1.q.y - s1.p.y;
+    const sx = s2.q.x - s2.p.x;
+    const sy = s2.q.y - s2.p.y;
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < this.epsilon) return;
+
+    const dx = s2.p.x - s1.p.x;
+    const dy = s2.p.y - s1.p.y;
+    const t = (dx * sy - dy * sx) / denom;
+    const u = (dx * ry - dy * rx) / denom;
+    if (t <= this.epsilon || t >= 1 - this.epsilon || u <= this.epsilon || u >= 1 - this.epsilon) return;
+
+    const point = { x: s1.p.x + t * rx, y: s1.p.y + t * ry };
+    s1.splits.push({ t, point });
+    s2.splits.push({ t: u, point });
+  }
+
+  // Parameter of p along a-b if p lies strictly between the endpoints, else null
+  onSegmentInterior(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    if (lenSq === 0) return null;
+
+    const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq;
+    if (t <= this.epsilon || t >= 1 - this.epsilon) return null;
+
+    const dist = Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / Math.sqrt(lenSq);
+    return dist < 1e-7 ? t : null;
+  }
+
+  /**
+   * Nodes keyed by rounded position, each with its neighbours. Overlapping
+   * pieces collapse into one edge
+   * @returns {Map} - key -> { point, neighbours: Set of keys }
+   */
+  buildGraph(pieces) {
+    const graph = new Map();
+    const node = p => {
+      const key = this.pointKey(p);
+      if (!graph.has(key)) graph.set(key, { point: { x: p.x, y: p.y }, neighbours: new Set() });
+      return key;
+    };
+
+    for (const [p, q] of pieces) {
+      const a = node(p);
+      const b = node(q);
+      if (a === b) continue;
+      graph.get(a).neighbours.add(b);
+      graph.get(b).neighbours.add(a);
+    }
+    return graph;
+  }
+
+  // Remove nodes with fewer than two edges until none are left
+  pruneDangling(graph) {
+    const queue = [...graph.keys()];
+    while (queue.length > 0) {
+      const key = queue.pop();
+      const node = graph.get(key);
+      if (!node || node.neighbours.size >= 2) continue;
+
+      for (const other of node.neighbours) {
+        graph.get(other).neighbours.delete(key);
+        queue.push(other);
+      }
+      graph.delete(key);
+    }
+  }
+
+  /**
+   * Every face of the graph
+   * @returns {Array} - [{ ring, area, component }]
+   */
+  traceFaces(graph) {
+    // Neighbours of each node in order of angle
+    const order = new Map();
+    for (const [key, node] of graph) {
+      const angle = other => {
+        const p = graph.get(other).point;
+        return Math.atan2(p.y - node.point.y, p.x - node.point.x);
+      };
+      order.set(key, [...node.neighbours].sort((a, b) => angle(a) - angle(b)));
+    }
+    const components = this.findComponents(graph);
+
+    const faces = [];
+    const visited = new Set();
+    for (const [start, neighbours] of order) {
+      for (const first of neighbours) {
+        if (visited.has(`${start}|${first}`)) continue;
+
+        // Arriving at a node, leave by the neighbour just before the one we
+        // came from
+        const ring = [];
+        let from = start;
+        let to = first;
+        while (!visited.has(`${from}|${to}`)) {
+          visited.add(`${from}|${to}`);
+          ring.push(graph.get(from).point);
+          const around = order.get(to);
+          const next = around[(around.indexOf(from) - 1 + around.length) % around.length];
+          from = to;
+          to = next;
+        }
+
+        const area = this.signedArea(ring);
+        if (ring.length >= 3 && Math.abs(area) > this.epsilon) {
+          faces.push({ ring, area, component: components.get(start) });
+        }
+      }
+    }
+    return faces;
+  }
+
+  // Connected piece of the graph each node belongs to
+  findComponents(graph) {
+    const components = new Map();
+    let count = 0;
+    for (const start of graph.keys()) {
+      if (components.has(start)) continue;
+      const stack = [start];
+      components.set(start, count);
+      while (stack.length > 0) {
+        for (const other of graph.get(stack.pop()).neighbours) {
+          if (components.has(other)) continue;
+          components.set(other, count);
+          stack.push(other);
+        }
+      }
+      count++;
+    }
+    return components;
+  }
+
+  pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const xi = ring[i].x, yi = ring[i].y;
+      const xj = ring[j].x, yj = ring[j].y;
+      if (((yi > point.y) !== (yj > point.y)) &&
+          (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  samePoint(a, b) {
+    return Math.abs(a.x - b.x) <= this.epsilon && Math.abs(a.y - b.y) <= this.epsilon;
+  }
+
+  pointKey(p) {
+    return `${p.x.toFixed(this.precision)},${p.y.toFixed(this.precision)}`;
+  }
+}
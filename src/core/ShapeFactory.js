@@ -1,18 +1,90 @@
+import { PolygonClipper } from './PolygonClipper.js';
+import { BezierPath } from './BezierPath.js';
+import { RegionFinder } from './RegionFinder.js';
+
 // Shape creation and manipulation
 export class ShapeFactory {
   constructor(app) {
     this.app = app;
     this.idCounter = 1;
+    this.clipper = new PolygonClipper();
+    this.curves = new BezierPath();
+    this.regions = new RegionFinder();
   }
 
   generateId() {
     return 'shape_' + Date.now() + '_' + (this.idCounter++);
   }
 
-  // Get current layer's shapes
+  // Layers of the current frame whose shapes can be edited
+  getEditableLayers() {
+    return this.app.getCurrentLayers().filter(layer => this.app.layers.isEditable(layer));
+  }
+
+  // Shapes that can be selected and edited: the active layer's, or every
+  // unlocked visible layer's when selecting across layers
   getShapes() {
-    const layer = this.app.getCurrentLayer();
-    return layer ? layer.shapes : [];
+    return this.getEditableLayers().flatMap(layer => layer.shapes);
+  }
+
+  // Editable layer holding a shape
+  getShapeLayer(shapeId) {
+    return this.getEditableLayers().find(layer => layer.shapes.some(s => s.id === shapeId));
+  }
+
+  // Drop selected shapes and vertices that can no longer be edited
+  pruneSelection() {
+    const ids = new Set(this.getShapes().map(s => s.id));
+    this.app.state.selectedShapes = this.app.state.selectedShapes.filter(id => ids.has(id));
+    this.app.state.selectedVertices = this.app.state.selectedVertices.filter(key => ids.has(key.split(':')[0]));
+  }
+
+  // Outer ring followed by any hole rings
+  getRings(shape) {
+    return shape.holes && shape.holes.length > 0 ? [shape.vertices, ...shape.holes] : [shape.vertices];
+  }
+
+  // Every point of a shape, holes included
+  getPoints(shape) {
+    return shape.holes && shape.holes.length > 0 ? [shape.vertices, ...shape.holes].flat() : shape.vertices;
+  }
+
+  // Outline points a shape draws; for a symbol instance, those of its
+  // symbol's shapes in place
+  getOutlinePoints(shape) {
+    return this.app.symbols.resolve(shape).flatMap(s => s.vertices);
+  }
+
+  // Move every point of a shape through an affine mapping, in place; an
+  // instance's transform is mapped instead. Bezier handles are offsets, so
+  // they go through the mapping's linear part
+  mapPoints(shape, fn) {
+    if (shape.type === 'instance') {
+      this.app.symbols.mapTransform(shape, fn);
+      return;
+    }
+    for (const v of this.getPoints(shape)) {
+      const p = fn(v);
+      for (const key of ['handleIn', 'handleOut']) {
+        if (!v[key]) continue;
+        const h = fn({ x: v.x + v[key].x, y: v.y + v[key].y });
+        v[key] = { x: h.x - p.x, y: h.y - p.y };
+      }
+      v.x = p.x;
+      v.y = p.y;
+    }
+  }
+
+  // The shape with its bezier segments flattened into straight edges, or
+  // the shape itself if it has none
+  flattenShape(shape, tolerance = this.app.state.flattenTolerance) {
+    if (!this.getRings(shape).some(ring => this.curves.hasCurves(ring))) return shape;
+    const flat = {
+      ...shape,
+      vertices: this.curves.flattenRing(shape.vertices, shape.closed !== false, tolerance)
+    };
+    if (shape.holes) flat.holes = shape.holes.map(hole => this.curves.flattenRing(hole, true, tolerance));
+    return flat;
   }
 
   // Create a regular polygon at position
@@ -33,8 +105,7 @@ export class ShapeFactory {
       closed: true
     };
 
-    this.addShape(shape);
-    return shape;
+    return this.addShape(shape) ? shape : null;
   }
 
   // Create a rectangle
@@ -53,8 +124,7 @@ export class ShapeFactory {
       closed: true
     };
 
-    this.addShape(shape);
-    return shape;
+    return this.addShape(shape) ? shape : null;
   }
 
   // Create a circle/ellipse
@@ -75,8 +145,7 @@ export class ShapeFactory {
       closed: true
     };
 
-    this.addShape(shape);
-    return shape;
+    return this.addShape(shape) ? shape : null;
   }
 
   // Create a rounded square/rectangle with specified number of vertices
@@ -175,8 +244,7 @@ export class ShapeFactory {
       closed: true
     };
 
-    this.addShape(shape);
-    return shape;
+    return this.addShape(shape) ? shape : null;
   }
 
   // Create from freehand path
@@ -192,15 +260,14 @@ export class ShapeFactory {
       closed: true
     };
 
-    this.addShape(shape);
-    return shape;
+    return this.addShape(shape) ? shape : null;
   }
 
-  // Create from pen path
+  // Create from pen path; points may carry bezier handles
   createFromPath(points) {
     if (points.length < 3) return null;
 
-    const vertices = points.map(p => ({ x: p.x, y: p.y }));
+    const vertices = points.map(p => JSON.parse(JSON.stringify(p)));
 
     const shape = {
       id: this.generateId(),
@@ -209,25 +276,113 @@ export class ShapeFactory {
       closed: true
     };
 
-    this.addShape(shape);
-    return shape;
+    return this.addShape(shape) ? shape : null;
   }
 
-  // Add shape to current layer
+  // Create a shape filling the area enclosed around a point by the outlines
+  // of shapes on visible layers (fill tool). Returns null if the point is
+  // not enclosed
+  createFromRegion(pos) {
+    const outlines = [];
+    for (const layer of this.app.getCurrentLayers().filter(l => this.app.layers.isShown(l))) {
+      for (const shape of this.app.symbols.resolveAll(layer.shapes)) {
+        const flat = this.flattenShape(shape);
+        outlines.push({ points: flat.vertices, closed: shape.closed !== false });
+        for (const hole of flat.holes || []) outlines.push({ points: hole, closed: true });
+      }
+    }
+
+    const region = this.regions.find(outlines, pos);
+    if (!region) return null;
+
+    const copy = ring => ring.map(p => ({ x: p.x, y: p.y }));
+    const shape = {
+      id: this.generateId(),
+      type: 'path',
+      vertices: copy(region.outer),
+      closed: true
+    };
+    if (region.holes.length > 0) {
+      shape.holes = region.holes.map(copy);
+      shape.fillRule = 'nonzero';
+    }
+
+    return this.addShape(shape) ? shape : null;
+  }
+
+  // Create shapes from traced outlines ([{ outer, holes }], see AutoTracer)
+  // and select them. Returns null if the active layer can't take shapes
+  createFromTrace(regions) {
+    if (!this.app.layers.canAddToActiveLayer()) return null;
+
+    const copy = ring => ring.map(p => ({ x: p.x, y: p.y }));
+    const created = [];
+    for (const region of regions) {
+      const shape = {
+        id: this.generateId(),
+        type: 'path',
+        vertices: copy(region.outer),
+        closed: true
+      };
+      if (region.holes.length > 0) {
+        shape.holes = region.holes.map(copy);
+        shape.fillRule = 'nonzero';
+      }
+      if (this.addShape(shape)) created.push(shape);
+    }
+    this.app.state.selectedShapes = created.map(shape => shape.id);
+    return created;
+  }
+
+  // Add shape to current layer, giving it the current style and a new track.
+  // Returns false if the layer is locked or hidden
   addShape(shape) {
     const layer = this.app.getCurrentLayer();
-    if (layer) {
-      layer.shapes.push(shape);
-      this.app.state.selectedShapes = [shape.id];
+    if (!layer || !this.app.layers.canAddToActiveLayer()) return false;
+
+    if (!shape.trackId) shape.trackId = this.app.frames.generateTrackId();
+    const style = this.app.styles.getNewShapeStyle();
+    for (const key of Object.keys(style)) {
+      if (shape[key] == null) shape[key] = style[key];
     }
+    this.app.layers.addShapes(layer, [shape]);
+    this.app.state.selectedShapes = [shape.id];
+    return true;
   }
 
-  // Hit testing
+  // Hit testing. Shapes grouped at the current level hit as
+  // { type: 'group', shapeId, groupId } so they are picked as a unit, and
+  // symbol instances are hit by what they draw but only as whole shapes.
+  // Bezier handles of selected shapes hit as
+  // { type: 'handle', shapeId, vertexIndex, side } ('in' or 'out')
   hitTest(pos) {
-    const shapes = this.getShapes();
+    const hit = this.hitTestShapes(pos, this.app.symbols.resolveAll(this.getShapes()));
+    if (!hit) return null;
+
+    const shape = this.getShapes().find(s => s.id === hit.shapeId);
+    const groupId = this.getUnitGroup(shape);
+    if (groupId) return { type: 'group', shapeId: hit.shapeId, groupId };
+    return shape.type === 'instance' ? { type: 'shape', shapeId: hit.shapeId } : hit;
+  }
+
+  hitTestShapes(pos, shapes = this.getShapes()) {
     const threshold = 10 / this.app.state.zoom;
 
-    // Check vertices first
+    // Handles of selected shapes sit on top of everything
+    for (const shape of shapes) {
+      if (!this.app.state.selectedShapes.includes(shape.id) || this.getUnitGroup(shape)) continue;
+      for (let i = 0; i < shape.vertices.length; i++) {
+        const v = shape.vertices[i];
+        for (const side of ['in', 'out']) {
+          const h = side === 'in' ? v.handleIn : v.handleOut;
+          if (h && Math.hypot(pos.x - v.x - h.x, pos.y - v.y - h.y) < threshold) {
+            return { type: 'handle', shapeId: shape.id, vertexIndex: i, side };
+          }
+        }
+      }
+    }
+
+    // Check vertices
     for (const shape of shapes) {
       for (let i = 0; i < shape.vertices.length; i++) {
         const v = shape.vertices[i];
@@ -238,22 +393,35 @@ export class ShapeFactory {
       }
     }
 
-    // Check edges
+    // Check edges (curved ones along their flattened outline)
+    const tolerance = 1 / this.app.state.zoom;
     for (const shape of shapes) {
       const n = shape.vertices.length;
       for (let i = 0; i < n; i++) {
         const a = shape.vertices[i];
         const b = shape.vertices[(i + 1) % n];
-        const dist = this.pointToSegmentDist(pos, a, b);
-        if (dist < threshold) {
-          return { type: 'edge', shapeId: shape.id, edgeIndex: i };
+        let previous = a;
+        for (const point of this.curves.flattenSegment(a, b, tolerance)) {
+          if (this.pointToSegmentDist(pos, previous, point) < threshold) {
+            return { type: 'edge', shapeId: shape.id, edgeIndex: i };
+          }
+          previous = point;
+        }
+      }
+
+      // Hole outlines select the whole shape
+      for (const hole of this.flattenShape(shape, tolerance).holes || []) {
+        for (let i = 0; i < hole.length; i++) {
+          if (this.pointToSegmentDist(pos, hole[i], hole[(i + 1) % hole.length]) < threshold) {
+            return { type: 'shape', shapeId: shape.id };
+          }
         }
       }
     }
 
     // Check shape interior
     for (const shape of shapes) {
-      if (this.pointInPolygon(pos, shape.vertices)) {
+      if (this.pointInShape(pos, this.flattenShape(shape, tolerance))) {
         return { type: 'shape', shapeId: shape.id };
       }
     }
@@ -294,6 +462,41 @@ export class ShapeFactory {
     return inside;
   }
 
+  // Point in the filled area of a shape, honouring holes and its fill rule
+  pointInShape(point, shape) {
+    if (!shape.holes || shape.holes.length === 0) {
+      return this.pointInPolygon(point, shape.vertices);
+    }
+
+    if (shape.fillRule === 'evenodd') {
+      return this.getRings(shape).filter(ring => this.pointInPolygon(point, ring)).length % 2 === 1;
+    }
+
+    let winding = 0;
+    for (const ring of this.getRings(shape)) {
+      winding += this.windingNumber(point, ring);
+    }
+    return winding !== 0;
+  }
+
+  windingNumber(point, vertices) {
+    let winding = 0;
+    const n = vertices.length;
+
+    for (let i = 0; i < n; i++) {
+      const a = vertices[i];
+      const b = vertices[(i + 1) % n];
+      const side = (b.x - a.x) * (point.y - a.y) - (point.x - a.x) * (b.y - a.y);
+      if (a.y <= point.y) {
+        if (b.y > point.y && side > 0) winding++;
+      } else if (b.y <= point.y && side < 0) {
+        winding--;
+      }
+    }
+
+    return winding;
+  }
+
   // Selection methods
   clearSelection() {
     this.app.state.selectedShapes = [];
@@ -321,9 +524,20 @@ export class ShapeFactory {
     const shapes = this.getShapes();
     // Select individual vertices within the box
     for (const shape of shapes) {
+      // Instances have no vertices of their own: any drawn point selects them
+      if (shape.type === 'instance') {
+        const inBox = this.getOutlinePoints(shape).some(v => v.x >= minX && v.x <= maxX && v.y >= minY && v.y <= maxY);
+        if (inBox) this.selectUnit(shape.id, true);
+        continue;
+      }
       for (let i = 0; i < shape.vertices.length; i++) {
         const v = shape.vertices[i];
         if (v.x >= minX && v.x <= maxX && v.y >= minY && v.y <= maxY) {
+          // Grouped shapes are selected whole
+          if (this.getUnitGroup(shape)) {
+            this.selectUnit(shape.id, true);
+            break;
+          }
           const key = `${shape.id}:${i}`;
           if (!this.app.state.selectedVertices.includes(key)) {
             this.app.state.selectedVertices.push(key);
@@ -337,6 +551,121 @@ export class ShapeFactory {
     }
   }
 
+  // ============= GROUPS =============
+  // A grouped shape lists its group ids in `shape.groups`, outermost first.
+  // `state.enteredGroups` is the path of groups double-clicked into: a
+  // shape inside it is picked by its next group down (or on its own), any
+  // other shape by its outermost group.
+
+  generateGroupId() {
+    return 'shapegroup_' + Date.now() + '_' + (this.idCounter++);
+  }
+
+  isInEnteredGroup(shape) {
+    const groups = shape.groups || [];
+    return this.app.state.enteredGroups.every((id, i) => groups[i] === id);
+  }
+
+  // Group a shape is picked by at the current level, or null
+  getUnitGroup(shape) {
+    const groups = (shape && shape.groups) || [];
+    if (!this.isInEnteredGroup(shape)) return groups[0] || null;
+    return groups[this.app.state.enteredGroups.length] || null;
+  }
+
+  // Shapes picked together with a shape
+  getUnitShapes(shapeId) {
+    const shapes = this.getShapes();
+    const shape = shapes.find(s => s.id === shapeId);
+    if (!shape) return [];
+
+    const groupId = this.getUnitGroup(shape);
+    return groupId ? shapes.filter(s => (s.groups || []).includes(groupId)) : [shape];
+  }
+
+  // Select a shape, or its whole group; picking a shape outside the entered
+  // group leaves the group
+  selectUnit(shapeId, additive = false) {
+    const shape = this.getShapes().find(s => s.id === shapeId);
+    if (shape && !this.isInEnteredGroup(shape)) this.app.state.enteredGroups = [];
+
+    if (!additive) this.clearSelection();
+    for (const s of this.getUnitShapes(shapeId)) {
+      this.selectShape(s.id, true);
+    }
+  }
+
+  // Double-click: step into the group a shape is picked by
+  enterGroup(shapeId) {
+    const shape = this.getShapes().find(s => s.id === shapeId);
+    if (!shape) return false;
+    if (!this.isInEnteredGroup(shape)) this.app.state.enteredGroups = [];
+
+    const groupId = this.getUnitGroup(shape);
+    if (!groupId) return false;
+    this.app.state.enteredGroups = shape.groups.slice(0, shape.groups.indexOf(groupId) + 1);
+    this.selectUnit(shapeId);
+    return true;
+  }
+
+  // Step out to the enclosing group, selecting the group just left
+  exitGroup() {
+    const path = this.app.state.enteredGroups;
+    if (path.length === 0) return false;
+
+    const left = path[path.length - 1];
+    this.app.state.enteredGroups = path.slice(0, -1);
+    const member = this.getShapes().find(s => (s.groups || []).includes(left));
+    if (member) this.selectUnit(member.id);
+    return true;
+  }
+
+  // Group the selected shapes, inside the entered group. Returns the new
+  // group id, or null unless two or more shapes are selected
+  groupSelected() {
+    const shapes = this.getShapes().filter(s => this.app.state.selectedShapes.includes(s.id));
+    if (shapes.length < 2) return null;
+    if (!shapes.every(s => this.isInEnteredGroup(s))) this.app.state.enteredGroups = [];
+
+    const depth = this.app.state.enteredGroups.length;
+    const groupId = this.generateGroupId();
+    for (const shape of shapes) {
+      const groups = shape.groups || [];
+      shape.groups = [...groups.slice(0, depth), groupId, ...groups.slice(depth)];
+    }
+    return groupId;
+  }
+
+  // Remove the groups the selected shapes are picked by; returns whether
+  // any shape was grouped
+  ungroupSelected() {
+    let changed = false;
+    for (const shape of this.getShapes().filter(s => this.app.state.selectedShapes.includes(s.id))) {
+      const groupId = this.getUnitGroup(shape);
+      if (!groupId) continue;
+
+      shape.groups = shape.groups.filter(id => id !== groupId);
+      if (shape.groups.length === 0) delete shape.groups;
+      changed = true;
+    }
+    return changed;
+  }
+
+  // Give copied shapes new group ids (consistently across the copies), so
+  // they form groups of their own within the entered group
+  regroupCopies(shapes) {
+    const path = this.app.state.enteredGroups;
+    const ids = new Map();
+    for (const shape of shapes) {
+      if (!shape.groups) continue;
+      shape.groups = shape.groups.map(id => {
+        if (path.includes(id)) return id;
+        if (!ids.has(id)) ids.set(id, this.generateGroupId());
+        return ids.get(id);
+      });
+    }
+  }
+
   // Movement and transforms
   moveVertex(shapeId, vertexIndex, newPos) {
     const shapes = this.getShapes();
@@ -366,10 +695,7 @@ export class ShapeFactory {
     for (const shapeId of this.app.state.selectedShapes) {
       const shape = shapes.find(s => s.id === shapeId);
       if (shape) {
-        for (const v of shape.vertices) {
-          v.x += dx;
-          v.y += dy;
-        }
+        this.mapPoints(shape, v => ({ x: v.x + dx, y: v.y + dy }));
       }
     }
   }
@@ -396,7 +722,7 @@ export class ShapeFactory {
     for (const shapeId of this.app.state.selectedShapes) {
       const shape = shapes.find(s => s.id === shapeId);
       if (shape) {
-        for (const v of shape.vertices) {
+        for (const v of this.getOutlinePoints(shape)) {
           sumX += v.x;
           sumY += v.y;
           count++;
@@ -424,12 +750,11 @@ export class ShapeFactory {
     for (const shapeId of this.app.state.selectedShapes) {
       const shape = shapes.find(s => s.id === shapeId);
       if (shape) {
-        for (const v of shape.vertices) {
+        this.mapPoints(shape, v => {
           const dx = v.x - center.x;
           const dy = v.y - center.y;
-          v.x = center.x + dx * cos - dy * sin;
-          v.y = center.y + dx * sin + dy * cos;
-        }
+          return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+        });
       }
     }
   }
@@ -440,20 +765,19 @@ export class ShapeFactory {
     for (const shapeId of this.app.state.selectedShapes) {
       const shape = shapes.find(s => s.id === shapeId);
       if (shape) {
-        for (const v of shape.vertices) {
-          v.x = center.x + (v.x - center.x) * factor;
-          v.y = center.y + (v.y - center.y) * factor;
-        }
+        this.mapPoints(shape, v => ({
+          x: center.x + (v.x - center.x) * factor,
+          y: center.y + (v.y - center.y) * factor
+        }));
       }
     }
   }
 
   // Delete operations
   deleteSelectedShapes() {
-    const layer = this.app.getCurrentLayer();
-    if (!layer) return;
-
-    layer.shapes = layer.shapes.filter(s => !this.app.state.selectedShapes.includes(s.id));
+    for (const layer of this.getEditableLayers()) {
+      layer.shapes = layer.shapes.filter(s => !this.app.state.selectedShapes.includes(s.id));
+    }
     this.app.state.selectedShapes = [];
   }
 
@@ -471,38 +795,127 @@ export class ShapeFactory {
     this.app.state.selectedVertices = [];
   }
 
-  // Duplicate selected shapes
-  duplicateSelected() {
-    const layer = this.app.getCurrentLayer();
-    if (!layer) return;
+  // Pin each selected vertex with the lowest number unused in its shape.
+  // Vertices pinned with the same number correspond when morphing
+  pinSelectedVertices() {
+    const shapes = this.getShapes();
+    for (const key of this.app.state.selectedVertices) {
+      const [shapeId, indexStr] = key.split(':');
+      const shape = shapes.find(s => s.id === shapeId);
+      const vertex = shape && shape.vertices[parseInt(indexStr)];
+      if (!vertex || vertex.pin != null) continue;
+
+      const used = new Set(shape.vertices.map(v => v.pin));
+      let pin = 1;
+      while (used.has(pin)) pin++;
+      vertex.pin = pin;
+    }
+  }
+
+  // Unpin the selected vertices, or every vertex of the selected shapes
+  clearPins() {
+    const shapes = this.getShapes();
+    if (this.app.state.selectedVertices.length > 0) {
+      for (const key of this.app.state.selectedVertices) {
+        const [shapeId, indexStr] = key.split(':');
+        const shape = shapes.find(s => s.id === shapeId);
+        if (shape && shape.vertices[parseInt(indexStr)]) delete shape.vertices[parseInt(indexStr)].pin;
+      }
+      return;
+    }
+
+    for (const shape of shapes.filter(s => this.app.state.selectedShapes.includes(s.id))) {
+      for (const v of shape.vertices) delete v.pin;
+    }
+  }
+
+  // Bezier handles
+  moveHandle(shapeId, vertexIndex, side, pos, breakHandles = false) {
+    const shape = this.getShapes().find(s => s.id === shapeId);
+    const vertex = shape && shape.vertices[vertexIndex];
+    if (!vertex) return;
+
+    // Alt-dragging turns the vertex into a corner so the handles split
+    if (breakHandles) vertex.handleType = 'corner';
+    this.curves.setHandle(vertex, side, { x: pos.x - vertex.x, y: pos.y - vertex.y });
+  }
 
+  // The selected vertices, or every vertex of the selected shapes, as
+  // { ring, index } of the outline
+  getSelectedVertexRefs() {
     const shapes = this.getShapes();
+    if (this.app.state.selectedVertices.length > 0) {
+      return this.app.state.selectedVertices.map(key => {
+        const [shapeId, indexStr] = key.split(':');
+        const shape = shapes.find(s => s.id === shapeId);
+        return shape && shape.vertices[parseInt(indexStr)] ? { ring: shape.vertices, index: parseInt(indexStr) } : null;
+      }).filter(Boolean);
+    }
+
+    return shapes
+      .filter(s => this.app.state.selectedShapes.includes(s.id) && s.type !== 'instance')
+      .flatMap(shape => shape.vertices.map((v, index) => ({ ring: shape.vertices, index })));
+  }
+
+  // Set the handle type of the selected vertices. Smooth and symmetric
+  // vertices without handles get them, and existing handles are brought
+  // into line with the new type
+  setHandleType(type) {
+    for (const { ring, index } of this.getSelectedVertexRefs()) {
+      const v = ring[index];
+      v.handleType = type;
+      if (type === 'corner') continue;
+
+      if (!v.handleIn && !v.handleOut) {
+        const n = ring.length;
+        Object.assign(v, this.curves.autoHandles(ring[(index - 1 + n) % n], v, ring[(index + 1) % n]));
+      }
+      if (v.handleOut) {
+        this.curves.setHandle(v, 'out', v.handleOut);
+      } else {
+        this.curves.setHandle(v, 'in', v.handleIn);
+      }
+    }
+  }
+
+  // Remove the handles of the selected vertices, making their edges straight
+  straightenSelected() {
+    for (const { ring, index } of this.getSelectedVertexRefs()) {
+      delete ring[index].handleIn;
+      delete ring[index].handleOut;
+      delete ring[index].handleType;
+    }
+  }
+
+  // Duplicate selected shapes
+  duplicateSelected() {
     const newIds = [];
 
+    // Duplicates go on their original's layer
     for (const shapeId of this.app.state.selectedShapes) {
-      const shape = shapes.find(s => s.id === shapeId);
+      const layer = this.getShapeLayer(shapeId);
+      const shape = layer && layer.shapes.find(s => s.id === shapeId);
       if (shape) {
         const newShape = JSON.parse(JSON.stringify(shape));
         newShape.id = this.generateId();
+        newShape.trackId = this.app.frames.generateTrackId();
         // Offset the duplicate
-        for (const v of newShape.vertices) {
-          v.x += 20;
-          v.y += 20;
-        }
+        this.mapPoints(newShape, v => ({ x: v.x + 20, y: v.y + 20 }));
         layer.shapes.push(newShape);
         newIds.push(newShape.id);
       }
     }
 
+    this.regroupCopies(this.getShapes().filter(s => newIds.includes(s.id)));
     this.app.state.selectedShapes = newIds;
   }
 
   // Reorder shapes
   reorderSelected(direction) {
-    const layer = this.app.getCurrentLayer();
-    if (!layer || this.app.state.selectedShapes.length === 0) return;
-
     for (const shapeId of this.app.state.selectedShapes) {
+      const layer = this.getShapeLayer(shapeId);
+      if (!layer) continue;
+
       const index = layer.shapes.findIndex(s => s.id === shapeId);
       if (index === -1) continue;
 
@@ -514,6 +927,85 @@ export class ShapeFactory {
     }
   }
 
+  // Move selected shapes to the top or bottom of their layer
+  arrangeSelected(toFront) {
+    if (this.app.state.selectedShapes.length === 0) return;
+
+    for (const layer of this.getEditableLayers()) {
+      const selected = layer.shapes.filter(s => this.app.state.selectedShapes.includes(s.id));
+      const others = layer.shapes.filter(s => !this.app.state.selectedShapes.includes(s.id));
+      layer.shapes = toFront ? [...others, ...selected] : [...selected, ...others];
+    }
+  }
+
+  // Insert a vertex in the middle of one edge
+  subdivideEdge(shapeId, edgeIndex) {
+    const shape = this.getShapes().find(s => s.id === shapeId);
+    if (!shape) return;
+
+    const a = shape.vertices[edgeIndex];
+    const b = shape.vertices[(edgeIndex + 1) % shape.vertices.length];
+    const split = this.curves.splitSegment(a, b);
+    if (split.handleOut) {
+      a.handleOut = split.handleOut;
+      b.handleIn = split.handleIn;
+    }
+    shape.vertices.splice(edgeIndex + 1, 0, split.vertex);
+  }
+
+  // Remove a single vertex, keeping at least a triangle
+  dissolveVertex(shapeId, vertexIndex) {
+    const shape = this.getShapes().find(s => s.id === shapeId);
+    if (!shape || shape.vertices.length <= 3) return;
+
+    shape.vertices.splice(vertexIndex, 1);
+    this.app.state.selectedVertices = [];
+  }
+
+  // Combine selected shapes with a boolean operation ('union', 'subtract',
+  // 'intersect' or 'xor'). Shapes are folded bottom to top, so subtract cuts
+  // every shape above the lowest one out of it. The results replace the
+  // selection on the lowest shape's layer; returns the new shapes. Symbol
+  // instances are left out (detach them first).
+  booleanSelected(operation) {
+    const layers = this.getEditableLayers();
+    const selected = layers.flatMap(l => l.shapes)
+      .filter(s => this.app.state.selectedShapes.includes(s.id) && s.type !== 'instance');
+    if (selected.length < 2) return [];
+
+    let polygons = [];
+    let rings = this.getRings(this.flattenShape(selected[0]));
+    for (const shape of selected.slice(1)) {
+      polygons = this.clipper.compute(rings, this.getRings(this.flattenShape(shape)), operation);
+      rings = polygons.flatMap(p => [p.outer, ...p.holes]);
+    }
+    if (polygons.length === 0) return [];
+
+    // The first result stays on the base shape's track
+    const base = selected[0];
+    const results = polygons.map((polygon, i) => ({
+      ...JSON.parse(JSON.stringify(base)),
+      id: this.generateId(),
+      trackId: i === 0 ? base.trackId : this.app.frames.generateTrackId(),
+      type: 'path',
+      vertices: polygon.outer,
+      holes: polygon.holes,
+      fillRule: 'nonzero',
+      closed: true
+    }));
+
+    const layer = layers.find(l => l.shapes.includes(base));
+    const index = layer.shapes.indexOf(base);
+    for (const l of layers) {
+      l.shapes = l.shapes.filter(s => !selected.includes(s));
+    }
+    layer.shapes.splice(index, 0, ...results);
+
+    this.app.state.selectedShapes = results.map(s => s.id);
+    this.app.state.selectedVertices = [];
+    return results;
+  }
+
   // Subdivide selected shapes
   subdivideSelected() {
     const shapes = this.getShapes();
@@ -522,22 +1014,33 @@ export class ShapeFactory {
       const shape = shapes.find(s => s.id === shapeId);
       if (!shape) continue;
 
-      const newVertices = [];
-      const n = shape.vertices.length;
-      
-      for (let i = 0; i < n; i++) {
-        const curr = shape.vertices[i];
-        const next = shape.vertices[(i + 1) % n];
-        
-        newVertices.push({ x: curr.x, y: curr.y });
-        newVertices.push({
-          x: (curr.x + next.x) / 2,
-          y: (curr.y + next.y) / 2
-        });
+      shape.vertices = this.subdivideRing(shape.vertices);
+      if (shape.holes) {
+        shape.holes = shape.holes.map(hole => this.subdivideRing(hole));
       }
+    }
+  }
 
-      shape.vertices = newVertices;
+  // Insert a midpoint after every vertex of a closed ring
+  subdivideRing(ring) {
+    const newVertices = [];
+    const n = ring.length;
+    // Copy the vertices as they are so morph pins survive
+    const copies = ring.map(v => ({ ...v }));
+    
+    for (let i = 0; i < n; i++) {
+      // Curved edges are split at their midpoint and keep their shape
+      const split = this.curves.splitSegment(ring[i], ring[(i + 1) % n]);
+      if (split.handleOut) {
+        copies[i].handleOut = split.handleOut;
+        copies[(i + 1) % n].handleIn = split.handleIn;
+      }
+      
+      newVertices.push(copies[i]);
+      newVertices.push(split.vertex);
     }
+
+    return newVertices;
   }
 
   // Simplify selected shapes (Douglas-Peucker)
@@ -546,9 +1049,17 @@ export class ShapeFactory {
 
     for (const shapeId of this.app.state.selectedShapes) {
       const shape = shapes.find(s => s.id === shapeId);
-      if (!shape || shape.vertices.length < 4) continue;
+      if (!shape) continue;
 
-      shape.vertices = this.simplifyPath(shape.vertices, tolerance);
+      if (shape.vertices.length >= 4) {
+        shape.vertices = this.simplifyPath(shape.vertices, tolerance);
+      }
+      if (shape.holes) {
+        // Holes that collapse below a triangle are dropped
+        shape.holes = shape.holes
+          .map(hole => hole.length >= 4 ? this.simplifyPath(hole, tolerance) : hole)
+          .filter(hole => hole.length >= 3);
+      }
     }
   }
 
@@ -612,9 +1123,7 @@ export class ShapeFactory {
     for (const shapeId of this.app.state.selectedShapes) {
       const shape = shapes.find(s => s.id === shapeId);
       if (shape) {
-        for (const v of shape.vertices) {
-          v.x = center.x - (v.x - center.x);
-        }
+        this.mapPoints(shape, v => ({ x: center.x - (v.x - center.x), y: v.y }));
       }
     }
   }
@@ -626,9 +1135,7 @@ export class ShapeFactory {
     for (const shapeId of this.app.state.selectedShapes) {
       const shape = shapes.find(s => s.id === shapeId);
       if (shape) {
-        for (const v of shape.vertices) {
-          v.y = center.y - (v.y - center.y);
-        }
+        this.mapPoints(shape, v => ({ x: v.x, y: center.y - (v.y - center.y) }));
       }
     }
   }
@@ -636,29 +1143,45 @@ export class ShapeFactory {
   // Mirror shapes from left side to right side (around x=0 axis)
   // Creates a mirrored copy of each shape on the opposite side
   mirrorLeftToRight() {
-    const layer = this.app.getCurrentLayer();
-    if (!layer) return;
+    for (const layer of this.getEditableLayers()) {
+      this.mirrorLayer(layer);
+    }
+  }
 
-    const shapes = this.getShapes();
+  mirrorLayer(layer) {
     const newShapes = [];
 
-    for (const shape of shapes) {
+    for (const shape of layer.shapes) {
+      // An instance is mirrored through its transform
+      if (shape.type === 'instance') {
+        const mirrored = { ...JSON.parse(JSON.stringify(shape)), id: this.generateId(), trackId: this.app.frames.generateTrackId() };
+        this.app.symbols.mapTransform(mirrored, v => ({ x: -v.x, y: v.y }));
+        newShapes.push(mirrored);
+        continue;
+      }
+
       // Create a mirrored copy of the shape
-      const mirroredVertices = shape.vertices.map(v => ({
-        x: -v.x,  // Mirror around x=0
-        y: v.y
-      }));
+      const mirroredVertices = shape.vertices.map(v => this.mirrorVertex(v));
 
       // Reverse the vertex order to maintain correct winding
       mirroredVertices.reverse();
 
       const mirroredShape = {
+        ...this.app.styles.getStyle(shape),
         id: this.generateId(),
+        trackId: this.app.frames.generateTrackId(),
         type: shape.type,
         vertices: mirroredVertices,
         closed: shape.closed
       };
 
+      if (shape.holes && shape.holes.length > 0) {
+        mirroredShape.holes = shape.holes.map(hole =>
+          hole.map(v => this.mirrorVertex(v)).reverse()
+        );
+        mirroredShape.fillRule = shape.fillRule;
+      }
+
       newShapes.push(mirroredShape);
     }
 
@@ -668,6 +1191,16 @@ export class ShapeFactory {
     }
   }
 
+  // Mirror a vertex around x=0. Its handles swap sides because mirrored
+  // rings are reversed
+  mirrorVertex(v) {
+    const mirrored = { x: -v.x, y: v.y };
+    if (v.handleOut) mirrored.handleIn = { x: -v.handleOut.x, y: v.handleOut.y };
+    if (v.handleIn) mirrored.handleOut = { x: -v.handleIn.x, y: v.handleIn.y };
+    if (v.handleType) mirrored.handleType = v.handleType;
+    return mirrored;
+  }
+
   // Smooth/Relax selected shapes by averaging vertex positions with neighbors
   smoothSelected(iterations = 1, factor = 0.5) {
     const shapes = this.getShapes();
@@ -675,32 +1208,36 @@ export class ShapeFactory {
     for (let iter = 0; iter < iterations; iter++) {
       for (const shapeId of this.app.state.selectedShapes) {
         const shape = shapes.find(s => s.id === shapeId);
-        if (!shape || shape.vertices.length < 3) continue;
+        if (!shape) continue;
 
-        const n = shape.vertices.length;
-        const newPositions = [];
+        for (const ring of this.getRings(shape)) {
+          const n = ring.length;
+          if (n < 3) continue;
 
-        // Calculate new positions based on neighbor averaging
-        for (let i = 0; i < n; i++) {
-          const prev = shape.vertices[(i - 1 + n) % n];
-          const curr = shape.vertices[i];
-          const next = shape.vertices[(i + 1) % n];
-
-          // Average of neighbors
-          const avgX = (prev.x + next.x) / 2;
-          const avgY = (prev.y + next.y) / 2;
-
-          // Blend between current position and average
-          newPositions.push({
-            x: curr.x + (avgX - curr.x) * factor,
-            y: curr.y + (avgY - curr.y) * factor
-          });
-        }
+          const newPositions = [];
 
-        // Apply new positions
-        for (let i = 0; i < n; i++) {
-          shape.vertices[i].x = newPositions[i].x;
-          shape.vertices[i].y = newPositions[i].y;
+          // Calculate new positions based on neighbor averaging
+          for (let i = 0; i < n; i++) {
+            const prev = ring[(i - 1 + n) % n];
+            const curr = ring[i];
+            const next = ring[(i + 1) % n];
+
+            // Average of neighbors
+            const avgX = (prev.x + next.x) / 2;
+            const avgY = (prev.y + next.y) / 2;
+
+            // Blend between current position and average
+            newPositions.push({
+              x: curr.x + (avgX - curr.x) * factor,
+              y: curr.y + (avgY - curr.y) * factor
+            });
+          }
+
+          // Apply new positions
+          for (let i = 0; i < n; i++) {
+            ring[i].x = newPositions[i].x;
+            ring[i].y = newPositions[i].y;
+          }
         }
       }
     }
@@ -731,7 +1268,7 @@ export class ShapeFactory {
     const shapes = this.getShapes();
 
     for (const shape of shapes) {
-      for (const v of shape.vertices) {
+      for (const v of this.getPoints(shape)) {
         const dist = Math.hypot(v.x - centerPos.x, v.y - centerPos.y);
         const falloff = this.calculateFalloff(dist, radius, falloffType);
         
@@ -749,7 +1286,7 @@ export class ShapeFactory {
     const direction = inward ? -1 : 1;
 
     for (const shape of shapes) {
-      for (const v of shape.vertices) {
+      for (const v of this.getPoints(shape)) {
         const dx = v.x - centerPos.x;
         const dy = v.y - centerPos.y;
         const dist = Math.hypot(dx, dy);
@@ -771,49 +1308,53 @@ export class ShapeFactory {
     const shapes = this.getShapes();
 
     for (const shape of shapes) {
-      const n = shape.vertices.length;
-      if (n < 3) continue;
+      for (const ring of this.getRings(shape)) {
+        const n = ring.length;
+        if (n < 3) continue;
 
-      // First pass: calculate which vertices are affected and their new positions
-      const adjustments = [];
+        // First pass: calculate which vertices are affected and their new positions
+        const adjustments = [];
 
-      for (let i = 0; i < n; i++) {
-        const v = shape.vertices[i];
-        const dist = Math.hypot(v.x - centerPos.x, v.y - centerPos.y);
-        const falloff = this.calculateFalloff(dist, radius, falloffType);
-
-        if (falloff > 0) {
-          const prev = shape.vertices[(i - 1 + n) % n];
-          const next = shape.vertices[(i + 1) % n];
-          
-          // Target position is average of neighbors
-          const targetX = (prev.x + next.x) / 2;
-          const targetY = (prev.y + next.y) / 2;
-          
-          adjustments.push({
-            index: i,
-            dx: (targetX - v.x) * falloff * strength,
-            dy: (targetY - v.y) * falloff * strength
-          });
+        for (let i = 0; i < n; i++) {
+          const v = ring[i];
+          const dist = Math.hypot(v.x - centerPos.x, v.y - centerPos.y);
+          const falloff = this.calculateFalloff(dist, radius, falloffType);
+
+          if (falloff > 0) {
+            const prev = ring[(i - 1 + n) % n];
+            const next = ring[(i + 1) % n];
+            
+            // Target position is average of neighbors
+            const targetX = (prev.x + next.x) / 2;
+            const targetY = (prev.y + next.y) / 2;
+            
+            adjustments.push({
+              index: i,
+              dx: (targetX - v.x) * falloff * strength,
+              dy: (targetY - v.y) * falloff * strength
+            });
+          }
         }
-      }
 
-      // Second pass: apply adjustments
-      for (const adj of adjustments) {
-        shape.vertices[adj.index].x += adj.dx;
-        shape.vertices[adj.index].y += adj.dy;
+        // Second pass: apply adjustments
+        for (const adj of adjustments) {
+          ring[adj.index].x += adj.dx;
+          ring[adj.index].y += adj.dy;
+        }
       }
     }
   }
 
-  // Get vertices within radius of a point
+  // Get vertices within radius of a point (hole points are indexed after
+  // the outer ring)
   getVerticesInRadius(centerPos, radius) {
     const result = [];
     const shapes = this.getShapes();
 
     for (const shape of shapes) {
-      for (let i = 0; i < shape.vertices.length; i++) {
-        const v = shape.vertices[i];
+      const points = this.getPoints(shape);
+      for (let i = 0; i < points.length; i++) {
+        const v = points[i];
         const dist = Math.hypot(v.x - centerPos.x, v.y - centerPos.y);
         if (dist < radius) {
           result.push({
@@ -0,0 +1,272 @@
+/**
+ * ShapeMorpher - Point correspondence between rings for smooth tweens.
+ *
+ * Rings are parameterized by arc length (0-1 along the outline) instead of
+ * vertex index, so a 4-point rectangle and a 32-point circle line up by
+ * position along their outlines. Closed rings with opposite winding are
+ * reversed, and the rotational offset (where the first ring's start lands
+ * on the next) is chosen to minimize the distance between the rings once
+ * both are centered. Vertices pinned with the same number (`vertex.pin`)
+ * are forced to correspond; the outline between pins is spread by arc
+ * length.
+ *
+ * Matched rings contain every original vertex of each input ring, so a
+ * tween starts and ends exactly on the keyframe shapes.
+ */
+export class ShapeMorpher {
+  constructor() {
+    // Points compared per ring when searching for the best offset
+    this.samples = 64;
+    this.epsilon = 1e-7;
+  }
+
+  /**
+   * Resample a ring's appearances in successive keyframes so point i of
+   * every result corresponds
+   * @param {Array} rings - Rings of points, one per keyframe (at least one)
+   * @param {boolean} closed - Whether the rings are closed
+   * @returns {Array} - Resampled rings, all with the same point count
+   */
+  matchRings(rings, closed = true) {
+    const paths = [this.measure(rings[0], closed)];
+    const maps = [null];
+
+    for (let k = 1; k < rings.length; k++) {
+      const path = this.measure(this.orient(rings[k], paths[k - 1], closed), closed);
+      maps.push(this.buildMap(paths[k - 1], path, closed));
+      paths.push(path);
+    }
+
+    // Collect every ring's vertex parameters in the first ring's terms
+    let params = [...paths[0].params];
+    for (let k = 1; k < paths.length; k++) {
+      for (let u of paths[k].params) {
+        for (let j = k; j >= 1; j--) u = this.apply(maps[j], u, true);
+        params.push(u);
+      }
+    }
+    params = this.unique(params.map(u => (closed ? this.wrap(u) : Math.min(1, Math.max(0, u)))));
+
+    // Follow each parameter through the maps
+    return paths.map((path, k) => params.map(u0 => {
+      let u = u0;
+      for (let j = 1; j <= k; j++) u = this.apply(maps[j], u);
+      return this.sample(path, closed ? this.wrap(u) : u);
+    }));
+  }
+
+  // ============= PARAMETERIZATION =============
+
+  /**
+   * Arc length layout of a ring
+   * @returns {Object} - { points, offsets, total, params, closed } where
+   *   offsets[i] is the distance to vertex i along the outline and
+   *   params[i] the same as a fraction of the total
+   */
+  measure(points, closed) {
+    const n = points.length;
+    const edges = [];
+    for (let i = 0; i < (closed ? n : n - 1); i++) {
+      const a = points[i];
+      const b = points[(i + 1) % n];
+      edges.push(Math.hypot(b.x - a.x, b.y - a.y));
+    }
+    // A ring collapsed to a point is spread evenly by index instead
+    let total = edges.reduce((sum, e) => sum + e, 0);
+    if (total < this.epsilon) {
+      edges.fill(1);
+      total = edges.length || 1;
+    }
+
+    const offsets = [0];
+    for (const edge of edges) offsets.push(offsets[offsets.length - 1] + edge);
+
+    return {
+      points,
+      offsets,
+      total,
+      params: points.map((p, i) => offsets[i] / total),
+      closed
+    };
+  }
+
+  // Point at parameter u (0-1) along a measured ring
+  sample(path, u) {
+    const { points, offsets, total } = path;
+    if (points.length === 1) return { x: points[0].x, y: points[0].y };
+
+    const distance = u * total;
+    let lo = 0;
+    let hi = offsets.length - 2;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (offsets[mid] <= distance) lo = mid;
+      else hi = mid - 1;
+    }
+
+    const a = points[lo];
+    const b = points[(lo + 1) % points.length];
+    const length = offsets[lo + 1] - offsets[lo];
+    const f = length > 0 ? Math.min(1, Math.max(0, (distance - offsets[lo]) / length)) : 0;
+    return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+  }
+
+  // Reverse a ring if it runs the other way from the previous one
+  orient(points, previous, closed) {
+    if (closed) {
+      const area = this.signedArea(points);
+      const previousArea = this.signedArea(previous.points);
+      return area * previousArea < 0 ? [...points].reverse() : points;
+    }
+
+    // Open: keep the direction that pairs up the nearest ends
+    const a = previous.points;
+    const ca = this.centroid(previous);
+    const cb = this.centroid(this.measure(points, false));
+    const d = (p, q) => Math.hypot(p.x - ca.x - (q.x - cb.x), p.y - ca.y - (q.y - cb.y));
+    const first = points[0];
+    const last = points[points.length - 1];
+    const same = d(a[0], first) + d(a[a.length - 1], last);
+    const swapped = d(a[0], last) + d(a[a.length - 1], first);
+    return swapped < same ? [...points].reverse() : points;
+  }
+
+  // ============= CORRESPONDENCE =============
+
+  /**
+   * Piecewise linear map from one ring's parameters to the next ring's.
+   * Anchors come from shared pin numbers, or from the best rotational
+   * offset when there are none.
+   * @returns {Object} - { from, to, closed }: increasing anchor parameters;
+   *   closed maps span exactly one turn on both sides
+   */
+  buildMap(a, b, closed) {
+    const pinsB = new Map();
+    b.points.forEach((p, i) => {
+      if (p.pin != null) pinsB.set(p.pin, b.params[i]);
+    });
+    let anchors = [];
+    a.points.forEach((p, i) => {
+      if (p.pin != null && pinsB.has(p.pin)) anchors.push([a.params[i], pinsB.get(p.pin)]);
+    });
+    anchors.sort((p, q) => p[0] - q[0]);
+
+    if (!closed) {
+      // Drop pins that would make the map run backwards
+      const kept = [[0, 0]];
+      for (const anchor of anchors) {
+        const last = kept[kept.length - 1];
+        if (anchor[0] >= last[0] && anchor[1] >= last[1]) kept.push(anchor);
+      }
+      kept.push([1, 1]);
+      return { from: kept.map(k => k[0]), to: kept.map(k => k[1]), closed };
+    }
+
+    if (anchors.length === 0) anchors = [[0, this.bestOffset(a, b)]];
+
+    // Unroll the second ring's anchors; pins in a different cyclic order
+    // would wrap around more than once, so fall back to the first pin
+    const unroll = list => {
+      const to = [list[0][1]];
+      for (let i = 1; i < list.length; i++) {
+        to.push(to[i - 1] + this.wrap(list[i][1] - list[i - 1][1]));
+      }
+      return to;
+    };
+    let to = unroll(anchors);
+    if (to[to.length - 1] - to[0] + this.wrap(anchors[0][1] - anchors[anchors.length - 1][1]) > 1 + this.epsilon) {
+      anchors = anchors.slice(0, 1);
+      to = unroll(anchors);
+    }
+
+    return {
+      from: [...anchors.map(p => p[0]), anchors[0][0] + 1],
+      to: [...to, to[0] + 1],
+      closed
+    };
+  }
+
+  // Map a parameter forward (or back with `inverse`) through a map
+  apply(map, u, inverse = false) {
+    const from = inverse ? map.to : map.from;
+    const to = inverse ? map.from : map.to;
+    if (map.closed) u = from[0] + this.wrap(u - from[0]);
+
+    let i = 0;
+    while (i < from.length - 2 && u >= from[i + 1]) i++;
+    const span = from[i + 1] - from[i];
+    const f = span > 0 ? (u - from[i]) / span : 0;
+    return to[i] + (to[i + 1] - to[i]) * f;
+  }
+
+  /**
+   * Parameter of ring b that ring a's start should map to, so the centered
+   * rings are closest overall
+   */
+  bestOffset(a, b) {
+    const count = this.samples;
+    const ca = this.centroid(a);
+    const cb = this.centroid(b);
+    const pointsA = [];
+    for (let j = 0; j < count; j++) pointsA.push(this.sample(a, j / count));
+
+    // Try evenly spaced offsets and every vertex of b
+    const candidates = [...b.params];
+    for (let j = 0; j < count; j++) candidates.push(j / count);
+
+    let best = 0;
+    let bestCost = Infinity;
+    for (const offset of candidates) {
+      let cost = 0;
+      for (let j = 0; j < count && cost < bestCost; j++) {
+        const p = pointsA[j];
+        const q = this.sample(b, this.wrap(offset + j / count));
+        const dx = p.x - ca.x - (q.x - cb.x);
+        const dy = p.y - ca.y - (q.y - cb.y);
+        cost += dx * dx + dy * dy;
+      }
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = offset;
+      }
+    }
+    return best;
+  }
+
+  // ============= HELPERS =============
+
+  signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  // Average of evenly spaced points along the outline, so vertex density
+  // doesn't pull the center
+  centroid(path) {
+    const count = this.samples;
+    let x = 0, y = 0;
+    for (let j = 0; j < count; j++) {
+      const p = this.sample(path, path.closed ? j / count : j / (count - 1));
+      x += p.x;
+      y += p.y;
+    }
+    return { x: x / count, y: y / count };
+  }
+
+  // Wrap a parameter into [0, 1)
+  wrap(u) {
+    const w = u - Math.floor(u);
+    return w >= 1 - this.epsilon ? 0 : w;
+  }
+
+  // Sort and drop near-duplicate parameters
+  unique(params) {
+    params.sort((a, b) => a - b);
+    return params.filter((u, i) => i === 0 || u - params[i - 1] > this.epsilon);
+  }
+}
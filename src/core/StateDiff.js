@@ -0,0 +1,128 @@
+// Structural diff/patch for editor state used by the history
+//
+// Patches describe how to turn one value into another:
+//   { $set: value }                 replace the value outright
+//   { $obj: { key: patch } }        patch object keys ({ $del: true } removes one)
+//   { $arr: length, items: {...} }  patch array elements by index
+//   { $ids: order, items: {...} }   patch arrays of { id } objects by id
+// Arrays of objects carrying an `id` (frames, layers, shapes) are matched by
+// id, so reordering or deleting a shape only records the affected items.
+// Values are treated as immutable: apply() shares untouched subtrees.
+export class StateDiff {
+  // Returns a patch turning `a` into `b`, or undefined if they are equal
+  static diff(a, b) {
+    if (a === b) return undefined;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return StateDiff.isIdArray(a) && StateDiff.isIdArray(b)
+        ? StateDiff.diffIdArray(a, b)
+        : StateDiff.diffArray(a, b);
+    }
+
+    if (StateDiff.isObject(a) && StateDiff.isObject(b)) {
+      return StateDiff.diffObject(a, b);
+    }
+
+    return { $set: b };
+  }
+
+  static diffObject(a, b) {
+    const changes = {};
+    let changed = false;
+
+    for (const key of Object.keys(b)) {
+      const patch = key in a ? StateDiff.diff(a[key], b[key]) : { $set: b[key] };
+      if (patch) {
+        changes[key] = patch;
+        changed = true;
+      }
+    }
+    for (const key of Object.keys(a)) {
+      if (!(key in b)) {
+        changes[key] = { $del: true };
+        changed = true;
+      }
+    }
+
+    return changed ? { $obj: changes } : undefined;
+  }
+
+  static diffArray(a, b) {
+    const items = {};
+    let changed = a.length !== b.length;
+
+    for (let i = 0; i < b.length; i++) {
+      const patch = i < a.length ? StateDiff.diff(a[i], b[i]) : { $set: b[i] };
+      if (patch) {
+        items[i] = patch;
+        changed = true;
+      }
+    }
+
+    return changed ? { $arr: b.length, items } : undefined;
+  }
+
+  static diffIdArray(a, b) {
+    const before = new Map(a.map(item => [item.id, item]));
+    const items = {};
+    let changed = a.length !== b.length;
+
+    for (let i = 0; i < b.length; i++) {
+      const item = b[i];
+      if (!changed && a[i].id !== item.id) changed = true;
+
+      const patch = before.has(item.id) ? StateDiff.diff(before.get(item.id), item) : { $set: item };
+      if (patch) {
+        items[item.id] = patch;
+        changed = true;
+      }
+    }
+
+    return changed ? { $ids: b.map(item => item.id), items } : undefined;
+  }
+
+  // Returns `value` with `patch` applied, without mutating `value`
+  static apply(value, patch) {
+    if (!patch) return value;
+    if ('$set' in patch) return patch.$set;
+
+    if ('$obj' in patch) {
+      const result = { ...value };
+      for (const [key, change] of Object.entries(patch.$obj)) {
+        if (change.$del) {
+          delete result[key];
+        } else {
+          result[key] = StateDiff.apply(value[key], change);
+        }
+      }
+      return result;
+    }
+
+    if ('$arr' in patch) {
+      const result = value.slice(0, patch.$arr);
+      for (const [index, change] of Object.entries(patch.items)) {
+        result[index] = StateDiff.apply(value[index], change);
+      }
+      return result;
+    }
+
+    if ('$ids' in patch) {
+      const before = new Map(value.map(item => [item.id, item]));
+      return patch.$ids.map(id => StateDiff.apply(before.get(id), patch.items[id]));
+    }
+
+    return value;
+  }
+
+  static isIdArray(array) {
+    if (array.length === 0 || !array.every(item => StateDiff.isObject(item) && item.id != null)) {
+      return false;
+    }
+    // Duplicate ids can't be matched reliably, fall back to index diffs
+    return new Set(array.map(item => item.id)).size === array.length;
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
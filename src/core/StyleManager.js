@@ -0,0 +1,212 @@
+// Per-shape fill/stroke styling and the Style panel
+//
+// Style properties live directly on shapes. Missing properties fall back to
+// StyleManager.defaults, so older projects render exactly as before.
+export class StyleManager {
+  static defaults = {
+    fill: '#4a9eff',
+    fillOpacity: 0.15,
+    fillVisible: true,
+    stroke: '#4a9eff',
+    strokeWidth: 2,        // World units
+    strokeJoin: 'miter',
+    strokeVisible: true,
+    opacity: 1
+  };
+
+  static keys = Object.keys(StyleManager.defaults);
+
+  constructor(app) {
+    this.app = app;
+    // Style given to newly created shapes, edited from the Style panel
+    this.current = { ...StyleManager.defaults };
+    this.lastSelection = null;
+  }
+
+  // Full style of a shape with defaults filled in
+  getStyle(shape) {
+    const style = {};
+    for (const key of StyleManager.keys) {
+      style[key] = shape[key] != null ? shape[key] : StyleManager.defaults[key];
+    }
+    return style;
+  }
+
+  // Style properties to copy onto a new shape
+  getNewShapeStyle() {
+    return { ...this.current };
+  }
+
+  // Apply style properties to the selected shapes and make them current
+  applyToSelected(props) {
+    Object.assign(this.current, props);
+
+    const shapes = this.getSelectedShapes();
+    for (const shape of shapes) {
+      Object.assign(shape, props);
+    }
+    return shapes.length;
+  }
+
+  // Paint a shape with the current fill (fill tool)
+  applyCurrentFill(shape) {
+    shape.fill = this.current.fill;
+    shape.fillOpacity = this.current.fillOpacity;
+    shape.fillVisible = true;
+  }
+
+  // Symbol instances are drawn in their symbol's style and have none of their own
+  getSelectedShapes() {
+    return this.app.getCurrentShapes().filter(s => this.app.state.selectedShapes.includes(s.id) && s.type !== 'instance');
+  }
+
+  /**
+   * Parse a CSS colour (#rgb, #rgba, #rrggbb, #rrggbbaa, rgb(), rgba())
+   * @param {string} color - Colour string
+   * @returns {Object|null} - { r, g, b, a } with channels 0-255 and alpha 0-1
+   */
+  static parseColor(color) {
+    if (typeof color !== 'string') return null;
+    const value = color.trim().toLowerCase();
+
+    const hex = value.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length === 3 || digits.length === 4) {
+        digits = digits.split('').map(d => d + d).join('');
+      }
+      if (digits.length !== 6 && digits.length !== 8) return null;
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+      };
+    }
+
+    const rgb = value.match(/^rgba?\(([^)]+)\)$/);
+    if (rgb) {
+      const parts = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+      if (parts.length < 3 || parts.some(isNaN)) return null;
+      return {
+        r: parts[0],
+        g: parts[1],
+        b: parts[2],
+        a: parts.length > 3 ? parts[3] : 1
+      };
+    }
+
+    return null;
+  }
+
+  // Colour as an rgba() string with its alpha multiplied by `opacity`
+  static toRgba(color, opacity = 1) {
+    const c = StyleManager.parseColor(color) || StyleManager.parseColor(StyleManager.defaults.fill);
+    return `rgba(${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)}, ${c.a * opacity})`;
+  }
+
+  // Colour as #rrggbb, dropping alpha (for <input type="color">)
+  static toHex(color) {
+    const c = StyleManager.parseColor(color);
+    if (!c) return '#000000';
+    return '#' + [c.r, c.g, c.b]
+      .map(v => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Interpolate the style of two shapes
+   * @param {Object} startShape - Starting shape
+   * @param {Object} endShape - Ending shape
+   * @param {number} t - Interpolation factor (0 = start, 1 = end)
+   * @returns {Object} - Style properties; colours and numbers blend, the rest switch halfway
+   */
+  interpolateStyle(startShape, endShape, t) {
+    const a = this.getStyle(startShape);
+    const b = this.getStyle(endShape);
+    const style = {};
+
+    for (const key of StyleManager.keys) {
+      if (key === 'fill' || key === 'stroke') {
+        style[key] = StyleManager.mixColors(a[key], b[key], t);
+      } else if (typeof a[key] === 'number') {
+        style[key] = a[key] + (b[key] - a[key]) * t;
+      } else {
+        style[key] = t < 0.5 ? a[key] : b[key];
+      }
+    }
+
+    return style;
+  }
+
+  static mixColors(from, to, t) {
+    if (from === to) return from;
+    const a = StyleManager.parseColor(from);
+    const b = StyleManager.parseColor(to);
+    if (!a || !b) return t < 0.5 ? from : to;
+
+    const mix = (x, y) => x + (y - x) * t;
+    return `rgba(${Math.round(mix(a.r, b.r))}, ${Math.round(mix(a.g, b.g))}, ${Math.round(mix(a.b, b.b))}, ${mix(a.a, b.a)})`;
+  }
+
+  // Wire up the Style panel controls
+  setupPanel() {
+    const bind = (id, prop, read, event = 'change') => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener(event, () => {
+        const value = read(input);
+        if (value === null) return;
+        if (this.applyToSelected({ [prop]: value }) > 0) {
+          this.app.saveHistory('Change Style', { coalesce: `style-${prop}` });
+        }
+        this.app.render();
+      });
+    };
+
+    const number = (min, max, scale = 1) => input => {
+      const value = parseFloat(input.value);
+      return isNaN(value) ? null : Math.max(min, Math.min(max, value)) / scale;
+    };
+
+    bind('styleFill', 'fill', input => input.value, 'input');
+    bind('styleFillOpacity', 'fillOpacity', number(0, 100, 100), 'input');
+    bind('styleFillVisible', 'fillVisible', input => input.checked);
+    bind('styleStroke', 'stroke', input => input.value, 'input');
+    bind('styleStrokeWidth', 'strokeWidth', number(0, 100));
+    bind('styleStrokeJoin', 'strokeJoin', input => input.value);
+    bind('styleStrokeVisible', 'strokeVisible', input => input.checked);
+    bind('styleOpacity', 'opacity', number(0, 100, 100), 'input');
+
+    this.updateUI();
+  }
+
+  // Refresh the panel when the selection changed since the last call
+  syncSelection() {
+    const key = this.app.state.selectedShapes.join(',');
+    if (key === this.lastSelection) return;
+    this.lastSelection = key;
+    this.updateUI();
+  }
+
+  // Show the style of the first selected shape (or the current style)
+  updateUI() {
+    const [shape] = this.getSelectedShapes();
+    const style = shape ? this.getStyle(shape) : this.current;
+
+    const set = (id, apply) => {
+      const input = document.getElementById(id);
+      if (input && document.activeElement !== input) apply(input);
+    };
+
+    set('styleFill', input => { input.value = StyleManager.toHex(style.fill); });
+    set('styleFillOpacity', input => { input.value = Math.round(style.fillOpacity * 100); });
+    set('styleFillVisible', input => { input.checked = style.fillVisible; });
+    set('styleStroke', input => { input.value = StyleManager.toHex(style.stroke); });
+    set('styleStrokeWidth', input => { input.value = style.strokeWidth; });
+    set('styleStrokeJoin', input => { input.value = style.strokeJoin; });
+    set('styleStrokeVisible', input => { input.checked = style.strokeVisible; });
+    set('styleOpacity', input => { input.value = Math.round(style.opacity * 100); });
+    set('fillRuleSelect', input => { input.value = (shape && shape.fillRule) || 'nonzero'; });
+  }
+}
@@ -0,0 +1,301 @@
+import { StyleManager } from './StyleManager.js';
+import { KeyframeTracks } from './KeyframeTracks.js';
+
+/**
+ * SvgExporter - Writes frames and keyframe animations as SVG documents.
+ *
+ * The SVG viewBox covers the canvas bounds (centered at 0,0 in world space,
+ * y pointing down like the editor), so shapes outside the canvas are clipped.
+ * Visible layers become <g> groups carrying the layer opacity, nested in a
+ * <g> for each layer group; simple polygons become <polygon>, shapes with
+ * holes, curves or open outlines become <path> elements (bezier segments as
+ * C commands; animations use the flattened outlines). Either export can be
+ * limited to the layers of one group. Symbol instances are written out as
+ * the shapes they draw.
+ *
+ * Animations use SMIL <animate> elements driven by KeyframeTracks: paths
+ * keep a fixed point count across keyframes, easings become keySplines
+ * (elastic and bounce are baked into extra key times) and only values that
+ * change between keyframes are animated.
+ */
+export class SvgExporter {
+  constructor(app) {
+    this.app = app;
+    this.precision = 2;
+    this.tracks = new KeyframeTracks(app);
+  }
+
+  /**
+   * Export a single frame as a static SVG document
+   * @param {Object} frame - Frame to export (defaults to the current frame)
+   * @param {string|null} groupId - Only export the layers in this group
+   * @returns {string} - SVG markup
+   */
+  exportFrame(frame = this.app.frames.getCurrentFrame(), groupId = null) {
+    const entries = this.app.layers.getFrameLayers(frame).map(layer => ({
+      layer,
+      elements: this.app.symbols.resolveAll(layer.shapes)
+        .filter(shape => shape.vertices.length >= 2)
+        .map(shape => this.shapeElement(shape))
+    }));
+
+    return this.document(this.nest(entries, groupId));
+  }
+
+  /**
+   * Export the keyframe animation as an animated (SMIL) SVG document
+   * @param {string|null} groupId - Only export the layers in this group
+   * @returns {string} - SVG markup
+   */
+  exportAnimation(groupId = null) {
+    const keyframes = this.tracks.getKeyframes();
+    if (keyframes.length < 2) return this.exportFrame(keyframes[0], groupId);
+
+    const duration = (keyframes[keyframes.length - 1].time || 0) - (keyframes[0].time || 0);
+    if (duration <= 0) return this.exportFrame(keyframes[0], groupId);
+
+    const timing = this.tracks.buildTiming(keyframes);
+    const entries = this.tracks.buildLayers(keyframes).map(({ layer, tracks }) => ({
+      layer,
+      elements: tracks.map(track => this.animatedShapeElement(track, timing))
+    }));
+
+    return this.document(this.nest(entries, groupId));
+  }
+
+  // ============= DOCUMENT STRUCTURE =============
+
+  document(groups) {
+    const w = this.app.canvasWidth;
+    const h = this.app.canvasHeight;
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="${this.num(-w / 2)} ${this.num(-h / 2)} ${w} ${h}">`,
+      ...groups,
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Layer groups for the visible layers, wrapped in a <g> per layer group
+   * @param {Array} entries - [{ layer, elements }] bottom to top
+   * @param {string|null} groupId - Only include layers in this group
+   * @returns {Array} - Markup for the document body
+   */
+  nest(entries, groupId) {
+    const layers = this.app.layers;
+    const ids = new Set();
+    const lines = [];
+    const open = [];
+    const pad = () => '  '.repeat(open.length + 1);
+
+    for (const { layer, elements } of entries) {
+      if (!layers.isVisible(layer)) continue;
+      if (groupId && !layers.isInGroup(layer, groupId)) continue;
+
+      // Enclosing groups outermost first, inside the exported group
+      const chain = layers.getAncestors(layer).reverse();
+      if (groupId) chain.splice(0, chain.findIndex(g => g.id === groupId) + 1);
+
+      let common = 0;
+      while (common < open.length && open[common] === chain[common]) common++;
+      while (open.length > common) {
+        open.pop();
+        lines.push(pad() + '</g>');
+      }
+      for (const group of chain.slice(common)) {
+        lines.push(`${pad()}<g id="${this.escape(this.uniqueId(group.name, ids))}" data-name="${this.escape(group.name)}">`);
+        open.push(group);
+      }
+
+      lines.push(this.group(layer, ids, elements, pad()));
+    }
+
+    while (open.length > 0) {
+      open.pop();
+      lines.push(pad() + '</g>');
+    }
+    return lines;
+  }
+
+  // Layer group with a unique id derived from its name
+  group(layer, ids, elements, pad) {
+    const name = layer.name;
+    const opacity = layer.opacity < 1 ? ` opacity="${this.num(layer.opacity)}"` : '';
+    const id = this.uniqueId(name, ids);
+
+    return [
+      `${pad}<g id="${this.escape(id)}" data-name="${this.escape(name)}"${opacity}>`,
+      ...elements.map(e => pad + '  ' + e),
+      `${pad}</g>`
+    ].join('\n');
+  }
+
+  uniqueId(name, ids) {
+    const base = String(name || 'layer').replace(/[^A-Za-z0-9_-]+/g, '_') || 'layer';
+    let id = base;
+    for (let n = 2; ids.has(id); n++) id = `${base}_${n}`;
+    ids.add(id);
+    return id;
+  }
+
+  shapeElement(shape) {
+    const attrs = this.paintAttributes(this.app.styles.getStyle(shape));
+    const hasHoles = shape.holes && shape.holes.length > 0;
+    const curved = this.app.shapes.getRings(shape).some(ring => this.app.shapes.curves.hasCurves(ring));
+
+    if (!hasHoles && !curved && shape.closed !== false) {
+      const points = shape.vertices.map(v => `${this.num(v.x)},${this.num(v.y)}`).join(' ');
+      return `<polygon points="${points}"${attrs}/>`;
+    }
+
+    const rings = this.app.shapes.getRings(shape);
+    const fillRule = hasHoles ? ` fill-rule="${shape.fillRule || 'nonzero'}"` : '';
+    return `<path d="${this.pathData(rings, shape.closed !== false)}"${fillRule}${attrs}/>`;
+  }
+
+  // ============= ANIMATION =============
+
+  /**
+   * Build the element for one shape track
+   * @param {Object} track - From KeyframeTracks.buildShapeTrack()
+   * @param {Object} timing - From KeyframeTracks.buildTiming()
+   * @returns {string} - <path> element with <animate> children
+   */
+  animatedShapeElement(track, timing) {
+    // Values at each stop
+    const paths = timing.stops.map(stop => this.pathData(this.tracks.ringsAt(track, stop), track.closed));
+    const paints = timing.stops.map(stop => this.paintValues(this.tracks.styleAt(track, stop)));
+
+    const values = { d: paths };
+    for (const key of Object.keys(paints[0])) {
+      values[key] = paints.map(p => p[key]);
+    }
+
+    let staticAttrs = '';
+    const animations = [];
+    for (const [name, list] of Object.entries(values)) {
+      if (list.every(v => v === list[0])) {
+        staticAttrs += ` ${name}="${this.escape(list[0])}"`;
+      } else {
+        animations.push(this.animateElement(name, list, timing));
+      }
+    }
+
+    const fillRule = track.fillRule ? ` fill-rule="${track.fillRule}"` : '';
+    const join = ` stroke-linejoin="${track.styles[0].strokeJoin}"`;
+    if (animations.length === 0) return `<path${staticAttrs}${fillRule}${join}/>`;
+
+    return [
+      `<path${staticAttrs}${fillRule}${join}>`,
+      ...animations.map(a => '  ' + a),
+      '</path>'
+    ].join('\n    ');
+  }
+
+  animateElement(name, values, timing) {
+    const ordered = timing.order.map(i => values[i]);
+    const attrs = [
+      `attributeName="${name}"`,
+      'begin="0s"',
+      `dur="${this.num(timing.duration, 3)}s"`,
+      `repeatCount="${timing.once ? 1 : 'indefinite'}"`,
+      timing.once ? 'fill="freeze"' : null,
+      'calcMode="spline"',
+      `keyTimes="${timing.keyTimes.map(t => this.num(t, 4)).join(';')}"`,
+      `keySplines="${timing.keySplines.map(s => s.map(v => this.num(v, 3)).join(' ')).join(';')}"`,
+      `values="${ordered.map(v => this.escape(v)).join(';')}"`
+    ];
+    return `<animate ${attrs.filter(Boolean).join(' ')}/>`;
+  }
+
+  // ============= STYLE =============
+
+  /**
+   * Presentation attribute values for a style. Hidden fill/stroke become
+   * zero opacity so they can be animated alongside the other values.
+   */
+  paintValues(style) {
+    const fill = StyleManager.parseColor(style.fill) || StyleManager.parseColor(StyleManager.defaults.fill);
+    const stroke = StyleManager.parseColor(style.stroke) || StyleManager.parseColor(StyleManager.defaults.stroke);
+    return {
+      fill: StyleManager.toHex(style.fill),
+      'fill-opacity': this.num(style.fillVisible ? fill.a * style.fillOpacity : 0, 3),
+      stroke: StyleManager.toHex(style.stroke),
+      'stroke-opacity': this.num(style.strokeVisible ? stroke.a : 0, 3),
+      'stroke-width': this.num(style.strokeWidth),
+      opacity: this.num(style.opacity, 3)
+    };
+  }
+
+  // Attribute string for a static shape; hidden paint becomes "none"
+  paintAttributes(style) {
+    const values = this.paintValues(style);
+    const attrs = {};
+
+    if (style.fillVisible) {
+      attrs.fill = values.fill;
+      if (values['fill-opacity'] !== '1') attrs['fill-opacity'] = values['fill-opacity'];
+    } else {
+      attrs.fill = 'none';
+    }
+
+    if (style.strokeVisible && style.strokeWidth > 0) {
+      attrs.stroke = values.stroke;
+      if (values['stroke-opacity'] !== '1') attrs['stroke-opacity'] = values['stroke-opacity'];
+      attrs['stroke-width'] = values['stroke-width'];
+      attrs['stroke-linejoin'] = style.strokeJoin;
+    } else {
+      attrs.stroke = 'none';
+    }
+
+    if (values.opacity !== '1') attrs.opacity = values.opacity;
+
+    return Object.entries(attrs).map(([k, v]) => ` ${k}="${this.escape(v)}"`).join('');
+  }
+
+  // ============= HELPERS =============
+
+  pathData(rings, closed = true) {
+    return rings
+      .filter(ring => ring.length > 0)
+      .map(ring => this.app.shapes.curves.hasCurves(ring)
+        ? this.curveData(ring, closed)
+        : 'M' + ring.map(p => `${this.num(p.x)} ${this.num(p.y)}`).join(' L') + (closed ? ' Z' : ''))
+      .join(' ');
+  }
+
+  // Ring with bezier segments written as C commands
+  curveData(ring, closed) {
+    const curves = this.app.shapes.curves;
+    const point = p => `${this.num(p.x)} ${this.num(p.y)}`;
+    const n = ring.length;
+    let d = 'M' + point(ring[0]);
+    for (let i = 1; i < (closed ? n + 1 : n); i++) {
+      const a = ring[i - 1];
+      const b = ring[i % n];
+      if (curves.isCurved(a, b)) {
+        const [, c1, c2] = curves.controlPoints(a, b);
+        d += ` C${point(c1)} ${point(c2)} ${point(b)}`;
+      } else if (i < n) {
+        d += ` L${point(b)}`;
+      }
+    }
+    return d + (closed ? ' Z' : '');
+  }
+
+  num(value, precision = this.precision) {
+    const mult = Math.pow(10, precision);
+    // `|| 0` also turns -0 into 0
+    return String(Math.round(value * mult) / mult || 0);
+  }
+
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
@@ -0,0 +1,833 @@
+import { StyleManager } from './StyleManager.js';
+
+/**
+ * SvgImporter - Converts SVG documents into editor layers and shapes.
+ *
+ * Supported elements: <path> (all commands, curves and arcs are flattened),
+ * <polygon>, <polyline>, <line>, <rect> (with rounded corners), <circle> and
+ * <ellipse>. Group and element transforms are applied, and the root viewBox
+ * is mapped onto a canvas centered at 0,0 (the same space SvgExporter
+ * writes). Top-level <g> elements become layers; nested groups are
+ * flattened into their layer.
+ *
+ * Every outline is first built from line and cubic segments in local
+ * coordinates, then transformed and flattened, so `tolerance` is the
+ * maximum deviation from the curve in world units.
+ *
+ * Presentation attributes and inline `style` declarations are read for
+ * fill, stroke and opacity, with SVG's defaults (black fill, no stroke).
+ * Stylesheets, <use>, gradients and clip paths are not supported.
+ */
+export class SvgImporter {
+  constructor(app) {
+    this.app = app;
+    this.tolerance = 0.5;
+    this.precision = 3;
+  }
+
+  // Elements whose content is never rendered directly
+  static skipped = new Set([
+    'defs', 'clipPath', 'mask', 'marker', 'pattern', 'symbol', 'style',
+    'script', 'title', 'desc', 'metadata', 'linearGradient', 'radialGradient', 'filter'
+  ]);
+
+  static inherited = [
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width',
+    'stroke-opacity', 'stroke-linejoin', 'visibility'
+  ];
+
+  /**
+   * Parse SVG markup
+   * @param {string} text - SVG document
+   * @param {Object} options - { tolerance }
+   * @returns {Object} - { canvasWidth, canvasHeight, layers } in the editor's frame format
+   */
+  parse(text, options = {}) {
+    this.tolerance = options.tolerance || this.tolerance;
+
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const svg = doc.documentElement;
+    if (doc.querySelector('parsererror') || svg.localName !== 'svg') {
+      throw new Error('Not a valid SVG document');
+    }
+
+    const { width, height, matrix } = this.getViewport(svg);
+    const rootStyle = this.readStyle(svg, this.initialStyle());
+    const layers = [];
+    let looseLayer = null;
+
+    for (const child of svg.children) {
+      if (SvgImporter.skipped.has(child.localName)) continue;
+
+      if (child.localName === 'g') {
+        const style = this.readStyle(child, rootStyle);
+        const layer = this.createLayer(this.getLabel(child) || `Layer ${layers.length + 1}`);
+        layer.visible = style.display !== 'none' && style.visibility !== 'hidden';
+        // Hidden layers still import their shapes
+        style.display = 'inline';
+        style.visibility = 'visible';
+        this.collect(child, this.multiply(matrix, this.parseTransform(child.getAttribute('transform'))), style, layer.shapes);
+        layers.push(layer);
+      } else {
+        if (!looseLayer) {
+          looseLayer = this.createLayer(`Layer ${layers.length + 1}`);
+          layers.push(looseLayer);
+        }
+        this.collectElement(child, matrix, rootStyle, looseLayer.shapes);
+      }
+    }
+
+    if (!layers.some(layer => layer.shapes.length > 0)) {
+      throw new Error('No supported shapes found in SVG');
+    }
+
+    return { type: 'frame', canvasWidth: width, canvasHeight: height, layers };
+  }
+
+  createLayer(name) {
+    return {
+      id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name,
+      visible: true,
+      locked: false,
+      shapes: []
+    };
+  }
+
+  getLabel(element) {
+    return element.getAttribute('inkscape:label') ||
+           element.getAttribute('data-name') ||
+           element.getAttribute('id');
+  }
+
+  // Canvas size and the matrix mapping the viewBox onto the centered canvas
+  getViewport(svg) {
+    const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+    const hasViewBox = viewBox.length === 4 && viewBox.every(v => !isNaN(v)) && viewBox[2] > 0 && viewBox[3] > 0;
+    const length = name => {
+      const value = svg.getAttribute(name);
+      return value && !value.trim().endsWith('%') ? parseFloat(value) : NaN;
+    };
+
+    let width = length('width');
+    let height = length('height');
+    if (isNaN(width)) width = hasViewBox ? viewBox[2] : 800;
+    if (isNaN(height)) height = hasViewBox ? viewBox[3] : 600;
+
+    let matrix = [1, 0, 0, 1, -width / 2, -height / 2];
+
+    if (hasViewBox) {
+      const [vx, vy, vw, vh] = viewBox;
+      let sx = width / vw;
+      let sy = height / vh;
+      const aspect = (svg.getAttribute('preserveAspectRatio') || '').trim();
+      if (aspect !== 'none') {
+        // Default xMidYMid meet
+        sx = sy = Math.min(sx, sy);
+      }
+      const tx = (width - vw * sx) / 2 - vx * sx;
+      const ty = (height - vh * sy) / 2 - vy * sy;
+      matrix = this.multiply(matrix, [sx, 0, 0, sy, tx, ty]);
+    }
+
+    return { width: Math.round(width), height: Math.round(height), matrix };
+  }
+
+  // ============= TREE WALK =============
+
+  collect(parent, matrix, style, shapes) {
+    for (const child of parent.children) {
+      this.collectElement(child, matrix, style, shapes);
+    }
+  }
+
+  collectElement(element, parentMatrix, parentStyle, shapes) {
+    const name = element.localName;
+    if (SvgImporter.skipped.has(name)) return;
+
+    const style = this.readStyle(element, parentStyle);
+    if (style.display === 'none') return;
+
+    const matrix = this.multiply(parentMatrix, this.parseTransform(element.getAttribute('transform')));
+
+    if (name === 'g' || name === 'a' || name === 'switch' || name === 'svg') {
+      this.collect(element, matrix, style, shapes);
+      return;
+    }
+
+    if (style.visibility === 'hidden') return;
+
+    const subpaths = this.getSubpaths(element);
+    if (!subpaths || subpaths.length === 0) return;
+
+    const flattened = subpaths
+      .map(sub => ({ points: this.flatten(sub.segments, matrix), closed: sub.closed }))
+      .filter(sub => sub.points.length >= 2);
+
+    shapes.push(...this.buildShapes(flattened, style, matrix));
+  }
+
+  // Outline of an element as subpaths of { segments, closed } in local coordinates
+  getSubpaths(element) {
+    const num = name => parseFloat(element.getAttribute(name)) || 0;
+
+    switch (element.localName) {
+      case 'path':
+        return this.parsePath(element.getAttribute('d') || '');
+
+      case 'polygon':
+      case 'polyline': {
+        const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+        const segments = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          if (isNaN(values[i]) || isNaN(values[i + 1])) break;
+          segments.push(segments.length === 0
+            ? { type: 'M', x: values[i], y: values[i + 1] }
+            : { type: 'L', x: values[i], y: values[i + 1] });
+        }
+        return [{ segments, closed: element.localName === 'polygon' }];
+      }
+
+      case 'line':
+        return [{
+          segments: [
+            { type: 'M', x: num('x1'), y: num('y1') },
+            { type: 'L', x: num('x2'), y: num('y2') }
+          ],
+          closed: false
+        }];
+
+      case 'rect':
+        return this.rectPath(num('x'), num('y'), num('width'), num('height'),
+          element.getAttribute('rx'), element.getAttribute('ry'));
+
+      case 'circle':
+        return this.ellipsePath(num('cx'), num('cy'), num('r'), num('r'));
+
+      case 'ellipse':
+        return this.ellipsePath(num('cx'), num('cy'), num('rx'), num('ry'));
+
+      default:
+        return null;
+    }
+  }
+
+  rectPath(x, y, w, h, rxAttr, ryAttr) {
+    if (w <= 0 || h <= 0) return null;
+
+    // Missing rx/ry mirror each other, both are clamped to half the size
+    let rx = rxAttr != null ? parseFloat(rxAttr) : NaN;
+    let ry = ryAttr != null ? parseFloat(ryAttr) : NaN;
+    if (isNaN(rx)) rx = isNaN(ry) ? 0 : ry;
+    if (isNaN(ry)) ry = rx;
+    rx = Math.min(Math.max(rx, 0), w / 2);
+    ry = Math.min(Math.max(ry, 0), h / 2);
+
+    if (rx === 0 || ry === 0) {
+      return [{
+        segments: [
+          { type: 'M', x, y },
+          { type: 'L', x: x + w, y },
+          { type: 'L', x: x + w, y: y + h },
+          { type: 'L', x, y: y + h }
+        ],
+        closed: true
+      }];
+    }
+
+    const segments = [{ type: 'M', x: x + rx, y }];
+    const corner = (fromX, fromY, toX, toY, lineX, lineY) => {
+      segments.push(...this.arcToCubics(fromX, fromY, rx, ry, 0, false, true, toX, toY));
+      if (lineX != null) segments.push({ type: 'L', x: lineX, y: lineY });
+    };
+    segments.push({ type: 'L', x: x + w - rx, y });
+    corner(x + w - rx, y, x + w, y + ry, x + w, y + h - ry);
+    corner(x + w, y + h - ry, x + w - rx, y + h, x + rx, y + h);
+    corner(x + rx, y + h, x, y + h - ry, x, y + ry);
+    corner(x, y + ry, x + rx, y);
+    return [{ segments, closed: true }];
+  }
+
+  ellipsePath(cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) return null;
+    const segments = [{ type: 'M', x: cx + rx, y: cy }];
+    segments.push(...this.arcToCubics(cx + rx, cy, rx, ry, 0, false, true, cx - rx, cy));
+    segments.push(...this.arcToCubics(cx - rx, cy, rx, ry, 0, false, true, cx + rx, cy));
+    return [{ segments, closed: true }];
+  }
+
+  // ============= PATH DATA =============
+
+  /**
+   * Parse SVG path data into absolute line and cubic segments
+   * @param {string} d - Path data
+   * @returns {Array} - [{ segments: [{type:'M'|'L'|'C', ...}], closed }]
+   */
+  parsePath(d) {
+    const subpaths = [];
+    let current = null;
+    let x = 0, y = 0;            // Current point
+    let startX = 0, startY = 0;  // Start of the current subpath
+    let lastControl = null;      // Reflected for S/T
+    let lastCommand = '';
+    let pos = 0;
+
+    const skip = () => {
+      while (pos < d.length && /[\s,]/.test(d[pos])) pos++;
+    };
+    const number = () => {
+      skip();
+      const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(pos, pos + 64));
+      if (!match) throw new Error(`Invalid path data near "${d.slice(pos, pos + 10)}"`);
+      pos += match[0].length;
+      return parseFloat(match[0]);
+    };
+    // Arc flags may be written without separators ("a1 1 0 01 5 5")
+    const flag = () => {
+      skip();
+      const c = d[pos];
+      if (c !== '0' && c !== '1') throw new Error('Invalid arc flag in path data');
+      pos++;
+      return c === '1';
+    };
+    const hasNumber = () => {
+      skip();
+      return pos < d.length && /[-+.\d]/.test(d[pos]);
+    };
+    const moveTo = (nx, ny) => {
+      current = { segments: [{ type: 'M', x: nx, y: ny }], closed: false };
+      subpaths.push(current);
+      x = startX = nx;
+      y = startY = ny;
+    };
+    // Drawing commands after Z start a new subpath at the previous start point
+    const ensureSubpath = () => {
+      if (!current || current.closed) moveTo(x, y);
+    };
+
+    skip();
+    while (pos < d.length) {
+      let command = d[pos];
+      if (/[a-zA-Z]/.test(command)) {
+        pos++;
+      } else if (lastCommand) {
+        // Implicit repeat; extra pairs after a moveto are linetos
+        command = lastCommand === 'M' ? 'L' : lastCommand === 'm' ? 'l' : lastCommand;
+      } else {
+        throw new Error('Path data must start with a moveto');
+      }
+
+      const relative = command === command.toLowerCase();
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+      const upper = command.toUpperCase();
+      let control = null;
+
+      switch (upper) {
+        case 'M':
+          moveTo(ox + number(), oy + number());
+          break;
+
+        case 'L':
+          ensureSubpath();
+          x = ox + number();
+          y = oy + number();
+          current.segments.push({ type: 'L', x, y });
+          break;
+
+        case 'H':
+          ensureSubpath();
+          x = ox + number();
+          current.segments.push({ type: 'L', x, y });
+          break;
+
+        case 'V':
+          ensureSubpath();
+          y = oy + number();
+          current.segments.push({ type: 'L', x, y });
+          break;
+
+        case 'C':
+        case 'S': {
+          ensureSubpath();
+          let x1, y1;
+          if (upper === 'C') {
+            x1 = ox + number();
+            y1 = oy + number();
+          } else if (lastControl && /[CcSs]/.test(lastCommand)) {
+            x1 = 2 * x - lastControl.x;
+            y1 = 2 * y - lastControl.y;
+          } else {
+            x1 = x;
+            y1 = y;
+          }
+          const x2 = ox + number();
+          const y2 = oy + number();
+          x = ox + number();
+          y = oy + number();
+          current.segments.push({ type: 'C', x1, y1, x2, y2, x, y });
+          control = { x: x2, y: y2 };
+          break;
+        }
+
+        case 'Q':
+        case 'T': {
+          ensureSubpath();
+          let qx, qy;
+          if (upper === 'Q') {
+            qx = ox + number();
+            qy = oy + number();
+          } else if (lastControl && /[QqTt]/.test(lastCommand)) {
+            qx = 2 * x - lastControl.x;
+            qy = 2 * y - lastControl.y;
+          } else {
+            qx = x;
+            qy = y;
+          }
+          const ex = ox + number();
+          const ey = oy + number();
+          // Elevate the quadratic to a cubic
+          current.segments.push({
+            type: 'C',
+            x1: x + (qx - x) * 2 / 3,
+            y1: y + (qy - y) * 2 / 3,
+            x2: ex + (qx - ex) * 2 / 3,
+            y2: ey + (qy - ey) * 2 / 3,
+            x: ex,
+            y: ey
+          });
+          x = ex;
+          y = ey;
+          control = { x: qx, y: qy };
+          break;
+        }
+
+        case 'A': {
+          ensureSubpath();
+          const rx = number();
+          const ry = number();
+          const rotation = number();
+          const largeArc = flag();
+          const sweep = flag();
+          const ex = ox + number();
+          const ey = oy + number();
+          current.segments.push(...this.arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, ex, ey));
+          x = ex;
+          y = ey;
+          break;
+        }
+
+        case 'Z':
+          if (current) current.closed = true;
+          x = startX;
+          y = startY;
+          break;
+
+        default:
+          throw new Error(`Unsupported path command "${command}"`);
+      }
+
+      lastControl = control;
+      lastCommand = command;
+
+      // Z takes no arguments, so a following number is an error
+      if (upper === 'Z' && hasNumber()) {
+        throw new Error('Unexpected number after closepath');
+      }
+      skip();
+    }
+
+    return subpaths;
+  }
+
+  /**
+   * Convert an SVG elliptical arc to cubic segments (at most 90° each)
+   * following the endpoint-to-center conversion in the SVG spec
+   */
+  arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [{ type: 'L', x: x2, y: y2 }];
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (largeArc === sweep) coef = -coef;
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+    const step = delta / count;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const point = (t) => {
+      const ex = rx * Math.cos(t);
+      const ey = ry * Math.sin(t);
+      return { x: cx + cos * ex - sin * ey, y: cy + sin * ex + cos * ey };
+    };
+    const derivative = (t) => {
+      const ex = -rx * Math.sin(t);
+      const ey = ry * Math.cos(t);
+      return { x: cos * ex - sin * ey, y: sin * ex + cos * ey };
+    };
+
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+      const a = theta1 + step * i;
+      const b = a + step;
+      const p0 = point(a);
+      const p3 = i === count - 1 ? { x: x2, y: y2 } : point(b);
+      const d0 = derivative(a);
+      const d3 = derivative(b);
+      segments.push({
+        type: 'C',
+        x1: p0.x + k * d0.x,
+        y1: p0.y + k * d0.y,
+        x2: p3.x - k * d3.x,
+        y2: p3.y - k * d3.y,
+        x: p3.x,
+        y: p3.y
+      });
+    }
+    return segments;
+  }
+
+  // ============= GEOMETRY =============
+
+  // Transform the segments and flatten curves into points
+  flatten(segments, matrix) {
+    const points = [];
+    let prev = null;
+
+    for (const seg of segments) {
+      const end = this.transformPoint(matrix, seg.x, seg.y);
+
+      if (seg.type === 'C' && prev) {
+        const c1 = this.transformPoint(matrix, seg.x1, seg.y1);
+        const c2 = this.transformPoint(matrix, seg.x2, seg.y2);
+        // Uniform subdivision bounded by the curve's second derivative
+        const ddx = Math.max(Math.abs(prev.x - 2 * c1.x + c2.x), Math.abs(c1.x - 2 * c2.x + end.x));
+        const ddy = Math.max(Math.abs(prev.y - 2 * c1.y + c2.y), Math.abs(c1.y - 2 * c2.y + end.y));
+        const steps = Math.min(100, Math.max(1, Math.ceil(Math.sqrt(6 * Math.hypot(ddx, ddy) / (8 * this.tolerance)))));
+
+        for (let i = 1; i < steps; i++) {
+          const t = i / steps;
+          const mt = 1 - t;
+          points.push({
+            x: mt * mt * mt * prev.x + 3 * mt * mt * t * c1.x + 3 * mt * t * t * c2.x + t * t * t * end.x,
+            y: mt * mt * mt * prev.y + 3 * mt * mt * t * c1.y + 3 * mt * t * t * c2.y + t * t * t * end.y
+          });
+        }
+      }
+
+      points.push(end);
+      prev = end;
+    }
+
+    return this.cleanPoints(points);
+  }
+
+  // Round and drop repeated points (including a closing point equal to the start)
+  cleanPoints(points) {
+    const mult = Math.pow(10, this.precision);
+    const result = [];
+    for (const p of points) {
+      const q = { x: Math.round(p.x * mult) / mult, y: Math.round(p.y * mult) / mult };
+      const last = result[result.length - 1];
+      if (!last || last.x !== q.x || last.y !== q.y) result.push(q);
+    }
+    if (result.length > 1) {
+      const first = result[0];
+      const last = result[result.length - 1];
+      if (first.x === last.x && first.y === last.y) result.pop();
+    }
+    return result;
+  }
+
+  /**
+   * Turn flattened subpaths into shapes. A filled subpath whose inside is
+   * filled and outside is not becomes a shape; one whose outside is filled
+   * and inside is not becomes a hole of the nearest shape around it. Under
+   * `evenodd` that is decided by how many subpaths enclose it, under
+   * `nonzero` by the winding of those subpaths, so an inner subpath wound
+   * the same way as its container stays filled and is dropped.
+   */
+  buildShapes(subpaths, style, matrix) {
+    const filled = style.fill !== 'none';
+    const shapeStyle = this.toShapeStyle(style, matrix);
+    const makeShape = (vertices, closed, holes = []) => ({
+      id: 'shape_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      type: 'polygon',
+      vertices,
+      closed,
+      ...(holes.length > 0 ? { holes, fillRule: style['fill-rule'] } : {}),
+      ...shapeStyle
+    });
+
+    // Unfilled outlines are kept as separate shapes, open or closed
+    if (!filled) {
+      return subpaths.map(sub => makeShape(sub.points, sub.closed));
+    }
+
+    // Filled subpaths are implicitly closed; single segments can only be stroked
+    const rings = subpaths.filter(sub => sub.points.length >= 3).map(sub => sub.points);
+    const lines = shapeStyle.strokeVisible
+      ? subpaths.filter(sub => sub.points.length < 3).map(sub => makeShape(sub.points, false))
+      : [];
+    const containers = rings.map((ring, i) => rings
+      .map((_, j) => j)
+      .filter(j => j !== i && this.containsRing(rings[j], ring)));
+    const depth = containers.map(list => list.length);
+
+    // Winding just outside and just inside each ring
+    const evenOdd = style['fill-rule'] === 'evenodd';
+    const winding = ring => (evenOdd ? 1 : Math.sign(this.signedArea(ring)));
+    const isFilled = count => (evenOdd ? count % 2 !== 0 : count !== 0);
+    const outside = containers.map(list => list.reduce((sum, j) => sum + winding(rings[j]), 0));
+    const kind = rings.map((ring, i) => {
+      const outer = isFilled(outside[i]);
+      const inner = isFilled(outside[i] + winding(ring));
+      if (inner && !outer) return 'shape';
+      if (outer && !inner) return 'hole';
+      return null;
+    });
+
+    const shapes = [];
+    const outerShapes = new Map();
+    rings.forEach((ring, i) => {
+      if (kind[i] === 'shape') {
+        const shape = makeShape(ring, true);
+        outerShapes.set(i, shape);
+        shapes.push(shape);
+      }
+    });
+    rings.forEach((ring, i) => {
+      if (kind[i] !== 'hole') return;
+      // Immediate container: the enclosing shape with the greatest depth
+      const parent = containers[i]
+        .filter(j => kind[j] === 'shape')
+        .reduce((best, j) => (best === null || depth[j] > depth[best] ? j : best), null);
+      const shape = outerShapes.get(parent);
+      if (!shape) return;
+      if (!shape.holes) {
+        shape.holes = [];
+        shape.fillRule = style['fill-rule'];
+      }
+      shape.holes.push(ring);
+    });
+
+    return [...shapes, ...lines];
+  }
+
+  containsRing(outer, ring) {
+    // Rings from one path don't cross, so testing a single point is enough
+    return this.app.shapes.pointInPolygon(ring[0], outer);
+  }
+
+  signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  // ============= STYLE =============
+
+  initialStyle() {
+    return {
+      fill: '#000000',
+      'fill-opacity': '1',
+      'fill-rule': 'nonzero',
+      stroke: 'none',
+      'stroke-width': '1',
+      'stroke-opacity': '1',
+      'stroke-linejoin': 'miter',
+      visibility: 'visible',
+      opacity: 1,
+      display: 'inline'
+    };
+  }
+
+  // Computed style of an element given its parent's style
+  readStyle(element, parent) {
+    const style = { ...parent, display: 'inline' };
+    const declared = {};
+
+    for (const name of [...SvgImporter.inherited, 'opacity', 'display']) {
+      const value = element.getAttribute(name);
+      if (value != null) declared[name] = value.trim();
+    }
+    // Inline style overrides presentation attributes
+    for (const rule of (element.getAttribute('style') || '').split(';')) {
+      const colon = rule.indexOf(':');
+      if (colon < 0) continue;
+      const name = rule.slice(0, colon).trim();
+      const value = rule.slice(colon + 1).replace(/!important/, '').trim();
+      if (name) declared[name] = value;
+    }
+
+    for (const [name, value] of Object.entries(declared)) {
+      if (value === 'inherit') continue;
+      if (name === 'opacity') {
+        // Group opacity is approximated by multiplying it into the children
+        const opacity = parseFloat(value);
+        if (!isNaN(opacity)) style.opacity = parent.opacity * opacity;
+      } else if (name in style) {
+        style[name] = value;
+      }
+    }
+
+    return style;
+  }
+
+  // Convert computed SVG style to shape style properties
+  toShapeStyle(style, matrix) {
+    const fill = this.parsePaint(style.fill);
+    const stroke = this.parsePaint(style.stroke);
+    const fillOpacity = this.parseOpacity(style['fill-opacity']);
+    const strokeOpacity = this.parseOpacity(style['stroke-opacity']);
+    const strokeWidth = (parseFloat(style['stroke-width']) || 0) * Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    const join = style['stroke-linejoin'];
+
+    return {
+      fill: fill ? StyleManager.toHex(fill.color) : StyleManager.defaults.fill,
+      fillOpacity: fill ? fill.alpha * fillOpacity : StyleManager.defaults.fillOpacity,
+      fillVisible: !!fill,
+      // Shapes have no stroke opacity, so it is folded into the colour
+      stroke: !stroke ? StyleManager.defaults.stroke
+        : stroke.alpha * strokeOpacity < 1 ? StyleManager.toRgba(stroke.color, stroke.alpha * strokeOpacity)
+          : stroke.color,
+      strokeWidth: Math.round(strokeWidth * 100) / 100,
+      strokeJoin: join === 'round' || join === 'bevel' ? join : 'miter',
+      strokeVisible: !!stroke && strokeWidth > 0,
+      opacity: Math.max(0, Math.min(1, style.opacity))
+    };
+  }
+
+  // Paint value as { color, alpha }, or null for none/unsupported paint
+  parsePaint(value) {
+    if (!value || value === 'none' || value.startsWith('url(')) {
+      // Gradients and patterns fall back to their fallback colour, if any
+      const fallback = value && value.match(/^url\([^)]*\)\s*(.+)$/);
+      return fallback ? this.parsePaint(fallback[1]) : null;
+    }
+    if (value === 'currentColor') return { color: '#000000', alpha: 1 };
+
+    const color = StyleManager.parseColor(value) || this.parseNamedColor(value);
+    if (!color) return null;
+    return { color: StyleManager.toHex(`rgb(${color.r}, ${color.g}, ${color.b})`), alpha: color.a };
+  }
+
+  // Resolve CSS colour names through the browser
+  parseNamedColor(value) {
+    if (!this.colorContext) {
+      this.colorContext = document.createElement('canvas').getContext('2d');
+    }
+    const ctx = this.colorContext;
+    ctx.fillStyle = '#000000';
+    ctx.fillStyle = value;
+    const resolved = ctx.fillStyle;
+    // An unknown name leaves the black we set, which is only right for "black"
+    if (resolved === '#000000' && value.toLowerCase() !== 'black') return null;
+    return StyleManager.parseColor(resolved);
+  }
+
+  parseOpacity(value) {
+    const text = String(value).trim();
+    let opacity = parseFloat(text);
+    if (isNaN(opacity)) return 1;
+    if (text.endsWith('%')) opacity /= 100;
+    return Math.max(0, Math.min(1, opacity));
+  }
+
+  // ============= TRANSFORMS =============
+  // Matrices are [a, b, c, d, e, f] as in SVG's matrix()
+
+  parseTransform(value) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    if (!value) return matrix;
+
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = re.exec(value)) !== null) {
+      const args = match[2].trim().split(/[\s,]+/).filter(Boolean).map(parseFloat);
+      let m;
+      switch (match[1]) {
+        case 'matrix':
+          m = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+          break;
+        case 'translate':
+          m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+          break;
+        case 'scale': {
+          const sx = args.length > 0 ? args[0] : 1;
+          m = [sx, 0, 0, args.length > 1 ? args[1] : sx, 0, 0];
+          break;
+        }
+        case 'rotate': {
+          const a = (args[0] || 0) * Math.PI / 180;
+          const cx = args[1] || 0;
+          const cy = args[2] || 0;
+          const cos = Math.cos(a);
+          const sin = Math.sin(a);
+          m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+          break;
+        }
+        case 'skewX':
+          m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+          break;
+      }
+      matrix = this.multiply(matrix, m);
+    }
+
+    return matrix;
+  }
+
+  multiply(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1],
+      m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3],
+      m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4],
+      m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+  }
+
+  transformPoint(m, x, y) {
+    return {
+      x: m[0] * x + m[2] * y + m[4],
+      y: m[1] * x + m[3] * y + m[5]
+    };
+  }
+}
@@ -0,0 +1,415 @@
+/**
+ * SymbolManager - Reusable shapes defined once per project and placed as
+ * instances.
+ *
+ * A symbol is a named list of shapes in coordinates relative to its own
+ * origin. An instance is a shape of type 'instance' holding a `symbolId` and
+ * an affine `transform` ({ a, b, c, d, e, f }, as in canvas setTransform) in
+ * place of vertices, so editing the symbol changes every instance. The
+ * renderer, hit testing and exporters draw instances through resolve().
+ * Symbols may hold instances of other symbols, but never of themselves.
+ *
+ * While a symbol is open for editing, getEditFrame() stands in for the
+ * current keyframe: its only layer holds the symbol's shapes.
+ */
+export class SymbolManager {
+  constructor(app) {
+    this.app = app;
+    this.symbols = [];          // [{ id, name, shapes }]
+    this.activeSymbolId = null; // Picked in the symbol list
+    this.editingId = null;      // Open for editing
+    this.idCounter = 1;
+  }
+
+  generateId() {
+    return 'symbol_' + Date.now() + '_' + (this.idCounter++);
+  }
+
+  getSymbol(symbolId) {
+    return this.symbols.find(s => s.id === symbolId);
+  }
+
+  // Saved symbols, dropping malformed entries
+  load(symbols) {
+    this.symbols = (symbols || [])
+      .filter(symbol => symbol && symbol.id && Array.isArray(symbol.shapes))
+      .map((symbol, i) => ({ id: symbol.id, name: symbol.name || `Symbol ${i + 1}`, shapes: symbol.shapes }));
+    this.activeSymbolId = null;
+    this.editingId = null;
+    this.updateUI();
+  }
+
+  // Add symbols the project lacks (shapes copied in from another project)
+  importSymbols(symbols) {
+    for (const symbol of symbols || []) {
+      if (symbol && symbol.id && Array.isArray(symbol.shapes) && !this.getSymbol(symbol.id)) {
+        this.symbols.push(JSON.parse(JSON.stringify(symbol)));
+      }
+    }
+    this.updateUI();
+  }
+
+  // ============= TRANSFORMS =============
+
+  static identity() {
+    return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+  }
+
+  static apply(m, p) {
+    return { x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f };
+  }
+
+  // Map an instance's transform through an affine point mapping (a move,
+  // rotation, scale or flip of the points it draws)
+  mapTransform(shape, fn) {
+    const m = shape.transform;
+    const o = fn({ x: m.e, y: m.f });
+    const x = fn({ x: m.e + m.a, y: m.f + m.b });
+    const y = fn({ x: m.e + m.c, y: m.f + m.d });
+    shape.transform = { a: x.x - o.x, b: x.y - o.y, c: y.x - o.x, d: y.y - o.y, e: o.x, f: o.y };
+  }
+
+  // ============= RESOLVING =============
+
+  /**
+   * Plain shapes a shape draws, in world coordinates
+   * @param {Object} shape - Instance (any other shape is returned as is)
+   * @returns {Array} - Copies of the symbol's shapes. They keep the
+   *   instance's id and groups, so picking one picks the instance, and get
+   *   track ids derived from the instance's so they pair up across keyframes
+   */
+  resolve(shape, seen = []) {
+    if (shape.type !== 'instance') return [shape];
+    const symbol = this.getSymbol(shape.symbolId);
+    if (!symbol || seen.includes(symbol.id)) return [];
+
+    const m = shape.transform;
+    // Bezier handles are offsets, so they only take the linear part
+    const linear = h => ({ x: m.a * h.x + m.c * h.y, y: m.b * h.x + m.d * h.y });
+    const map = ring => ring.map(p => {
+      const mapped = { ...p, ...SymbolManager.apply(m, p) };
+      if (p.handleIn) mapped.handleIn = linear(p.handleIn);
+      if (p.handleOut) mapped.handleOut = linear(p.handleOut);
+      return mapped;
+    });
+    // Strokes scale with the instance's area
+    const strokeScale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+
+    return symbol.shapes.flatMap(part => this.resolve(part, [...seen, symbol.id])).map((part, i) => {
+      const copy = { ...part, id: shape.id, trackId: `${shape.trackId}/${i}`, vertices: map(part.vertices) };
+      if (part.holes) copy.holes = part.holes.map(map);
+      if (part.strokeWidth != null) copy.strokeWidth = part.strokeWidth * strokeScale;
+      if (shape.groups) copy.groups = shape.groups;
+      else delete copy.groups;
+      return copy;
+    });
+  }
+
+  resolveAll(shapes) {
+    return shapes.flatMap(shape => this.resolve(shape));
+  }
+
+  // Whether a symbol places another (directly or through other symbols)
+  uses(symbolId, otherId, seen = []) {
+    const symbol = this.getSymbol(symbolId);
+    if (!symbol || seen.includes(symbolId)) return false;
+    return symbol.shapes.some(s => s.type === 'instance' &&
+      (s.symbolId === otherId || this.uses(s.symbolId, otherId, [...seen, symbolId])));
+  }
+
+  /**
+   * Plain shapes replacing an instance when it is detached: resolved copies
+   * with ids of their own. Shape groups inside the symbol get new ids, nested
+   * below the instance's groups
+   */
+  detach(shape) {
+    const symbol = this.getSymbol(shape.symbolId);
+    const groupIds = new Map();
+    const parts = this.resolve(shape);
+    const sources = symbol ? this.resolveAll(symbol.shapes) : [];
+
+    return parts.map((part, i) => {
+      const copy = JSON.parse(JSON.stringify(part));
+      copy.id = this.app.shapes.generateId();
+      const inner = (sources[i] && sources[i].groups) || [];
+      const groups = [...(shape.groups || []), ...inner.map(id => {
+        if (!groupIds.has(id)) groupIds.set(id, this.app.shapes.generateGroupId());
+        return groupIds.get(id);
+      })];
+      if (groups.length > 0) copy.groups = groups;
+      return copy;
+    });
+  }
+
+  // ============= INTERPOLATION =============
+
+  /**
+   * Tween involving an instance. Instances of the same symbol blend their
+   * transforms; an instance paired with anything else switches over halfway
+   */
+  interpolate(startShape, endShape, t) {
+    const sameSymbol = startShape.type === 'instance' && endShape.type === 'instance' &&
+      startShape.symbolId === endShape.symbolId;
+    const shape = JSON.parse(JSON.stringify(t < 0.5 || sameSymbol ? startShape : endShape));
+    shape.id = this.app.shapes.generateId();
+
+    if (sameSymbol) {
+      const a = startShape.transform;
+      const b = endShape.transform;
+      shape.transform = {};
+      for (const key of Object.keys(a)) shape.transform[key] = a[key] + (b[key] - a[key]) * t;
+    }
+    return shape;
+  }
+
+  // Instance grown from / shrunk to the center of what it draws
+  scaleInstance(shape, scale) {
+    const scaled = JSON.parse(JSON.stringify(shape));
+    scaled.id = this.app.shapes.generateId();
+    const center = this.app.frames.ringCenter(this.app.shapes.getOutlinePoints(shape));
+    if (isNaN(center.x)) return scaled;
+
+    this.mapTransform(scaled, p => ({
+      x: center.x + (p.x - center.x) * scale,
+      y: center.y + (p.y - center.y) * scale
+    }));
+    return scaled;
+  }
+
+  // ============= EDITING =============
+
+  createInstance(symbolId, transform = SymbolManager.identity()) {
+    const shape = {
+      id: this.app.shapes.generateId(),
+      trackId: this.app.frames.generateTrackId(),
+      type: 'instance',
+      symbolId,
+      transform,
+      vertices: []
+    };
+    const path = this.app.state.enteredGroups;
+    if (path.length > 0) shape.groups = [...path];
+    return shape;
+  }
+
+  /**
+   * Turn the selected shapes into a new symbol and replace them with an
+   * instance of it, on the lowest selected shape's layer
+   * @returns {Object|null} - The symbol, or null if nothing was selected
+   */
+  createFromSelection() {
+    const shapes = this.app.shapes;
+    const layers = shapes.getEditableLayers();
+    const selected = layers.flatMap(l => l.shapes).filter(s => this.app.state.selectedShapes.includes(s.id));
+    if (selected.length === 0) return null;
+
+    // The symbol's origin is the center of the selection's bounds
+    const points = selected.flatMap(s => shapes.getOutlinePoints(s));
+    if (points.length === 0) return null;
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+
+    // Groups enclosing the selection stay outside the symbol
+    const path = this.app.state.enteredGroups;
+    const symbol = {
+      id: this.generateId(),
+      name: `Symbol ${this.symbols.length + 1}`,
+      shapes: selected.map(shape => {
+        const copy = JSON.parse(JSON.stringify(shape));
+        shapes.mapPoints(copy, p => ({ x: p.x - cx, y: p.y - cy }));
+        const groups = (copy.groups || []).filter(id => !path.includes(id));
+        if (groups.length > 0) copy.groups = groups;
+        else delete copy.groups;
+        return copy;
+      })
+    };
+    this.symbols.push(symbol);
+
+    const instance = this.createInstance(symbol.id, { a: 1, b: 0, c: 0, d: 1, e: cx, f: cy });
+    const layer = layers.find(l => l.shapes.includes(selected[0]));
+    const index = layer.shapes.indexOf(selected[0]);
+    for (const l of layers) {
+      if (l.shapes.some(s => selected.includes(s))) l.shapes = l.shapes.filter(s => !selected.includes(s));
+    }
+    layer.shapes.splice(index, 0, instance);
+
+    this.app.state.selectedShapes = [instance.id];
+    this.app.state.selectedVertices = [];
+    this.activeSymbolId = symbol.id;
+    this.updateUI();
+    return symbol;
+  }
+
+  /**
+   * Place an instance of a symbol in the middle of the view, on the active
+   * layer (or in the symbol being edited, unless that would nest it in itself)
+   * @returns {Object|null} - The instance
+   */
+  placeInstance(symbolId) {
+    if (!this.getSymbol(symbolId)) return null;
+    if (this.editingId && (symbolId === this.editingId || this.uses(symbolId, this.editingId))) {
+      this.app.showNotification('A symbol cannot contain itself');
+      return null;
+    }
+    const layer = this.app.getCurrentLayer();
+    if (!layer || !this.app.layers.canAddToActiveLayer()) return null;
+
+    const state = this.app.state;
+    const canvas = this.app.canvas;
+    const instance = this.createInstance(symbolId, {
+      ...SymbolManager.identity(),
+      e: (canvas.clientWidth / 2 - state.panX) / state.zoom,
+      f: (canvas.clientHeight / 2 - state.panY) / state.zoom
+    });
+    this.app.layers.addShapes(layer, [instance]);
+    state.selectedShapes = [instance.id];
+    state.selectedVertices = [];
+    return instance;
+  }
+
+  // Replace the selected instances with plain shapes; returns how many
+  detachSelected() {
+    let count = 0;
+    for (const layer of this.app.shapes.getEditableLayers()) {
+      layer.shapes = layer.shapes.flatMap(shape => {
+        if (shape.type !== 'instance' || !this.app.state.selectedShapes.includes(shape.id)) return [shape];
+        count++;
+        const parts = this.detach(shape);
+        this.app.state.selectedShapes.push(...parts.map(p => p.id));
+        return parts;
+      });
+    }
+    this.app.shapes.pruneSelection();
+    return count;
+  }
+
+  // Delete a symbol, detaching its instances everywhere
+  deleteSymbol(symbolId) {
+    const detachAll = shapes => shapes.flatMap(s => (s.type === 'instance' && s.symbolId === symbolId ? this.detach(s) : [s]));
+    for (const frame of this.app.frames.frames) {
+      for (const layerId of Object.keys(frame.content)) {
+        frame.content[layerId] = detachAll(frame.content[layerId]);
+      }
+    }
+    for (const symbol of this.symbols) {
+      if (symbol.id !== symbolId) symbol.shapes = detachAll(symbol.shapes);
+    }
+
+    this.symbols = this.symbols.filter(s => s.id !== symbolId);
+    if (this.activeSymbolId === symbolId) this.activeSymbolId = null;
+    if (this.editingId === symbolId) this.finishEditing();
+    this.app.shapes.pruneSelection();
+    this.updateUI();
+  }
+
+  renameSymbol(symbolId, name) {
+    const symbol = this.getSymbol(symbolId);
+    if (!symbol || !name) return;
+    symbol.name = name;
+    this.updateUI();
+  }
+
+  // Open a symbol's shapes for editing in place of the keyframe
+  editSymbol(symbolId) {
+    if (!this.getSymbol(symbolId)) return;
+    this.editingId = symbolId;
+    this.activeSymbolId = symbolId;
+    this.app.shapes.clearSelection();
+    this.app.state.enteredGroups = [];
+    this.updateUI();
+    this.app.render();
+  }
+
+  finishEditing() {
+    if (!this.editingId) return;
+    this.editingId = null;
+    this.app.shapes.clearSelection();
+    this.app.state.enteredGroups = [];
+    this.updateUI();
+    this.app.render();
+  }
+
+  // Stand-in frame for the symbol being edited, or null
+  getEditFrame() {
+    const symbol = this.getSymbol(this.editingId);
+    return symbol ? { id: 'edit_' + symbol.id, symbolId: symbol.id, content: {} } : null;
+  }
+
+  // The single layer of an edit frame; its shapes write through to the symbol
+  getEditLayer(symbolId) {
+    const symbol = this.getSymbol(symbolId);
+    const layer = {
+      id: symbolId,
+      name: symbol.name,
+      visible: true,
+      locked: false,
+      opacity: 1,
+      solo: false,
+      color: '#ffd43b',
+      parentId: null,
+      symbolId
+    };
+    Object.defineProperty(layer, 'shapes', {
+      enumerable: true,
+      get: () => symbol.shapes,
+      set: shapes => { symbol.shapes = shapes; }
+    });
+    return layer;
+  }
+
+  // ============= UI =============
+
+  updateUI() {
+    const container = document.getElementById('symbolsList');
+    if (container) {
+      container.innerHTML = '';
+      for (const symbol of this.symbols) {
+        container.appendChild(this.createSymbolItem(symbol));
+      }
+    }
+
+    const editBtn = document.getElementById('editSymbolBtn');
+    if (editBtn) {
+      editBtn.textContent = this.editingId ? 'Done' : 'Edit';
+      editBtn.disabled = !this.editingId && !this.activeSymbolId;
+    }
+    for (const id of ['placeSymbolBtn', 'deleteSymbolBtn']) {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !this.activeSymbolId;
+    }
+
+    const banner = document.getElementById('symbolEditBanner');
+    if (banner) {
+      const symbol = this.getSymbol(this.editingId);
+      banner.style.display = symbol ? '' : 'none';
+      banner.textContent = symbol ? `Editing ${symbol.name}` : '';
+    }
+  }
+
+  createSymbolItem(symbol) {
+    const item = document.createElement('div');
+    item.className = 'layer-item symbol-item' + (symbol.id === this.activeSymbolId ? ' active' : '');
+    item.title = 'Double-click to rename';
+
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = symbol.name + (symbol.id === this.editingId ? ' (editing)' : '');
+    item.appendChild(name);
+
+    item.addEventListener('click', () => {
+      this.activeSymbolId = symbol.id;
+      this.updateUI();
+    });
+    item.addEventListener('dblclick', () => {
+      const value = prompt('Symbol name:', symbol.name);
+      if (value && value.trim() && value.trim() !== symbol.name) {
+        this.renameSymbol(symbol.id, value.trim());
+        this.app.saveHistory('Rename Symbol');
+      }
+    });
+
+    return item;
+  }
+}
@@ -542,7 +542,7 @@ export class TimelineUI {
     if (this.dragging && this.dragging.type === 'keyframe') {
       this.sortKeyframes();
       this.frames.updateUI();
-      this.app.saveHistory();
+      this.app.saveHistory('Move Keyframe');
     }
     this.dragging = null;
     this.isMouseDown = false;
@@ -634,10 +634,7 @@ export class TimelineUI {
         id: this.frames.generateId(),
         time: time,
         easing: 'easeInOutQuad',
-        layers: JSON.parse(JSON.stringify(src.layers)).map(layer => ({
-          ...layer,
-          id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9)
-        }))
+        content: JSON.parse(JSON.stringify(src.content))
       };
     } else {
       newFrame = this.frames.createEmptyFrame();
@@ -651,10 +648,9 @@ export class TimelineUI {
     const newIndex = this.frames.frames.indexOf(newFrame);
     this.frames.currentFrameIndex = newIndex;
     this.selectedKeyframe = newIndex;
-    this.app.layers.activeLayerId = newFrame.layers[0]?.id;
 
     this.frames.updateUI();
-    this.app.saveHistory();
+    this.app.saveHistory('Add Keyframe');
     this.app.render();
     this.render();
   }
@@ -682,42 +678,11 @@ export class TimelineUI {
 
   updatePlayheadFrame() {
     // During scrubbing, show the interpolated frame at playhead position
-    const time = this.state.playheadTime;
-    const keyframes = this.frames.frames;
-    if (keyframes.length === 0) return;
-
-    // Find surrounding keyframes
-    let prevIndex = -1;
-    let nextIndex = -1;
-
-    for (let i = 0; i < keyframes.length; i++) {
-      const kfTime = keyframes[i].time || 0;
-      if (kfTime <= time) prevIndex = i;
-      if (kfTime >= time && nextIndex < 0) nextIndex = i;
-    }
+    if (this.frames.frames.length === 0) return;
 
-    if (prevIndex < 0) prevIndex = 0;
-    if (nextIndex < 0) nextIndex = keyframes.length - 1;
-
-    if (prevIndex === nextIndex) {
-      // Exactly at a keyframe
-      this.frames.currentFrameIndex = prevIndex;
-      this.state.interpolatedFrame = null;
-    } else {
-      // Between keyframes - interpolate
-      const prevKf = keyframes[prevIndex];
-      const nextKf = keyframes[nextIndex];
-      const prevTime = prevKf.time || 0;
-      const nextTime = nextKf.time || 0;
-      const t = (time - prevTime) / (nextTime - prevTime);
-
-      const easingName = prevKf.easing || 'linear';
-      const easingFn = this.frames.constructor.easing[easingName] || this.frames.constructor.easing.linear;
-      const easedT = easingFn(t);
-
-      this.state.interpolatedFrame = this.frames.createInterpolatedFrame(prevKf, nextKf, easedT);
-      this.frames.currentFrameIndex = prevIndex;
-    }
+    const { index, frame } = this.frames.getFrameAtTime(this.state.playheadTime);
+    this.frames.currentFrameIndex = index;
+    this.state.interpolatedFrame = frame;
 
     this.app.render();
     this.frames.updateUI();
@@ -781,7 +746,7 @@ export class TimelineUI {
         kf.easing = easing.value;
         this.selectedTransition = transitionIndex;
         this.hideEasingPicker();
-        this.app.saveHistory();
+        this.app.saveHistory('Change Easing');
         this.render();
       });
       picker.appendChild(item);
@@ -18,14 +18,18 @@ export class ToolManager {
       onMouseDown: (data) => this.selectMouseDown(data),
       onMouseDrag: (data) => this.selectMouseDrag(data),
       onMouseUp: (data) => this.selectMouseUp(data),
-      onMouseMove: (data) => this.selectMouseMove(data)
+      onMouseMove: (data) => this.selectMouseMove(data),
+      onDoubleClick: (data) => this.selectDoubleClick(data)
     };
 
-    // Pen tool (draw polygons)
+    // Pen tool (draw polygons; drag out handles for curves)
     this.tools.pen = {
       name: 'Pen',
       cursor: 'crosshair',
+      draws: true,
       onMouseDown: (data) => this.penMouseDown(data),
+      onMouseDrag: (data) => this.penMouseDrag(data),
+      onMouseUp: () => this.penMouseUp(),
       onMouseMove: (data) => this.penMouseMove(data),
       onDoubleClick: (data) => this.penDoubleClick(data)
     };
@@ -34,11 +38,20 @@ export class ToolManager {
     this.tools.brush = {
       name: 'Brush',
       cursor: 'crosshair',
+      draws: true,
       onMouseDown: (data) => this.brushMouseDown(data),
       onMouseDrag: (data) => this.brushMouseDrag(data),
       onMouseUp: (data) => this.brushMouseUp(data)
     };
 
+    // Fill tool (paint shapes, or fill enclosed regions)
+    this.tools.fill = {
+      name: 'Fill',
+      cursor: 'crosshair',
+      draws: true,
+      onMouseDown: (data) => this.fillMouseDown(data)
+    };
+
     // Move tool
     this.tools.move = {
       name: 'Move',
@@ -70,6 +83,7 @@ export class ToolManager {
     this.tools.rectangle = {
       name: 'Rectangle',
       cursor: 'crosshair',
+      draws: true,
       onMouseDown: (data) => this.shapeMouseDown(data, 'rectangle'),
       onMouseDrag: (data) => this.shapeMouseDrag(data, 'rectangle'),
       onMouseUp: (data) => this.shapeMouseUp(data, 'rectangle')
@@ -78,6 +92,7 @@ export class ToolManager {
     this.tools.circle = {
       name: 'Circle',
       cursor: 'crosshair',
+      draws: true,
       onMouseDown: (data) => this.shapeMouseDown(data, 'circle'),
       onMouseDrag: (data) => this.shapeMouseDrag(data, 'circle'),
       onMouseUp: (data) => this.shapeMouseUp(data, 'circle')
@@ -86,6 +101,7 @@ export class ToolManager {
     this.tools.polygon = {
       name: 'Polygon',
       cursor: 'crosshair',
+      draws: true,
       onMouseDown: (data) => this.shapeMouseDown(data, 'polygon'),
       onMouseDrag: (data) => this.shapeMouseDrag(data, 'polygon'),
       onMouseUp: (data) => this.shapeMouseUp(data, 'polygon')
@@ -170,8 +186,7 @@ export class ToolManager {
     if (this.toolState.currentPath) {
       // Finish pen path if it has enough points
       if (this.toolState.currentPath.length >= 3) {
-        this.app.shapes.createFromPath(this.toolState.currentPath);
-        this.app.saveHistory();
+        if (this.app.shapes.createFromPath(this.toolState.currentPath)) this.app.saveHistory('Create Path');
       }
       this.toolState.currentPath = null;
     }
@@ -180,6 +195,8 @@ export class ToolManager {
 
   handleMouseDown(data) {
     const tool = this.tools[this.currentTool];
+    // Drawing tools add to the active layer, so don't start on a locked one
+    if (tool && tool.draws && !this.app.layers.canAddToActiveLayer()) return;
     if (tool && tool.onMouseDown) {
       tool.onMouseDown(data);
     }
@@ -218,7 +235,9 @@ export class ToolManager {
     const hit = this.app.shapes.hitTest(data.pos);
 
     if (hit) {
-      if (hit.type === 'vertex') {
+      if (hit.type === 'handle') {
+        this.toolState.draggingHandle = { ...hit };
+      } else if (hit.type === 'vertex') {
         const vertexKey = `${hit.shapeId}:${hit.vertexIndex}`;
         const isAlreadySelected = this.app.state.selectedVertices.includes(vertexKey);
         
@@ -237,12 +256,11 @@ export class ToolManager {
           };
           this.app.shapes.selectVertex(hit.shapeId, hit.vertexIndex, data.shiftKey);
         }
-      } else if (hit.type === 'shape') {
-        // Select shape
-        if (!data.shiftKey && !this.app.state.selectedShapes.includes(hit.shapeId)) {
-          this.app.shapes.clearSelection();
+      } else if (hit.type === 'shape' || hit.type === 'group') {
+        // Select shape, or the whole group
+        if (!this.app.state.selectedShapes.includes(hit.shapeId)) {
+          this.app.shapes.selectUnit(hit.shapeId, data.shiftKey);
         }
-        this.app.shapes.selectShape(hit.shapeId, true);
         this.toolState.draggingShape = {
           startPos: { ...data.pos },
           shapes: [...this.app.state.selectedShapes]
@@ -262,7 +280,13 @@ export class ToolManager {
   }
 
   selectMouseDrag(data) {
-    if (this.toolState.draggingMultipleVertices) {
+    if (this.toolState.draggingHandle) {
+      // Alt drags the handle on its own, making the vertex a corner
+      const { shapeId, vertexIndex, side } = this.toolState.draggingHandle;
+      this.app.shapes.moveHandle(shapeId, vertexIndex, side, data.rawPos, data.altKey);
+      this.toolState.draggingHandle.moved = true;
+      this.app.render();
+    } else if (this.toolState.draggingMultipleVertices) {
       // Drag all selected vertices together
       const { startPos } = this.toolState.draggingMultipleVertices;
       const dx = data.pos.x - startPos.x;
@@ -313,8 +337,12 @@ export class ToolManager {
   }
 
   selectMouseUp(data) {
-    if (this.toolState.draggingVertex || this.toolState.draggingShape || this.toolState.draggingMultipleVertices) {
-      this.app.saveHistory();
+    if (this.toolState.draggingHandle) {
+      if (this.toolState.draggingHandle.moved) this.app.saveHistory('Move Handle');
+    } else if (this.toolState.draggingVertex || this.toolState.draggingMultipleVertices) {
+      this.app.saveHistory('Move Vertices');
+    } else if (this.toolState.draggingShape) {
+      this.app.saveHistory('Move Shapes');
     }
     
     if (this.toolState.selectionBox) {
@@ -333,13 +361,28 @@ export class ToolManager {
     this.app.render();
   }
 
+  // Double-click a group to edit inside it, a symbol instance to edit its
+  // symbol, or empty space to step out
+  selectDoubleClick(data) {
+    const hit = this.app.shapes.hitTest(data.pos);
+    const shape = hit && this.app.shapes.getShapes().find(s => s.id === hit.shapeId);
+    if (hit && hit.type === 'group') {
+      this.app.shapes.enterGroup(hit.shapeId);
+    } else if (shape && shape.type === 'instance') {
+      this.app.symbols.editSymbol(shape.symbolId);
+    } else if (!hit) {
+      this.app.shapes.exitGroup();
+    }
+    this.app.render();
+  }
+
   selectMouseMove(data) {
     // Update cursor based on what's under it
     const hit = this.app.shapes.hitTest(data.pos);
     const canvas = this.app.canvas;
     
     if (hit) {
-      if (hit.type === 'vertex') {
+      if (hit.type === 'vertex' || hit.type === 'handle') {
         canvas.style.cursor = 'pointer';
       } else if (hit.type === 'edge') {
         canvas.style.cursor = 'pointer';
@@ -367,8 +410,7 @@ export class ToolManager {
       
       if (dist < threshold) {
         // Close the shape - don't add the point, just create the shape
-        this.app.shapes.createFromPath(path);
-        this.app.saveHistory();
+        if (this.app.shapes.createFromPath(path)) this.app.saveHistory('Create Path');
         this.toolState.currentPath = null;
         this.app.state.previewPath = null;
         this.app.state.previewPoint = null;
@@ -378,12 +420,36 @@ export class ToolManager {
       }
     }
     
-    // Add the new point
-    path.push({ ...data.pos });
+    // Add the new point; dragging before release pulls out its handles
+    const point = { ...data.pos };
+    path.push(point);
+    this.toolState.penAnchor = point;
     this.app.state.previewPath = path;
     this.app.render();
   }
 
+  // Symmetric handles follow the pointer from the point just placed
+  penMouseDrag(data) {
+    const anchor = this.toolState.penAnchor;
+    if (!anchor) return;
+
+    const offset = { x: data.rawPos.x - anchor.x, y: data.rawPos.y - anchor.y };
+    if (Math.hypot(offset.x, offset.y) * this.app.state.zoom < 3) {
+      delete anchor.handleIn;
+      delete anchor.handleOut;
+      delete anchor.handleType;
+    } else {
+      anchor.handleType = 'symmetric';
+      this.app.shapes.curves.setHandle(anchor, 'out', offset);
+    }
+    this.app.state.previewPoint = null;
+    this.app.render();
+  }
+
+  penMouseUp() {
+    this.toolState.penAnchor = null;
+  }
+
   penMouseMove(data) {
     if (this.toolState.currentPath && this.toolState.currentPath.length > 0) {
       const path = this.toolState.currentPath;
@@ -407,8 +473,7 @@ export class ToolManager {
 
   penDoubleClick(data) {
     if (this.toolState.currentPath && this.toolState.currentPath.length >= 3) {
-      this.app.shapes.createFromPath(this.toolState.currentPath);
-      this.app.saveHistory();
+      if (this.app.shapes.createFromPath(this.toolState.currentPath)) this.app.saveHistory('Create Path');
     }
     this.toolState.currentPath = null;
     this.app.state.previewPath = null;
@@ -416,6 +481,28 @@ export class ToolManager {
     this.app.render();
   }
 
+  // Fill tool: a click on a shape gives it the current fill; a click
+  // elsewhere fills the region enclosed by the surrounding edges
+  fillMouseDown(data) {
+    const hit = this.app.shapes.hitTest(data.pos);
+    const shape = hit && this.app.shapes.getShapes().find(s => s.id === hit.shapeId);
+
+    if (shape && shape.type === 'instance') {
+      this.app.showNotification('Detach the instance to change its fill');
+      return;
+    }
+    if (shape) {
+      this.app.styles.applyCurrentFill(shape);
+      this.app.saveHistory('Fill Shape');
+    } else if (this.app.shapes.createFromRegion(data.pos)) {
+      this.app.saveHistory('Fill Region');
+    } else {
+      this.app.showNotification('Nothing encloses this point');
+      return;
+    }
+    this.app.render();
+  }
+
   // Brush tool handlers (freehand)
   brushMouseDown(data) {
     this.toolState.brushPath = [{ ...data.pos }];
@@ -441,8 +528,7 @@ export class ToolManager {
     if (this.toolState.brushPath && this.toolState.brushPath.length >= 3) {
       // Simplify path
       const simplified = this.simplifyPath(this.toolState.brushPath, 2);
-      this.app.shapes.createFreehand(simplified);
-      this.app.saveHistory();
+      if (this.app.shapes.createFreehand(simplified)) this.app.saveHistory('Brush Stroke');
     }
     this.toolState.brushPath = null;
     this.app.state.previewPath = null;
@@ -512,10 +598,9 @@ export class ToolManager {
   moveMouseDown(data) {
     const hit = this.app.shapes.hitTest(data.pos);
     
-    if (hit && hit.type === 'shape') {
+    if (hit && (hit.type === 'shape' || hit.type === 'group')) {
       if (!this.app.state.selectedShapes.includes(hit.shapeId)) {
-        this.app.shapes.clearSelection();
-        this.app.shapes.selectShape(hit.shapeId, true);
+        this.app.shapes.selectUnit(hit.shapeId);
       }
     }
     
@@ -538,7 +623,7 @@ export class ToolManager {
 
   moveMouseUp(data) {
     if (this.toolState.moveStart) {
-      this.app.saveHistory();
+      this.app.saveHistory('Move');
     }
     this.toolState = {};
   }
@@ -576,7 +661,7 @@ export class ToolManager {
 
   rotateMouseUp(data) {
     if (this.toolState.rotateCenter) {
-      this.app.saveHistory();
+      this.app.saveHistory('Rotate');
     }
     this.toolState = {};
   }
@@ -612,7 +697,7 @@ export class ToolManager {
 
   scaleMouseUp(data) {
     if (this.toolState.scaleCenter) {
-      this.app.saveHistory();
+      this.app.saveHistory('Scale');
     }
     this.toolState = {};
   }
@@ -683,19 +768,20 @@ export class ToolManager {
       
       // Only create if dragged enough
       if (width > 5 || height > 5) {
+        let shape = null;
         if (shapeType === 'rectangle') {
-          this.app.shapes.createRectangle(start.x, start.y, end.x - start.x, end.y - start.y);
+          shape = this.app.shapes.createRectangle(start.x, start.y, end.x - start.x, end.y - start.y);
         } else if (shapeType === 'circle') {
           const cx = (start.x + end.x) / 2;
           const cy = (start.y + end.y) / 2;
-          this.app.shapes.createCircle(cx, cy, width / 2, height / 2);
+          shape = this.app.shapes.createCircle(cx, cy, width / 2, height / 2);
         } else if (shapeType === 'polygon') {
           const cx = (start.x + end.x) / 2;
           const cy = (start.y + end.y) / 2;
           const radius = Math.hypot(end.x - start.x, end.y - start.y) / 2;
-          this.app.shapes.createPolygon(cx, cy, radius, this.app.state.polygonSides || 6);
+          shape = this.app.shapes.createPolygon(cx, cy, radius, this.app.state.polygonSides || 6);
         }
-        this.app.saveHistory();
+        if (shape) this.app.saveHistory(`Create ${this.tools[shapeType].name}`);
       }
     }
     
@@ -749,7 +835,8 @@ export class ToolManager {
     for (const orig of this.toolState.originalPositions) {
       const shape = shapes.find(s => s.id === orig.shapeId);
       if (shape) {
-        const v = shape.vertices[orig.vertexIndex];
+        const v = this.app.shapes.getPoints(shape)[orig.vertexIndex];
+        if (!v) continue;
         const falloff = this.app.shapes.calculateFalloff(
           orig.distance, 
           radius, 
@@ -767,7 +854,7 @@ export class ToolManager {
 
   sculptGrabMouseUp(data) {
     if (this.toolState.originalPositions && this.toolState.originalPositions.length > 0) {
-      this.app.saveHistory();
+      this.app.saveHistory('Sculpt Grab', { coalesce: 'sculpt-grab' });
     }
     this.toolState = {};
     this.app.render();
@@ -803,7 +890,7 @@ export class ToolManager {
 
   sculptPushMouseUp(data) {
     if (this.toolState.sculpting) {
-      this.app.saveHistory();
+      this.app.saveHistory('Sculpt Push', { coalesce: 'sculpt-push' });
     }
     this.toolState = {};
     this.app.render();
@@ -837,7 +924,7 @@ export class ToolManager {
 
   sculptSmoothMouseUp(data) {
     if (this.toolState.sculpting) {
-      this.app.saveHistory();
+      this.app.saveHistory('Sculpt Smooth', { coalesce: 'sculpt-smooth' });
     }
     this.toolState = {};
     this.app.render();
@@ -0,0 +1,371 @@
+/**
+ * Triangulator - Ear-clipping polygon triangulation with hole support.
+ *
+ * Holes are stitched into the outer ring with bridge edges (so the result is
+ * a single weakly-simple ring), then ears are clipped until two vertices
+ * remain. Triangle indices always refer to the input vertices in the order
+ * they were passed in: the outer ring first, followed by each hole ring.
+ *
+ * Winding is expressed in a y-up coordinate system: 'ccw' triangles have a
+ * positive cross product. Since the editor's y axis points down, 'ccw'
+ * triangles appear clockwise on screen.
+ */
+export class Triangulator {
+  constructor() {
+    this.epsilon = 1e-9;
+  }
+
+  /**
+   * Triangulate a polygon with optional holes
+   * @param {Array} outer - Outer ring as [{x, y}, ...]
+   * @param {Array} holes - Array of hole rings
+   * @param {Object} options - { winding: 'ccw' | 'cw' }
+   * @returns {Object} - { triangles: [[a, b, c], ...], error: string|null }
+   */
+  triangulate(outer, holes = [], options = {}) {
+    const winding = options.winding || 'ccw';
+    const points = [];
+    const rings = [];
+
+    for (const ring of [outer, ...holes]) {
+      const start = points.length;
+      for (const p of ring) points.push({ x: p.x, y: p.y });
+      rings.push(this.cleanRing(points, start, points.length));
+    }
+
+    if (rings[0].length < 3 || this.isFlat(points, rings[0])) {
+      return { triangles: [], error: 'degenerate' };
+    }
+
+    // Degenerate holes are simply ignored - they do not cover any area
+    const holeRings = rings.slice(1).filter(ring =>
+      ring.length >= 3 && Math.abs(this.signedArea(points, ring)) >= this.epsilon
+    );
+
+    if (this.hasSelfIntersections(points, [rings[0], ...holeRings])) {
+      return { triangles: [], error: 'self-intersecting' };
+    }
+
+    if (Math.abs(this.signedArea(points, rings[0])) < this.epsilon) {
+      return { triangles: [], error: 'degenerate' };
+    }
+
+    // Outer ring counter-clockwise (positive area), holes clockwise
+    const outerRing = this.signedArea(points, rings[0]) > 0 ? rings[0] : rings[0].slice().reverse();
+    const orientedHoles = holeRings.map(ring =>
+      this.signedArea(points, ring) < 0 ? ring : ring.slice().reverse()
+    );
+
+    const ring = this.eliminateHoles(points, outerRing, orientedHoles);
+    const triangles = this.earClip(points, ring);
+    if (!triangles) {
+      return { triangles: [], error: 'failed' };
+    }
+
+    if (winding === 'cw') {
+      for (const tri of triangles) {
+        const tmp = tri[1];
+        tri[1] = tri[2];
+        tri[2] = tmp;
+      }
+    }
+
+    return { triangles, error: null };
+  }
+
+  // Return the indices of a ring with consecutive duplicate points removed
+  cleanRing(points, start, end) {
+    const ring = [];
+    for (let i = start; i < end; i++) {
+      const prev = ring[ring.length - 1];
+      if (prev !== undefined && this.samePoint(points[prev], points[i])) continue;
+      ring.push(i);
+    }
+    while (ring.length > 1 && this.samePoint(points[ring[0]], points[ring[ring.length - 1]])) {
+      ring.pop();
+    }
+    return ring;
+  }
+
+  // All points on a single line
+  isFlat(points, ring) {
+    const a = points[ring[0]];
+    const b = points[ring[1]];
+    return ring.every(i => Math.abs(this.cross(a, b, points[i])) < this.epsilon);
+  }
+
+  samePoint(a, b) {
+    return Math.abs(a.x - b.x) < this.epsilon && Math.abs(a.y - b.y) < this.epsilon;
+  }
+
+  signedArea(points, ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = points[ring[j]];
+      const b = points[ring[i]];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  cross(o, a, b) {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  }
+
+  // Proper or touching intersection between segments p1-p2 and p3-p4
+  segmentsIntersect(p1, p2, p3, p4) {
+    const d1 = this.cross(p3, p4, p1);
+    const d2 = this.cross(p3, p4, p2);
+    const d3 = this.cross(p1, p2, p3);
+    const d4 = this.cross(p1, p2, p4);
+
+    if (((d1 > this.epsilon && d2 < -this.epsilon) || (d1 < -this.epsilon && d2 > this.epsilon)) &&
+        ((d3 > this.epsilon && d4 < -this.epsilon) || (d3 < -this.epsilon && d4 > this.epsilon))) {
+      return true;
+    }
+
+    // Collinear overlap
+    if (Math.abs(d1) <= this.epsilon && Math.abs(d2) <= this.epsilon) {
+      const ax = Math.abs(p2.x - p1.x) > Math.abs(p2.y - p1.y) ? 'x' : 'y';
+      const min1 = Math.min(p1[ax], p2[ax]), max1 = Math.max(p1[ax], p2[ax]);
+      const min2 = Math.min(p3[ax], p4[ax]), max2 = Math.max(p3[ax], p4[ax]);
+      return Math.min(max1, max2) - Math.max(min1, min2) > this.epsilon;
+    }
+
+    // An endpoint touching the interior of the other segment
+    return (Math.abs(d1) <= this.epsilon && this.onSegmentInterior(p1, p3, p4)) ||
+           (Math.abs(d2) <= this.epsilon && this.onSegmentInterior(p2, p3, p4)) ||
+           (Math.abs(d3) <= this.epsilon && this.onSegmentInterior(p3, p1, p2)) ||
+           (Math.abs(d4) <= this.epsilon && this.onSegmentInterior(p4, p1, p2));
+  }
+
+  onSegmentInterior(p, a, b) {
+    if (this.samePoint(p, a) || this.samePoint(p, b)) return false;
+    return p.x >= Math.min(a.x, b.x) - this.epsilon && p.x <= Math.max(a.x, b.x) + this.epsilon &&
+           p.y >= Math.min(a.y, b.y) - this.epsilon && p.y <= Math.max(a.y, b.y) + this.epsilon;
+  }
+
+  hasSelfIntersections(points, rings) {
+    const edges = [];
+    for (let r = 0; r < rings.length; r++) {
+      const ring = rings[r];
+      for (let i = 0; i < ring.length; i++) {
+        const a = points[ring[i]];
+        const b = points[ring[(i + 1) % ring.length]];
+        edges.push({
+          a, b, ring: r, index: i, size: ring.length,
+          minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+          minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y)
+        });
+      }
+    }
+
+    // Sweep along x so large brush shapes stay reasonably fast
+    edges.sort((e1, e2) => e1.minX - e2.minX);
+
+    for (let i = 0; i < edges.length; i++) {
+      const e1 = edges[i];
+      for (let j = i + 1; j < edges.length && edges[j].minX <= e1.maxX + this.epsilon; j++) {
+        const e2 = edges[j];
+        if (e2.minY > e1.maxY + this.epsilon || e2.maxY < e1.minY - this.epsilon) continue;
+
+        // Skip adjacent edges of the same ring, they share an endpoint
+        if (e1.ring === e2.ring) {
+          const diff = Math.abs(e1.index - e2.index);
+          if (diff === 1 || diff === e1.size - 1) {
+            if (this.collinearOverlap(e1, e2)) return true;
+            continue;
+          }
+        }
+
+        if (this.segmentsIntersect(e1.a, e1.b, e2.a, e2.b)) return true;
+      }
+    }
+    return false;
+  }
+
+  // Adjacent edges folding back onto each other
+  collinearOverlap(e1, e2) {
+    if (Math.abs(this.cross(e1.a, e1.b, e2.a)) > this.epsilon ||
+        Math.abs(this.cross(e1.a, e1.b, e2.b)) > this.epsilon) {
+      return false;
+    }
+    const d1 = { x: e1.b.x - e1.a.x, y: e1.b.y - e1.a.y };
+    const d2 = { x: e2.b.x - e2.a.x, y: e2.b.y - e2.a.y };
+    return d1.x * d2.x + d1.y * d2.y < 0;
+  }
+
+  /**
+   * Connect each hole to the outer ring with a bridge edge, producing a
+   * single ring of indices (bridge endpoints appear twice)
+   */
+  eliminateHoles(points, outerRing, holes) {
+    let ring = outerRing.slice();
+
+    // Process holes from right to left so earlier bridges rarely get in the way
+    const sorted = holes
+      .map(hole => {
+        let best = 0;
+        for (let i = 1; i < hole.length; i++) {
+          if (points[hole[i]].x > points[hole[best]].x) best = i;
+        }
+        return { hole, rightmost: best };
+      })
+      .sort((a, b) => points[b.hole[b.rightmost]].x - points[a.hole[a.rightmost]].x);
+
+    for (let h = 0; h < sorted.length; h++) {
+      const { hole, rightmost } = sorted[h];
+      const pending = sorted.slice(h).map(s => s.hole);
+      const bridgeIndex = this.findBridge(points, ring, pending, hole, rightmost);
+      if (bridgeIndex < 0) continue;
+
+      const loop = [];
+      for (let i = 0; i <= hole.length; i++) {
+        loop.push(hole[(rightmost + i) % hole.length]);
+      }
+      loop.push(ring[bridgeIndex]);
+      ring = [...ring.slice(0, bridgeIndex + 1), ...loop, ...ring.slice(bridgeIndex + 1)];
+    }
+
+    return ring;
+  }
+
+  // Find the closest ring position that can be connected to the given hole
+  // vertex without crossing any edge of the ring or of the holes still pending
+  findBridge(points, ring, pendingHoles, hole, start) {
+    const mp = points[hole[start]];
+    const mPrev = points[hole[(start - 1 + hole.length) % hole.length]];
+    const mNext = points[hole[(start + 1) % hole.length]];
+    const n = ring.length;
+    const candidates = [];
+    for (let i = 0; i < n; i++) {
+      const p = points[ring[i]];
+      candidates.push({ i, dist: (p.x - mp.x) * (p.x - mp.x) + (p.y - mp.y) * (p.y - mp.y) });
+    }
+    candidates.sort((a, b) => a.dist - b.dist);
+
+    const edgeRings = [ring, ...pendingHoles];
+
+    for (const { i } of candidates) {
+      const p = points[ring[i]];
+      if (!this.locallyInside(points[ring[(i - 1 + n) % n]], p, points[ring[(i + 1) % n]], mp)) continue;
+      if (!this.locallyInside(mPrev, mp, mNext, p)) continue;
+
+      let blocked = false;
+      for (const r of edgeRings) {
+        for (let k = 0; k < r.length && !blocked; k++) {
+          const a = points[r[k]];
+          const b = points[r[(k + 1) % r.length]];
+          if (this.segmentsCross(mp, p, a, b) || this.onSegmentInterior(a, mp, p) && this.isCollinear(mp, p, a)) {
+            blocked = true;
+          }
+        }
+        if (blocked) break;
+      }
+      if (!blocked) return i;
+    }
+
+    return -1;
+  }
+
+  // Whether the direction from p towards m lies inside the polygon at corner
+  // prev-p-next of a counter-clockwise ring
+  locallyInside(prev, p, next, m) {
+    if (this.cross(prev, p, next) >= 0) {
+      return this.cross(prev, p, m) > 0 && this.cross(p, next, m) > 0;
+    }
+    return this.cross(prev, p, m) > 0 || this.cross(p, next, m) > 0;
+  }
+
+  isCollinear(a, b, c) {
+    return Math.abs(this.cross(a, b, c)) <= this.epsilon;
+  }
+
+  // Strict crossing of two segments (touching endpoints do not count)
+  segmentsCross(p1, p2, p3, p4) {
+    const d1 = this.cross(p3, p4, p1);
+    const d2 = this.cross(p3, p4, p2);
+    const d3 = this.cross(p1, p2, p3);
+    const d4 = this.cross(p1, p2, p4);
+    return ((d1 > this.epsilon && d2 < -this.epsilon) || (d1 < -this.epsilon && d2 > this.epsilon)) &&
+           ((d3 > this.epsilon && d4 < -this.epsilon) || (d3 < -this.epsilon && d4 > this.epsilon));
+  }
+
+  // Clip ears from a counter-clockwise ring of indices
+  earClip(points, ring) {
+    const triangles = [];
+
+    // Doubly linked list so ear removal and neighbour lookups are O(1)
+    const nodes = ring.map(i => ({ i, p: points[i], prev: null, next: null }));
+    for (let k = 0; k < nodes.length; k++) {
+      nodes[k].prev = nodes[(k - 1 + nodes.length) % nodes.length];
+      nodes[k].next = nodes[(k + 1) % nodes.length];
+    }
+
+    let count = nodes.length;
+    let ear = nodes[0];
+    let stop = ear;
+    let lenient = false;
+
+    while (count > 3) {
+      const prev = ear.prev;
+      const next = ear.next;
+
+      if (this.isEar(ear, lenient)) {
+        // Zero-area ears only occur along bridges and collinear runs
+        if (this.cross(prev.p, ear.p, next.p) > this.epsilon) {
+          triangles.push([prev.i, ear.i, next.i]);
+        }
+        prev.next = next;
+        next.prev = prev;
+        count--;
+        ear = next;
+        stop = next;
+        lenient = false;
+        continue;
+      }
+
+      ear = next;
+      if (ear === stop) {
+        // No ear in a full pass - accept collinear ears once, give up if even
+        // that does not help
+        if (lenient) return null;
+        lenient = true;
+      }
+    }
+
+    const a = ear.prev;
+    const c = ear.next;
+    if (this.cross(a.p, ear.p, c.p) > this.epsilon) {
+      triangles.push([a.i, ear.i, c.i]);
+    }
+
+    return triangles;
+  }
+
+  isEar(ear, lenient) {
+    const a = ear.prev.p;
+    const b = ear.p;
+    const c = ear.next.p;
+    const area = this.cross(a, b, c);
+
+    if (area < -this.epsilon) return false;
+    if (area <= this.epsilon) return lenient;
+
+    // Only reflex (or flat) vertices can sit inside a convex corner
+    for (let node = ear.next.next; node !== ear.prev; node = node.next) {
+      const p = node.p;
+      if (this.cross(node.prev.p, p, node.next.p) > this.epsilon) continue;
+      // Duplicated bridge vertices sit exactly on a triangle corner
+      if (this.samePoint(p, a) || this.samePoint(p, b) || this.samePoint(p, c)) continue;
+      if (this.pointInTriangle(a, b, c, p)) return false;
+    }
+    return true;
+  }
+
+  pointInTriangle(a, b, c, p) {
+    return this.cross(a, b, p) >= -this.epsilon &&
+           this.cross(b, c, p) >= -this.epsilon &&
+           this.cross(c, a, p) >= -this.epsilon;
+  }
+}
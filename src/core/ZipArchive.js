@@ -0,0 +1,170 @@
+/**
+ * ZipArchive - Writes ZIP files with stored (uncompressed) entries, and
+ * reads them back.
+ *
+ * Good for bundling already-compressed data such as PNG frames. Entry names
+ * are encoded as UTF-8. Reading also accepts deflated entries (as written by
+ * most zip tools) where the browser has DecompressionStream.
+ */
+export class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive
+   * @param {Uint8Array|string} data - File contents (strings are UTF-8 encoded)
+   * @param {Date} date - Modification time
+   */
+  addFile(name, data, date = new Date()) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    this.entries.push({
+      name: new TextEncoder().encode(name),
+      data: bytes,
+      crc: ZipArchive.crc32(bytes),
+      date
+    });
+  }
+
+  // Build the archive
+  toUint8Array() {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const { time, day } = this.dosDateTime(entry.date);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);        // Local file header
+      local.setUint16(4, 20, true);                // Version needed
+      local.setUint16(6, 0x0800, true);            // UTF-8 names
+      local.setUint16(8, 0, true);                 // Stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.data.length, true);
+      local.setUint32(22, entry.data.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true);       // Central directory header
+      header.setUint16(4, 20, true);               // Version made by
+      header.setUint16(6, 20, true);
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, day, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.data.length, true);
+      header.setUint32(24, entry.data.length, true);
+      header.setUint16(28, entry.name.length, true);
+      header.setUint32(42, offset, true);          // Local header offset
+
+      chunks.push(new Uint8Array(local.buffer), entry.name, entry.data);
+      central.push(new Uint8Array(header.buffer), entry.name);
+      offset += 30 + entry.name.length + entry.data.length;
+    }
+
+    const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);            // End of central directory
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      out.set(part, position);
+      position += part.length;
+    }
+    return out;
+  }
+
+  /**
+   * Read the files in an archive
+   * @param {Uint8Array|ArrayBuffer} data - ZIP file contents
+   * @returns {Promise<Map>} - Path -> Uint8Array, directories left out
+   * @throws {Error} - If the data is not a ZIP file or uses an unsupported
+   *   compression method
+   */
+  static async read(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record follows at most 64 KB of comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('Not a ZIP file');
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const files = new Map();
+
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(position, true) !== 0x02014b50) throw new Error('Damaged ZIP directory');
+      const method = view.getUint16(position + 10, true);
+      const compressedSize = view.getUint32(position + 20, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const offset = view.getUint32(position + 42, true);
+      const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+      position += 46 + nameLength + extraLength + commentLength;
+      if (name.endsWith('/')) continue;
+
+      // Local header lengths can differ from the central directory's
+      const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+      const raw = bytes.subarray(start, start + compressedSize);
+      if (method === 0) {
+        files.set(name, raw.slice());
+      } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+        const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+      } else {
+        throw new Error(`Unsupported compression in ${name}`);
+      }
+    }
+    return files;
+  }
+
+  toBlob() {
+    return new Blob([this.toUint8Array()], { type: 'application/zip' });
+  }
+
+  dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      day: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  static crcTable = null;
+
+  static crc32(bytes) {
+    if (!ZipArchive.crcTable) {
+      ZipArchive.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        ZipArchive.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
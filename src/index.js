@@ -6,10 +6,16 @@ import { CanvasRenderer } from './core/CanvasRenderer.js';
 import { FrameManager } from './core/FrameManager.js';
 import { LayerManager } from './core/LayerManager.js';
 import { ShapeFactory } from './core/ShapeFactory.js';
+import { SymbolManager } from './core/SymbolManager.js';
+import { StyleManager } from './core/StyleManager.js';
 import { InputHandler } from './core/InputHandler.js';
 import { ToolManager } from './core/ToolManager.js';
 import { ExportManager } from './core/ExportManager.js';
 import { FolderManager } from './core/FolderManager.js';
+import { AutosaveManager } from './core/AutosaveManager.js';
+import { ProjectSchema } from './core/ProjectSchema.js';
+import { ReferenceImageManager } from './core/ReferenceImageManager.js';
+import { AutoTracer } from './core/AutoTracer.js';
 import { TimelineUI } from './core/TimelineUI.js';
 
 class PolygonEditor {
@@ -30,6 +36,8 @@ class PolygonEditor {
       mirrorEnabled: false,
       mirrorX: 0,  // Mirror at x=0 (center)
       onionSkinning: false,
+      crossLayerSelect: false,    // Edit shapes on every unlocked layer
+      enteredGroups: [],          // Shape group path double-clicked into
       selectedShapes: [],
       selectedVertices: [],
       fps: 12,
@@ -39,8 +47,12 @@ class PolygonEditor {
       previewPoint: null,
       previewShape: null,
       selectionBox: null,
+      tracePreview: null,   // Outlines auto trace would create, while previewing
       snapIndicator: null,
       clipboard: null,
+      // Export settings
+      triangleWinding: 'ccw',     // 'ccw' or 'cw' (y-up convention)
+      flattenTolerance: 0.5,      // Max distance of flattened curves from the bezier
       // Sculpt settings
       brushRadius: 50,
       brushStrength: 0.5,
@@ -53,25 +65,12 @@ class PolygonEditor {
       timelineScrollX: 0,         // Scroll offset in timeline
       playheadTime: 0,            // Current playhead position in seconds
       loopMode: 'loop',           // 'loop', 'pingpong', 'once'
+      morphMode: 'smooth',        // 'smooth' (arc length) or 'index'
       playbackSpeed: 1.0,         // Playback speed multiplier
       // Playback state
       isPlaying: false,
       playbackPosition: 0,  // Float: frame index + sub-frame progress (e.g., 0.5 = halfway between frame 0 and 1)
-      interpolatedFrame: null,  // Cached interpolated frame for rendering during playback
-      // Reference image
-      referenceImage: {
-        image: null,
-        x: 0,
-        y: 0,
-        width: 0,
-        height: 0,
-        originalWidth: 0,
-        originalHeight: 0,
-        scale: 1,
-        opacity: 0.5,
-        visible: true,
-        locked: false
-      }
+      interpolatedFrame: null  // Cached interpolated frame for rendering during playback
     };
 
     // Create core systems
@@ -97,12 +96,26 @@ class PolygonEditor {
     this.frames = new FrameManager(this);
     this.layers = new LayerManager(this);
     this.shapes = new ShapeFactory(this);
+    this.symbols = new SymbolManager(this);
+    this.styles = new StyleManager(this);
     this.input = new InputHandler(this);
     this.tools = new ToolManager(this);
     this.exporter = new ExportManager(this);
     this.folder = new FolderManager(this);
+    this.autosave = new AutosaveManager(this);
+    this.schema = new ProjectSchema(this);
+    this.references = new ReferenceImageManager(this);
+    this.tracer = new AutoTracer(this);
     this.timelineUI = new TimelineUI(this);
 
+    this.notificationDuration = 3000;
+    this.notificationTimer = null;
+
+    // Live trace preview (see updateTracePreview)
+    this.traceDelay = 150;
+    this.traceTimer = null;
+    this.traceSource = null;
+
     // Initialize input
     this.input.init(this.canvas);
 
@@ -113,6 +126,7 @@ class PolygonEditor {
     // Setup UI
     this.setupToolbar();
     this.setupPanels();
+    this.setupContextMenu();
 
     // Setup cursor coordinate display
     this.events.on('input:cursormove', ({ pos }) => {
@@ -122,23 +136,20 @@ class PolygonEditor {
       }
     });
 
-    // Create initial frame and layer
+    // Create initial frame (LayerManager starts with Layer 1)
     this.frames.addFrame(0);  // First keyframe at time 0
-    // Note: addFrame() already creates a frame with Layer 1, no need to add another
-    // Set the active layer to the first layer of the first frame
-    const firstFrame = this.frames.getCurrentFrame();
-    if (firstFrame && firstFrame.layers.length > 0) {
-      this.layers.activeLayerId = firstFrame.layers[0].id;
-      this.layers.updateUI();
-    }
+    this.layers.updateUI();
 
     // Initial render
     this.centerView();
-    this.saveHistory();
+    this.saveHistory('Initial State');
 
     // Initialize visual timeline
     this.timelineUI.init('timelineCanvasContainer');
 
+    // Offers recovery of unsaved work, then autosaves in the background
+    this.autosave.init();
+
     console.log('Polygon Editor initialized');
   }
 
@@ -202,6 +213,15 @@ class PolygonEditor {
     this.canvasHeight = height;
     this.state.canvasSizePreset = `${width}x${height}`;
     this.fitCanvasInView();
+    this.updateRasterSize();
+  }
+
+  // Show the pixel size of PNG exports next to the scale input
+  updateRasterSize() {
+    const sizeEl = document.getElementById('rasterSize');
+    if (!sizeEl || !this.exporter) return;
+    const { width, height } = this.exporter.raster.getFrameSize();
+    sizeEl.textContent = `${width} × ${height} px`;
   }
 
   setupToolbar() {
@@ -302,6 +322,45 @@ class PolygonEditor {
     if (exportJSON) exportJSON.addEventListener('click', () => this.exporter.exportJSON());
     if (exportAnimation) exportAnimation.addEventListener('click', () => this.exporter.exportAnimation());
 
+    const exportSVG = document.getElementById('exportSvgBtn');
+    const exportAnimatedSVG = document.getElementById('exportAnimSvgBtn');
+    if (exportSVG) exportSVG.addEventListener('click', () => this.exporter.exportSVG());
+    if (exportAnimatedSVG) exportAnimatedSVG.addEventListener('click', () => this.exporter.exportAnimatedSVG());
+
+    const exportLottie = document.getElementById('exportLottieBtn');
+    if (exportLottie) exportLottie.addEventListener('click', () => this.exporter.exportLottie());
+
+    const exportPNG = document.getElementById('exportPngBtn');
+    const exportSprites = document.getElementById('exportSpritesBtn');
+    const rasterScale = document.getElementById('rasterScale');
+    if (exportPNG) exportPNG.addEventListener('click', () => this.exporter.exportPNG());
+    if (exportSprites) exportSprites.addEventListener('click', () => this.exporter.exportSpriteSheet());
+
+    const exportGIF = document.getElementById('exportGifBtn');
+    const exportFrames = document.getElementById('exportFramesBtn');
+    if (exportGIF) exportGIF.addEventListener('click', () => this.exporter.exportGIF());
+    if (exportFrames) exportFrames.addEventListener('click', () => this.exporter.exportFrameSequence());
+    if (rasterScale) rasterScale.addEventListener('input', () => this.updateRasterSize());
+    this.updateRasterSize();
+
+    // Triangle winding
+    const windingSelect = document.getElementById('triangleWinding');
+    if (windingSelect) {
+      windingSelect.addEventListener('change', (e) => {
+        this.state.triangleWinding = e.target.value;
+      });
+    }
+
+    // Curves become straight edges within this distance wherever polygons
+    // are needed (vertex/triangle export, animation export, tweening)
+    const flattenTolerance = document.getElementById('flattenTolerance');
+    if (flattenTolerance) {
+      flattenTolerance.addEventListener('change', (e) => {
+        this.state.flattenTolerance = Math.max(0.05, parseFloat(e.target.value) || 0.5);
+        this.render();
+      });
+    }
+
     // Undo/Redo buttons
     const undoBtn = document.getElementById('undoBtn');
     const redoBtn = document.getElementById('redoBtn');
@@ -317,9 +376,10 @@ class PolygonEditor {
         const rect = this.canvas.getBoundingClientRect();
         const cx = (rect.width / 2 - this.state.panX) / this.state.zoom;
         const cy = (rect.height / 2 - this.state.panY) / this.state.zoom;
-        this.shapes.createPolygon(cx, cy, 100, sides);
-        this.saveHistory();
-        this.render();
+        if (this.shapes.createPolygon(cx, cy, 100, sides)) {
+          this.saveHistory('Create Polygon');
+          this.render();
+        }
       });
     }
 
@@ -331,9 +391,10 @@ class PolygonEditor {
         const cx = (rect.width / 2 - this.state.panX) / this.state.zoom;
         const cy = (rect.height / 2 - this.state.panY) / this.state.zoom;
         // Create a rounded square with 100 vertices, size 200, corner radius 30
-        this.shapes.createRoundedSquare(cx, cy, 200, 30, 100);
-        this.saveHistory();
-        this.render();
+        if (this.shapes.createRoundedSquare(cx, cy, 200, 30, 100)) {
+          this.saveHistory('Create Rounded Square');
+          this.render();
+        }
       });
     }
 
@@ -344,7 +405,7 @@ class PolygonEditor {
     if (subdivideBtn) {
       subdivideBtn.addEventListener('click', () => {
         this.shapes.subdivideSelected();
-        this.saveHistory();
+        this.saveHistory('Subdivide');
         this.render();
       });
     }
@@ -353,11 +414,79 @@ class PolygonEditor {
       simplifyBtn.addEventListener('click', () => {
         const tolerance = parseFloat(document.getElementById('simplifyTolerance')?.value) || 2;
         this.shapes.simplifySelected(tolerance);
-        this.saveHistory();
+        this.saveHistory('Simplify');
+        this.render();
+      });
+    }
+
+    // Fill rule decides how overlapping rings and holes are filled
+    const fillRuleSelect = document.getElementById('fillRuleSelect');
+    if (fillRuleSelect) {
+      fillRuleSelect.addEventListener('change', (e) => {
+        const shapes = this.getCurrentShapes().filter(s => this.state.selectedShapes.includes(s.id));
+        if (shapes.length === 0) return;
+        for (const shape of shapes) {
+          shape.fillRule = e.target.value;
+        }
+        this.saveHistory('Change Fill Rule');
+        this.render();
+      });
+    }
+
+    // Morph pins: numbered vertices that correspond between keyframes
+    const pinVertexBtn = document.getElementById('pinVertexBtn');
+    if (pinVertexBtn) {
+      pinVertexBtn.addEventListener('click', () => {
+        if (this.state.selectedVertices.length === 0) return;
+        this.shapes.pinSelectedVertices();
+        this.saveHistory('Pin Vertex');
+        this.render();
+      });
+    }
+
+    const clearPinsBtn = document.getElementById('clearPinsBtn');
+    if (clearPinsBtn) {
+      clearPinsBtn.addEventListener('click', () => {
+        this.shapes.clearPins();
+        this.saveHistory('Clear Pins');
+        this.render();
+      });
+    }
+
+    // Bezier handle types and straightening
+    document.querySelectorAll('[data-handle-type]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.shapes.getSelectedVertexRefs().length === 0) return;
+        this.shapes.setHandleType(btn.dataset.handleType);
+        this.saveHistory('Set Handle Type');
+        this.render();
+      });
+    });
+
+    const straightenBtn = document.getElementById('straightenBtn');
+    if (straightenBtn) {
+      straightenBtn.addEventListener('click', () => {
+        if (this.shapes.getSelectedVertexRefs().length === 0) return;
+        this.shapes.straightenSelected();
+        this.saveHistory('Straighten');
         this.render();
       });
     }
 
+    // Choose which shape of the neighbouring keyframe the selection morphs with
+    const shapeLinkSelect = document.getElementById('shapeLinkSelect');
+    if (shapeLinkSelect) {
+      shapeLinkSelect.addEventListener('change', (e) => {
+        const [shapeId] = this.state.selectedShapes;
+        if (shapeId) this.frames.linkShape(shapeId, e.target.value || null);
+      });
+    }
+
+    // Boolean operation buttons
+    document.querySelectorAll('[data-boolean]').forEach(btn => {
+      btn.addEventListener('click', () => this.booleanSelected(btn.dataset.boolean));
+    });
+
     // Transform buttons
     const flipHBtn = document.getElementById('flipHBtn');
     const flipVBtn = document.getElementById('flipVBtn');
@@ -365,7 +494,7 @@ class PolygonEditor {
     if (flipHBtn) {
       flipHBtn.addEventListener('click', () => {
         this.shapes.flipSelectedH();
-        this.saveHistory();
+        this.saveHistory('Flip Horizontal');
         this.render();
       });
     }
@@ -373,7 +502,7 @@ class PolygonEditor {
     if (flipVBtn) {
       flipVBtn.addEventListener('click', () => {
         this.shapes.flipSelectedV();
-        this.saveHistory();
+        this.saveHistory('Flip Vertical');
         this.render();
       });
     }
@@ -383,7 +512,7 @@ class PolygonEditor {
     if (mirrorLeftToRightBtn) {
       mirrorLeftToRightBtn.addEventListener('click', () => {
         this.shapes.mirrorLeftToRight();
-        this.saveHistory();
+        this.saveHistory('Mirror Left to Right');
         this.render();
       });
     }
@@ -392,6 +521,101 @@ class PolygonEditor {
     this.setupSculptPanel();
   }
 
+  setupContextMenu() {
+    const menu = document.getElementById('contextMenu');
+    if (!menu) return;
+
+    // The canvas element under the cursor when the menu was opened
+    let target = null;
+
+    this.events.on('input:contextmenu', ({ pos, clientX, clientY }) => {
+      target = this.shapes.hitTest(pos);
+
+      // Right-clicking an unselected shape selects it (or its group) first
+      if (target && !this.state.selectedShapes.includes(target.shapeId)) {
+        this.shapes.selectUnit(target.shapeId);
+        this.render();
+      }
+      if (!target && this.state.selectedShapes.length === 0) return;
+
+      menu.style.left = `${clientX}px`;
+      menu.style.top = `${clientY}px`;
+      menu.classList.add('visible');
+    });
+
+    const hide = () => menu.classList.remove('visible');
+    document.addEventListener('mousedown', (e) => {
+      if (!menu.contains(e.target)) hide();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hide();
+    });
+
+    menu.querySelectorAll('.context-item').forEach(item => {
+      item.addEventListener('click', () => {
+        hide();
+        this.runContextAction(item.dataset.action, target);
+      });
+    });
+  }
+
+  runContextAction(action, target) {
+    switch (action) {
+      case 'delete':
+        this.deleteSelected();
+        break;
+      case 'duplicate':
+        this.duplicateSelected();
+        break;
+      case 'group':
+        this.groupSelected();
+        break;
+      case 'ungroup':
+        this.ungroupSelected();
+        break;
+      case 'makeSymbol':
+        this.convertToSymbol();
+        break;
+      case 'detachSymbol':
+        this.detachSelected();
+        break;
+      case 'bringFront':
+        this.shapes.arrangeSelected(true);
+        this.saveHistory('Bring to Front');
+        this.render();
+        break;
+      case 'sendBack':
+        this.shapes.arrangeSelected(false);
+        this.saveHistory('Send to Back');
+        this.render();
+        break;
+      case 'subdivide':
+        if (target && target.type === 'edge') {
+          this.shapes.subdivideEdge(target.shapeId, target.edgeIndex);
+        } else {
+          this.shapes.subdivideSelected();
+        }
+        this.saveHistory('Subdivide');
+        this.render();
+        break;
+      case 'dissolve':
+        if (target && target.type === 'vertex') {
+          this.shapes.dissolveVertex(target.shapeId, target.vertexIndex);
+        } else {
+          this.shapes.deleteSelectedVertices();
+        }
+        this.saveHistory('Dissolve Vertex');
+        this.render();
+        break;
+      case 'union':
+      case 'subtract':
+      case 'intersect':
+      case 'xor':
+        this.booleanSelected(action);
+        break;
+    }
+  }
+
   setupSculptPanel() {
     // Brush radius slider
     const brushRadiusInput = document.getElementById('brushRadius');
@@ -435,7 +659,7 @@ class PolygonEditor {
     if (smoothVerticesBtn) {
       smoothVerticesBtn.addEventListener('click', () => {
         this.shapes.smoothSelected();
-        this.saveHistory();
+        this.saveHistory('Smooth Shape');
         this.render();
       });
     }
@@ -450,18 +674,113 @@ class PolygonEditor {
       addLayerBtn.addEventListener('click', () => {
         const name = `Layer ${this.getCurrentLayers().length + 1}`;
         this.layers.addLayer(name);
-        this.saveHistory();
+        this.saveHistory('Add Layer');
       });
     }
     
     if (delLayerBtn) {
       delLayerBtn.addEventListener('click', () => {
-        this.layers.deleteActiveLayer();
-        this.saveHistory();
+        // Deletes the group picked in the list, else the active layer
+        if (this.layers.activeGroupId) {
+          this.layers.deleteGroup(this.layers.activeGroupId);
+          this.saveHistory('Delete Group');
+        } else {
+          this.layers.deleteActiveLayer();
+          this.saveHistory('Delete Layer');
+        }
         this.render();
       });
     }
 
+    const mergeLayersBtn = document.getElementById('mergeLayersBtn');
+    if (mergeLayersBtn) {
+      mergeLayersBtn.addEventListener('click', () => {
+        if (this.layers.activeGroupId) this.layers.mergeGroup(this.layers.activeGroupId);
+        else this.layers.mergeLayers();
+      });
+    }
+
+    const groupLayersBtn = document.getElementById('groupLayersBtn');
+    if (groupLayersBtn) {
+      groupLayersBtn.addEventListener('click', () => this.layers.groupActive());
+    }
+
+    const ungroupLayersBtn = document.getElementById('ungroupLayersBtn');
+    if (ungroupLayersBtn) {
+      ungroupLayersBtn.addEventListener('click', () => this.layers.ungroup(this.layers.activeGroupId));
+    }
+
+    const exportGroupBtn = document.getElementById('exportGroupBtn');
+    if (exportGroupBtn) {
+      exportGroupBtn.addEventListener('click', () => this.exporter.exportGroupSVG());
+    }
+
+    // Opacity of the active layer, recorded once the slider is released
+    const layerOpacity = document.getElementById('layerOpacity');
+    if (layerOpacity) {
+      layerOpacity.addEventListener('input', (e) => {
+        this.layers.setLayerOpacity(this.layers.activeLayerId, parseInt(e.target.value) / 100);
+      });
+      layerOpacity.addEventListener('change', () => this.saveHistory('Layer Opacity'));
+    }
+
+    const crossLayerToggle = document.getElementById('crossLayerToggle');
+    if (crossLayerToggle) {
+      crossLayerToggle.addEventListener('change', (e) => {
+        this.state.crossLayerSelect = e.target.checked;
+        this.shapes.pruneSelection();
+        this.render();
+      });
+    }
+
+    // Symbols panel
+    const makeSymbolBtn = document.getElementById('makeSymbolBtn');
+    if (makeSymbolBtn) {
+      makeSymbolBtn.addEventListener('click', () => this.convertToSymbol());
+    }
+
+    const placeSymbolBtn = document.getElementById('placeSymbolBtn');
+    if (placeSymbolBtn) {
+      placeSymbolBtn.addEventListener('click', () => {
+        if (this.symbols.placeInstance(this.symbols.activeSymbolId)) {
+          this.saveHistory('Place Symbol');
+          this.render();
+        }
+      });
+    }
+
+    const editSymbolBtn = document.getElementById('editSymbolBtn');
+    if (editSymbolBtn) {
+      editSymbolBtn.addEventListener('click', () => {
+        if (this.symbols.editingId) this.symbols.finishEditing();
+        else this.symbols.editSymbol(this.symbols.activeSymbolId);
+      });
+    }
+
+    const detachSymbolBtn = document.getElementById('detachSymbolBtn');
+    if (detachSymbolBtn) {
+      detachSymbolBtn.addEventListener('click', () => this.detachSelected());
+    }
+
+    const deleteSymbolBtn = document.getElementById('deleteSymbolBtn');
+    if (deleteSymbolBtn) {
+      deleteSymbolBtn.addEventListener('click', () => {
+        // Its instances become plain shapes
+        if (!this.symbols.getSymbol(this.symbols.activeSymbolId)) return;
+        this.history.begin('Delete Symbol');
+        try {
+          this.symbols.deleteSymbol(this.symbols.activeSymbolId);
+          this.history.commit({ force: true });
+        } catch (err) {
+          this.history.cancel();
+          console.error('Error deleting symbol:', err);
+          alert('Failed to delete symbol: ' + err.message);
+        }
+        this.render();
+      });
+    }
+    this.symbols.updateUI();
+
     // Frame/Timeline panel
     const addFrameBtn = document.getElementById('addFrameBtn');
     const dupFrameBtn = document.getElementById('dupFrameBtn');
@@ -475,21 +794,21 @@ class PolygonEditor {
     if (addFrameBtn) {
       addFrameBtn.addEventListener('click', () => {
         this.frames.addFrame();
-        this.saveHistory();
+        this.saveHistory('Add Keyframe');
       });
     }
     
     if (dupFrameBtn) {
       dupFrameBtn.addEventListener('click', () => {
         this.frames.duplicateFrame();
-        this.saveHistory();
+        this.saveHistory('Duplicate Keyframe');
       });
     }
     
     if (delFrameBtn) {
       delFrameBtn.addEventListener('click', () => {
         this.frames.deleteFrame();
-        this.saveHistory();
+        this.saveHistory('Delete Keyframe');
       });
     }
 
@@ -549,6 +868,16 @@ class PolygonEditor {
       });
     }
 
+    // Morph Mode
+    const morphModeSelect = document.getElementById('morphMode');
+    if (morphModeSelect) {
+      morphModeSelect.addEventListener('change', (e) => {
+        this.state.morphMode = e.target.value;
+        this.updateInterpolatedFrame();
+        this.render();
+      });
+    }
+
     // Playback Speed
     const speedInput = document.getElementById('playbackSpeed');
     if (speedInput) {
@@ -562,136 +891,241 @@ class PolygonEditor {
 
     // Reference Image controls
     this.setupReferenceImagePanel();
+    this.setupAutoTracePanel();
 
     // Folder/Project controls
     this.setupFolderPanel();
-  }
 
-  setupReferenceImagePanel() {
-    const refImageInput = document.getElementById('refImageInput');
-    const loadRefImageBtn = document.getElementById('loadRefImageBtn');
-    const clearRefImageBtn = document.getElementById('clearRefImageBtn');
-    const refImageOpacity = document.getElementById('refImageOpacity');
-    const refImageOpacityValue = document.getElementById('refImageOpacityValue');
-    const refImageScale = document.getElementById('refImageScale');
-    const refImageScaleValue = document.getElementById('refImageScaleValue');
-    const refImageX = document.getElementById('refImageX');
-    const refImageY = document.getElementById('refImageY');
-    const refImageLocked = document.getElementById('refImageLocked');
-    const refImageControls = document.getElementById('refImageControls');
-    const refImageScaleRow = document.getElementById('refImageScaleRow');
-    const refImagePositionRow = document.getElementById('refImagePositionRow');
-    const refImageOptionsRow = document.getElementById('refImageOptionsRow');
-
-    const showControls = () => {
-      if (refImageControls) refImageControls.style.display = 'flex';
-      if (refImageScaleRow) refImageScaleRow.style.display = 'flex';
-      if (refImagePositionRow) refImagePositionRow.style.display = 'flex';
-      if (refImageOptionsRow) refImageOptionsRow.style.display = 'flex';
-    };
+    // Style panel
+    this.styles.setupPanel();
 
-    const hideControls = () => {
-      if (refImageControls) refImageControls.style.display = 'none';
-      if (refImageScaleRow) refImageScaleRow.style.display = 'none';
-      if (refImagePositionRow) refImagePositionRow.style.display = 'none';
-      if (refImageOptionsRow) refImageOptionsRow.style.display = 'none';
-    };
+    // History list
+    this.setupHistoryPanel();
+  }
 
-    // Load button triggers file input
-    if (loadRefImageBtn && refImageInput) {
-      loadRefImageBtn.addEventListener('click', () => {
-        refImageInput.click();
+  setupHistoryPanel() {
+    const budgetInput = document.getElementById('historyBudget');
+    if (budgetInput) {
+      budgetInput.addEventListener('change', (e) => {
+        this.history.setMemoryBudget(parseFloat(e.target.value) || 50);
       });
     }
 
-    // File upload handler
-    if (refImageInput) {
-      refImageInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-          const reader = new FileReader();
-          reader.onload = (event) => {
-            const img = new Image();
-            img.onload = () => {
-              this.state.referenceImage.image = img;
-              this.state.referenceImage.originalWidth = img.width;
-              this.state.referenceImage.originalHeight = img.height;
-              this.state.referenceImage.scale = 1;
-              this.state.referenceImage.width = img.width;
-              this.state.referenceImage.height = img.height;
-              // Center the image on canvas
-              this.state.referenceImage.x = -img.width / 2;
-              this.state.referenceImage.y = -img.height / 2;
-              // Update position inputs
-              if (refImageX) refImageX.value = Math.round(this.state.referenceImage.x);
-              if (refImageY) refImageY.value = Math.round(this.state.referenceImage.y);
-              // Show controls
-              showControls();
-              this.render();
-            };
-            img.src = event.target.result;
-          };
-          reader.readAsDataURL(file);
+    const panel = document.getElementById('historyPanel');
+    const header = document.getElementById('historyPanelHeader');
+    const dockBtn = document.getElementById('historyDockBtn');
+    if (!panel || !header || !dockBtn) return;
+
+    // Remember where the panel lives in the sidebar so it can be docked back
+    const dockParent = panel.parentNode;
+    const dockMarker = document.createComment('history-dock');
+    dockParent.insertBefore(dockMarker, panel);
+
+    dockBtn.addEventListener('click', () => {
+      if (panel.classList.contains('floating')) {
+        panel.classList.remove('floating');
+        panel.style.left = '';
+        panel.style.top = '';
+        dockParent.insertBefore(panel, dockMarker.nextSibling);
+        dockBtn.textContent = '⇱';
+        dockBtn.title = 'Undock panel';
+      } else {
+        const rect = panel.getBoundingClientRect();
+        document.body.appendChild(panel);
+        panel.classList.add('floating');
+        panel.style.left = `${Math.max(0, rect.left - 260)}px`;
+        panel.style.top = `${Math.max(0, rect.top)}px`;
+        dockBtn.textContent = '⇲';
+        dockBtn.title = 'Dock panel';
+      }
+      this.history.updateUI();
+    });
+
+    // Drag the floating panel by its header
+    header.addEventListener('mousedown', (e) => {
+      if (!panel.classList.contains('floating') || e.target === dockBtn) return;
+      e.preventDefault();
+
+      const offsetX = e.clientX - panel.offsetLeft;
+      const offsetY = e.clientY - panel.offsetTop;
+
+      const onMove = (moveEvent) => {
+        panel.style.left = `${Math.max(0, moveEvent.clientX - offsetX)}px`;
+        panel.style.top = `${Math.max(0, moveEvent.clientY - offsetY)}px`;
+      };
+      const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+      };
+
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    });
+  }
+
+  setupReferenceImagePanel() {
+    const references = this.references;
+    const active = () => references.getActive();
+
+    // Load buttons trigger the file inputs; images become project assets, so
+    // saving as a bundle keeps them
+    const bindInput = (buttonId, inputId, asSequence) => {
+      const button = document.getElementById(buttonId);
+      const input = document.getElementById(inputId);
+      if (!button || !input) return;
+
+      button.addEventListener('click', () => input.click());
+      input.addEventListener('change', async () => {
+        const files = [...input.files];
+        input.value = '';
+        if (files.length === 0) return;
+        try {
+          await references.addFiles(files, asSequence);
+          this.folder.setSaveFormat('bundle');
+        } catch (err) {
+          console.error('Error loading reference images:', err);
+          alert('Failed to load reference images: ' + err.message);
         }
       });
-    }
-
-    // Opacity slider
-    if (refImageOpacity) {
-      refImageOpacity.addEventListener('input', (e) => {
-        const opacity = parseInt(e.target.value) / 100;
-        this.state.referenceImage.opacity = opacity;
-        if (refImageOpacityValue) refImageOpacityValue.textContent = e.target.value + '%';
-        this.render();
+    };
+    bindInput('loadRefImageBtn', 'refImageInput', false);
+    bindInput('loadRefSequenceBtn', 'refSequenceInput', true);
+
+    const bindButton = (id, fn) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', () => {
+          if (active()) fn(active());
+        });
+      }
+    };
+    bindButton('removeRefImageBtn', image => references.remove(image.id));
+    bindButton('refImageUpBtn', image => references.move(image.id, 1));
+    bindButton('refImageDownBtn', image => references.move(image.id, -1));
+    bindButton('refImageAllKeyframesBtn', image => references.update(image.id, { keyframes: null }, 'Reference Keyframes'));
+
+    // Settings of the active reference; the opacity slider coalesces into
+    // one history entry while it is dragged
+    const bindSetting = (id, event, label, read) => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.addEventListener(event, () => {
+          if (active()) references.update(active().id, read(el), label, { coalesce: `ref-${id}` });
+        });
+      }
+    };
+    bindSetting('refImageOpacity', 'input', 'Reference Opacity', el => ({ opacity: parseInt(el.value) / 100 }));
+    bindSetting('refImageScaleX', 'change', 'Scale Reference', el => ({ scaleX: Math.max(1, parseFloat(el.value) || 100) / 100 }));
+    bindSetting('refImageScaleY', 'change', 'Scale Reference', el => ({ scaleY: Math.max(1, parseFloat(el.value) || 100) / 100 }));
+    bindSetting('refImageRotation', 'change', 'Rotate Reference', el => ({ rotation: parseFloat(el.value) || 0 }));
+    bindSetting('refImageX', 'change', 'Move Reference', el => ({ x: parseFloat(el.value) || 0 }));
+    bindSetting('refImageY', 'change', 'Move Reference', el => ({ y: parseFloat(el.value) || 0 }));
+    bindSetting('refImagePlacement', 'change', 'Reference Placement', el => ({ placement: el.value }));
+    bindSetting('refImageLocked', 'change', 'Lock Reference', el => ({ locked: el.checked }));
+    bindSetting('refImageStart', 'change', 'Sequence Start', el => ({ start: parseFloat(el.value) || 0 }));
+
+    // Limit the reference to some keyframes by unticking the others
+    const onKeyframe = document.getElementById('refImageOnKeyframe');
+    if (onKeyframe) {
+      onKeyframe.addEventListener('change', () => {
+        const frame = this.frames.getCurrentFrame();
+        if (active() && frame) references.setShownOnKeyframe(active().id, frame.id, onKeyframe.checked);
       });
     }
 
-    // Scale slider
-    if (refImageScale) {
-      refImageScale.addEventListener('input', (e) => {
-        const scale = parseInt(e.target.value) / 100;
-        this.state.referenceImage.scale = scale;
-        this.state.referenceImage.width = this.state.referenceImage.originalWidth * scale;
-        this.state.referenceImage.height = this.state.referenceImage.originalHeight * scale;
-        if (refImageScaleValue) refImageScaleValue.textContent = e.target.value + '%';
-        this.render();
-      });
-    }
+    references.updateUI();
+  }
 
-    // Position X
-    if (refImageX) {
-      refImageX.addEventListener('change', (e) => {
-        this.state.referenceImage.x = parseFloat(e.target.value) || 0;
-        this.render();
-      });
-    }
+  setupAutoTracePanel() {
+    const ids = ['traceMode', 'traceThreshold', 'traceTolerance', 'traceMinArea', 'traceHoles'];
+    const previewCheck = document.getElementById('tracePreview');
+    const thresholdValue = document.getElementById('traceThresholdValue');
+    const traceBtn = document.getElementById('autoTraceBtn');
+
+    const onChange = () => {
+      const threshold = document.getElementById('traceThreshold');
+      if (thresholdValue && threshold) thresholdValue.textContent = threshold.value;
+      this.updateTracePreview(true);
+    };
+    for (const id of ids) {
+      const input = document.getElementById(id);
+      if (input) input.addEventListener('input', onChange);
+    }
+    if (previewCheck) previewCheck.addEventListener('change', onChange);
+
+    if (traceBtn) {
+      traceBtn.addEventListener('click', () => {
+        clearTimeout(this.traceTimer);
+        const regions = this.traceFromPanel();
+        if (!regions) {
+          this.showNotification('Select a loaded reference image to trace');
+          return;
+        }
+        if (regions.length === 0) {
+          this.showNotification('Nothing to trace: try another threshold');
+          return;
+        }
 
-    // Position Y
-    if (refImageY) {
-      refImageY.addEventListener('change', (e) => {
-        this.state.referenceImage.y = parseFloat(e.target.value) || 0;
+        const created = this.shapes.createFromTrace(regions);
+        if (!created || created.length === 0) return;
+        if (previewCheck) previewCheck.checked = false;
+        this.state.tracePreview = null;
+        this.saveHistory('Auto Trace');
         this.render();
+        this.showNotification(`Traced ${created.length} shape(s)`);
       });
     }
+  }
 
-    // Lock toggle
-    if (refImageLocked) {
-      refImageLocked.addEventListener('change', (e) => {
-        this.state.referenceImage.locked = e.target.checked;
-      });
+  // Trace with the Auto Trace panel's settings; null when there is no
+  // reference image ready to trace
+  traceFromPanel() {
+    const value = id => document.getElementById(id)?.value;
+    const regions = this.tracer.traceReference({
+      mode: value('traceMode') || 'alpha',
+      threshold: parseInt(value('traceThreshold')) || 128,
+      tolerance: Math.max(0, parseFloat(value('traceTolerance')) || 0),
+      minArea: Math.max(0, parseFloat(value('traceMinArea')) || 0),
+      holes: value('traceHoles') || 'keep'
+    });
+
+    const info = document.getElementById('traceInfo');
+    if (info) {
+      const points = (regions || []).reduce((sum, r) => sum + r.outer.length + r.holes.reduce((n, h) => n + h.length, 0), 0);
+      info.textContent = regions
+        ? `${regions.length} shape(s), ${points} points`
+        : 'Select a loaded reference image to trace';
     }
+    return regions;
+  }
 
-    // Clear button
-    if (clearRefImageBtn) {
-      clearRefImageBtn.addEventListener('click', () => {
-        this.state.referenceImage.image = null;
-        this.state.referenceImage.width = 0;
-        this.state.referenceImage.height = 0;
-        if (refImageInput) refImageInput.value = '';
-        hideControls();
+  // Keep the live trace preview current. Called on every render, it only
+  // re-traces when the panel settings changed (`force`) or the reference
+  // being traced did (AutoTracer.getSourceKey); runs wait until changes have
+  // settled for `traceDelay` ms, so a slider drag traces once
+  updateTracePreview(force = false) {
+    const previewCheck = document.getElementById('tracePreview');
+    if (!previewCheck || !previewCheck.checked) {
+      clearTimeout(this.traceTimer);
+      this.traceSource = null;
+      if (this.state.tracePreview) {
+        this.state.tracePreview = null;
         this.render();
-      });
+      }
+      return;
     }
+
+    const source = this.tracer.getSourceKey();
+    if (!force && source === this.traceSource) return;
+    this.traceSource = source;
+
+    clearTimeout(this.traceTimer);
+    this.traceTimer = setTimeout(() => {
+      this.state.tracePreview = this.traceFromPanel();
+      // Tracing may start decoding the image, which changes the source
+      this.traceSource = this.tracer.getSourceKey();
+      this.render();
+    }, this.traceDelay);
   }
 
   setupFolderPanel() {
@@ -709,7 +1143,7 @@ class PolygonEditor {
           // In fallback mode, "Link Folder" becomes "Load File"
           const data = await this.folder.loadFileFallback();
           if (data) {
-            this.loadProjectData(data);
+            this.loadProjectData(data, this.folder.currentFileName);
           }
         } else {
           await this.folder.linkFolder();
@@ -733,7 +1167,7 @@ class PolygonEditor {
       loadProjectBtn.addEventListener('click', async () => {
         const data = await this.folder.loadFileFallback();
         if (data) {
-          this.loadProjectData(data);
+          this.loadProjectData(data, this.folder.currentFileName);
         }
       });
     }
@@ -751,9 +1185,15 @@ class PolygonEditor {
       saveBtn.addEventListener('click', async () => {
         const fileName = fileNameInput?.value?.trim() || 'project';
         const data = this.folder.getProjectData();
-        const success = await this.folder.saveFile(fileName, data);
+        const format = this.folder.getSaveFormat();
+        const success = await this.folder.saveFile(fileName, data, format);
         if (success) {
-          this.showNotification('Project saved!');
+          this.autosave.markSaved(this.folder.currentFileName, data);
+          if (format === 'json' && this.folder.getUsedAssets(data).length > 0) {
+            this.showNotification('Saved without reference images: save as a bundle to include them');
+          } else {
+            this.showNotification('Project saved!');
+          }
         }
       });
     }
@@ -762,76 +1202,91 @@ class PolygonEditor {
     this.folder.updateUI();
   }
 
-  loadProjectData(data) {
-    // Load project data from file
+  /**
+   * Migrate project data to the current version and validate it. Invalid
+   * shapes (and reference images) can be dropped after listing
+   * them; other problems stop the load
+   * @returns {Object|null} - Current-version data, or null if unusable
+   */
+  readProject(data) {
+    let project;
     try {
-      if (data.canvasWidth) this.canvasWidth = data.canvasWidth;
-      if (data.canvasHeight) this.canvasHeight = data.canvasHeight;
-      if (data.fps) this.state.fps = data.fps;
-      if (data.timelineDuration) this.state.timelineDuration = data.timelineDuration;
-      if (data.loopMode) this.state.loopMode = data.loopMode;
-      if (data.playbackSpeed) this.state.playbackSpeed = data.playbackSpeed;
-
-      if (data.frames && Array.isArray(data.frames)) {
-        // Load animation with multiple frames
-        this.frames.frames = data.frames.map((frame, index) => ({
-          id: frame.id || this.frames.generateId(),
-          time: frame.time != null ? frame.time : index * 1.0,
-          easing: frame.easing || 'easeInOutQuad',
-          layers: frame.layers.map(layer => ({
-            id: layer.id || 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-            name: layer.name || 'Layer 1',
-            visible: layer.visible !== false,
-            locked: layer.locked || false,
-            shapes: layer.shapes || []
-          }))
-        }));
-        this.frames.currentFrameIndex = data.currentFrameIndex || 0;
-      } else if (data.layers && Array.isArray(data.layers)) {
-        // Load single frame with layers
-        this.frames.frames = [{
-          id: this.frames.generateId(),
-          time: 0,
-          easing: 'easeInOutQuad',
-          layers: data.layers.map(layer => ({
-            id: layer.id || 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-            name: layer.name || 'Layer 1',
-            visible: layer.visible !== false,
-            locked: layer.locked || false,
-            shapes: layer.shapes || []
-          }))
-        }];
-        this.frames.currentFrameIndex = 0;
-      } else if (data.shapes && Array.isArray(data.shapes)) {
-        // Load just shapes into a single layer
-        this.frames.frames = [{
-          id: this.frames.generateId(),
-          time: 0,
-          easing: 'easeInOutQuad',
-          layers: [{
-            id: 'layer_' + Date.now(),
-            name: 'Layer 1',
-            visible: true,
-            locked: false,
-            shapes: data.shapes
-          }]
-        }];
-        this.frames.currentFrameIndex = 0;
-      }
+      project = this.schema.migrate(data).data;
+    } catch (err) {
+      alert('Failed to load project: ' + err.message);
+      return null;
+    }
 
-      // Reset active layer to first layer of current frame
-      const currentFrame = this.frames.getCurrentFrame();
-      if (currentFrame && currentFrame.layers.length > 0) {
-        this.layers.activeLayerId = currentFrame.layers[0].id;
+    const errors = this.schema.validate(project);
+    if (errors.length === 0) return project;
+
+    const fatal = errors.filter(e => e.fatal);
+    if (fatal.length > 0) {
+      alert('This project is damaged and cannot be loaded:\n\n' + this.schema.formatErrors(fatal));
+      return null;
+    }
+    if (!confirm(`Found ${errors.length} problem(s):\n\n${this.schema.formatErrors(errors)}\n\nLoad the project without the invalid parts?`)) {
+      return null;
+    }
+    this.schema.validate(project, { repair: true });
+    this.showNotification(`Dropped ${errors.length} invalid part(s) of the project`);
+    return project;
+  }
+
+  // Load project data; a named project joins the recent projects list
+  loadProjectData(data, name = null) {
+    const project = this.readProject(data);
+    if (!project) return;
+
+    try {
+      if (project.canvasWidth) this.canvasWidth = project.canvasWidth;
+      if (project.canvasHeight) this.canvasHeight = project.canvasHeight;
+      this.updateRasterSize();
+      if (project.fps) this.state.fps = project.fps;
+      if (project.timelineDuration) this.state.timelineDuration = project.timelineDuration;
+      if (project.loopMode) this.state.loopMode = project.loopMode;
+      // Projects saved before morph modes tweened by vertex index
+      this.state.morphMode = project.morphMode || 'index';
+      const morphModeSelect = document.getElementById('morphMode');
+      if (morphModeSelect) morphModeSelect.value = this.state.morphMode;
+      if (project.playbackSpeed) this.state.playbackSpeed = project.playbackSpeed;
+
+      const frames = project.frames.map((frame, index) => ({
+        id: frame.id || this.frames.generateId(),
+        time: frame.time != null ? frame.time : index * 1.0,
+        easing: frame.easing || 'easeInOutQuad',
+        content: { ...frame.content }
+      }));
+      const layers = project.layers.map((layer, i) => this.layers.normalizeLayer(layer, i));
+      if (layers.length === 0) layers.push(this.layers.createEmptyLayer());
+
+      this.layers.layers = layers;
+      this.layers.groups = this.layers.normalizeGroups(project.groups);
+      for (const layer of layers) {
+        if (!this.layers.getGroup(layer.parentId)) layer.parentId = null;
       }
+      this.layers.pruneGroups();
+      this.layers.activeLayerId = layers[0].id;
+      this.layers.activeGroupId = null;
+      this.symbols.load(project.symbols);
+
+      this.frames.frames = frames;
+      this.frames.currentFrameIndex = Math.min(project.currentFrameIndex || 0, frames.length - 1);
+
+      this.folder.retainAssets(project);
+      this.references.load(project.referenceImages);
+
+      // Older projects have no track ids: match them by index as before
+      this.frames.ensureTrackIds();
 
       // Update UI
       this.frames.updateTimelineDuration();
       this.frames.updateUI();
       this.layers.updateUI();
       if (this.timelineUI) this.timelineUI.render();
-      this.saveHistory();
+      this.saveHistory('Load Project');
       this.render();
+      if (name) this.autosave.addRecent(name, project);
 
       this.showNotification('Project loaded!');
     } catch (err) {
@@ -854,73 +1309,60 @@ class PolygonEditor {
         alert('No layer available');
         return;
       }
+      if (!this.layers.canAddToActiveLayer()) return;
 
-      let shapesToAdd = [];
-
-      // Extract shapes from various data formats
-      if (data.frames && Array.isArray(data.frames) && data.frames.length > 0) {
-        // Animation file - get shapes from first frame's first layer
-        const firstFrame = data.frames[0];
-        if (firstFrame.layers && firstFrame.layers.length > 0) {
-          for (const layer of firstFrame.layers) {
-            if (layer.shapes && Array.isArray(layer.shapes)) {
-              shapesToAdd.push(...layer.shapes);
-            }
-          }
-        }
-      } else if (data.layers && Array.isArray(data.layers)) {
-        // Frame file with layers
-        for (const layer of data.layers) {
-          if (layer.shapes && Array.isArray(layer.shapes)) {
-            shapesToAdd.push(...layer.shapes);
-          }
-        }
-      } else if (data.shapes && Array.isArray(data.shapes)) {
-        // Direct shapes array
-        shapesToAdd = data.shapes;
-      } else if (data.vertices || data.verts) {
-        // Single shape with vertices
-        shapesToAdd = [{
-          id: 'shape_' + Date.now(),
-          type: 'polygon',
-          vertices: data.vertices || data.verts,
-          closed: data.closed !== false,
-          selected: false,
-          fill: data.fill || 'rgba(74, 158, 255, 0.2)',
-          stroke: data.stroke || '#4a9eff'
-        }];
-      }
+      const project = this.readProject(data);
+      if (!project) return;
+
+      // Shapes from every layer of the first keyframe
+      const shapesToAdd = Object.values(project.frames[0].content).flat();
 
       if (shapesToAdd.length === 0) {
         alert('No shapes found in file');
         return;
       }
 
+      // Symbols and shapes are added as one step, or not at all
+      this.history.begin('Load Shapes');
+
+      // Instances bring the symbols they place
+      this.symbols.importSymbols(project.symbols);
+
       // Clone shapes with new IDs to avoid conflicts
       const clonedShapes = shapesToAdd.map(shape => ({
         ...JSON.parse(JSON.stringify(shape)),
         id: 'shape_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        trackId: this.frames.generateTrackId(),
         selected: false
       }));
 
+      this.shapes.regroupCopies(clonedShapes);
+
       // Add shapes to active layer
-      activeLayer.shapes.push(...clonedShapes);
+      this.layers.addShapes(activeLayer, clonedShapes);
 
-      this.saveHistory();
+      this.history.commit({ force: true });
       this.layers.updateUI();
       this.render();
 
       this.showNotification(`Loaded ${clonedShapes.length} shape(s) into current frame`);
     } catch (err) {
+      this.history.cancel();
       console.error('Error loading shapes into frame:', err);
       alert('Failed to load shapes: ' + err.message);
     }
   }
 
+  // Brief toast at the bottom of the canvas; a new message replaces the last
   showNotification(message) {
-    // Simple notification - could be enhanced with a toast UI
     console.log(message);
-    // For now, we'll just log it. Could add a toast notification later.
+    const toast = document.getElementById('notification');
+    if (!toast) return;
+
+    toast.textContent = message;
+    toast.classList.add('visible');
+    clearTimeout(this.notificationTimer);
+    this.notificationTimer = setTimeout(() => toast.classList.remove('visible'), this.notificationDuration);
   }
 
   setTool(toolName) {
@@ -959,7 +1401,7 @@ class PolygonEditor {
     let maxX = -Infinity, maxY = -Infinity;
 
     for (const shape of shapes) {
-      for (const v of shape.vertices) {
+      for (const v of this.shapes.getOutlinePoints(shape)) {
         minX = Math.min(minX, v.x);
         minY = Math.min(minY, v.y);
         maxX = Math.max(maxX, v.x);
@@ -998,8 +1440,7 @@ class PolygonEditor {
   }
 
   getCurrentLayers() {
-    const frame = this.getCurrentFrame();
-    return frame ? frame.layers : [];
+    return this.layers.getCurrentLayers();
   }
 
   getCurrentLayer() {
@@ -1008,27 +1449,36 @@ class PolygonEditor {
     return layers.find(l => l.id === activeId) || layers[0];
   }
 
+  // Shapes that can be selected and edited (see ShapeFactory.getShapes)
   getCurrentShapes() {
-    const layer = this.getCurrentLayer();
-    return layer ? layer.shapes : [];
+    return this.shapes.getShapes();
   }
 
   render() {
-    // During playback with tweening, use the interpolated frame if available
-    const frame = this.state.interpolatedFrame || this.getCurrentFrame();
-    const prevFrame = this.state.onionSkinning ? this.frames.getPreviousFrame() : null;
+    // A symbol being edited replaces the keyframe; during playback with
+    // tweening, use the interpolated frame if available
+    const editFrame = this.symbols.getEditFrame();
+    const frame = editFrame || this.state.interpolatedFrame || this.getCurrentFrame();
+    const prevFrame = this.state.onionSkinning && !editFrame ? this.frames.getPreviousFrame() : null;
     
     this.renderer.render(frame, prevFrame);
+    this.styles.syncSelection();
+    this.updateTracePreview();
+    this.frames.updateLinkUI();
   }
 
-  saveHistory() {
-    const state = this.getState();
-    this.history.pushState(state);
+  saveHistory(label, options) {
+    this.history.record(label, options);
   }
 
+  // Live document state; the history snapshots it (see HistoryManager)
   getState() {
     return {
-      frames: JSON.parse(JSON.stringify(this.frames.frames)),
+      frames: this.frames.frames,
+      layers: this.layers.layers,
+      groups: this.layers.groups,
+      symbols: this.symbols.symbols,
+      referenceImages: this.references.images,
       currentFrameIndex: this.frames.currentFrameIndex,
       activeLayerId: this.layers.activeLayerId,
       selectedShapes: [...this.state.selectedShapes],
@@ -1040,6 +1490,10 @@ class PolygonEditor {
 
   restoreState(state) {
     this.frames.frames = state.frames;
+    if (state.layers) this.layers.layers = state.layers;
+    if (state.groups) this.layers.groups = state.groups;
+    if (state.symbols) this.symbols.symbols = state.symbols;
+    if (state.referenceImages) this.references.restore(state.referenceImages);
     this.frames.currentFrameIndex = state.currentFrameIndex;
     this.layers.activeLayerId = state.activeLayerId;
     this.state.selectedShapes = state.selectedShapes || [];
@@ -1049,6 +1503,9 @@ class PolygonEditor {
     
     this.frames.updateUI();
     this.layers.updateUI();
+    this.symbols.updateUI();
+    // The selection may be unchanged while the selected shapes' style is not
+    this.styles.updateUI();
     if (this.timelineUI) this.timelineUI.render();
     this.render();
   }
@@ -1200,51 +1657,11 @@ class PolygonEditor {
   }
 
   updateInterpolatedFrame() {
-    const time = this.state.playheadTime;
-    const keyframes = this.frames.frames;
-    if (keyframes.length === 0) return;
-
-    // Find surrounding keyframes based on time
-    let prevIndex = -1;
-    let nextIndex = -1;
-
-    for (let i = 0; i < keyframes.length; i++) {
-      const kfTime = keyframes[i].time || 0;
-      if (kfTime <= time) prevIndex = i;
-      if (kfTime >= time && nextIndex < 0) nextIndex = i;
-    }
-
-    if (prevIndex < 0) prevIndex = 0;
-    if (nextIndex < 0) nextIndex = keyframes.length - 1;
-
-    if (prevIndex === nextIndex) {
-      // Exactly at or near a keyframe
-      this.state.interpolatedFrame = null;
-      this.frames.currentFrameIndex = prevIndex;
-      return;
-    }
+    if (this.frames.frames.length === 0) return;
 
-    const prevKf = keyframes[prevIndex];
-    const nextKf = keyframes[nextIndex];
-    const prevTime = prevKf.time || 0;
-    const nextTime = nextKf.time || 0;
-
-    if (nextTime - prevTime < 0.001) {
-      this.state.interpolatedFrame = null;
-      this.frames.currentFrameIndex = prevIndex;
-      return;
-    }
-
-    const t = (time - prevTime) / (nextTime - prevTime);
-
-    // Use the per-keyframe easing from the prev keyframe
-    const easingName = prevKf.easing || 'linear';
-    const easingFn = this.frames.constructor.easing[easingName] ||
-                     this.frames.constructor.easing.linear;
-    const easedT = easingFn(t);
-    this.state.interpolatedFrame = this.frames.createInterpolatedFrame(prevKf, nextKf, easedT);
-
-    this.frames.currentFrameIndex = prevIndex;
+    const { index, frame } = this.frames.getFrameAtTime(this.state.playheadTime);
+    this.state.interpolatedFrame = frame;
+    this.frames.currentFrameIndex = index;
   }
 
   selectAll() {
@@ -1259,14 +1676,14 @@ class PolygonEditor {
     } else if (this.state.selectedShapes.length > 0) {
       this.shapes.deleteSelectedShapes();
     }
-    this.saveHistory();
+    this.saveHistory('Delete');
     this.render();
   }
 
   duplicateSelected() {
     if (this.state.selectedShapes.length > 0) {
       this.shapes.duplicateSelected();
-      this.saveHistory();
+      this.saveHistory('Duplicate');
       this.render();
     }
   }
@@ -1282,23 +1699,23 @@ class PolygonEditor {
   paste() {
     if (this.state.clipboard && this.state.clipboard.length > 0) {
       const layer = this.getCurrentLayer();
-      if (!layer) return;
+      if (!layer || !this.layers.canAddToActiveLayer()) return;
 
-      const newIds = [];
+      const newShapes = [];
       for (const shape of this.state.clipboard) {
         const newShape = JSON.parse(JSON.stringify(shape));
         newShape.id = this.shapes.generateId();
+        newShape.trackId = this.frames.generateTrackId();
         // Offset pasted shapes
-        for (const v of newShape.vertices) {
-          v.x += 20;
-          v.y += 20;
-        }
-        layer.shapes.push(newShape);
-        newIds.push(newShape.id);
+        this.shapes.mapPoints(newShape, v => ({ x: v.x + 20, y: v.y + 20 }));
+        newShapes.push(newShape);
       }
+      this.shapes.regroupCopies(newShapes);
+      this.layers.addShapes(layer, newShapes);
+      const newIds = newShapes.map(s => s.id);
       
       this.state.selectedShapes = newIds;
-      this.saveHistory();
+      this.saveHistory('Paste');
       this.render();
     }
   }
@@ -1309,33 +1726,78 @@ class PolygonEditor {
   }
 
   groupSelected() {
-    // For now, just mark as group - could be extended
-    console.log('Group functionality placeholder');
+    if (!this.shapes.groupSelected()) {
+      this.showNotification('Select two or more shapes to group');
+      return;
+    }
+    this.saveHistory('Group');
+    this.render();
   }
 
-  save() {
-    const data = {
-      version: 1,
-      state: this.getState()
-    };
-    localStorage.setItem('polygon-editor-save', JSON.stringify(data));
-    console.log('Project saved');
+  ungroupSelected() {
+    if (this.shapes.ungroupSelected()) {
+      this.saveHistory('Ungroup');
+      this.render();
+    }
   }
 
-  load() {
-    const saved = localStorage.getItem('polygon-editor-save');
-    if (saved) {
-      const data = JSON.parse(saved);
-      this.restoreState(data.state);
-      console.log('Project loaded');
+  // Symbol actions touch several frames and the symbol list; each runs as a
+  // transaction so a failure leaves nothing half done
+  convertToSymbol() {
+    this.history.begin('Convert to Symbol');
+    try {
+      if (!this.symbols.createFromSelection()) {
+        this.history.cancel();
+        this.showNotification('Select shapes to make a symbol');
+        return;
+      }
+      this.history.commit({ force: true });
+    } catch (err) {
+      this.history.cancel();
+      console.error('Error converting to symbol:', err);
+      alert('Failed to convert to symbol: ' + err.message);
+    }
+    this.render();
+  }
+
+  detachSelected() {
+    this.history.begin('Detach Instance');
+    try {
+      if (this.symbols.detachSelected() === 0) {
+        this.history.cancel();
+        this.showNotification('Select a symbol instance to detach');
+        return;
+      }
+      this.history.commit({ force: true });
+    } catch (err) {
+      this.history.cancel();
+      console.error('Error detaching instance:', err);
+      alert('Failed to detach instance: ' + err.message);
+    }
+    this.render();
+  }
+
+  // Ctrl+S: save into browser storage as a recent project
+  async save() {
+    if (!this.autosave.isSupported()) {
+      this.showNotification('Browser storage is not available');
+      return;
+    }
+    await this.autosave.markSaved(this.folder.currentFileName || 'Untitled');
+    this.showNotification('Project saved');
+  }
+
+  // Reopen the most recent project
+  async load() {
+    if (!(await this.autosave.openRecent())) {
+      this.showNotification('No recent projects');
     }
   }
 
   cancelCurrentAction() {
     // If pen tool has a path, close and create the shape
     if (this.tools.toolState.currentPath && this.tools.toolState.currentPath.length >= 3) {
-      this.shapes.createFromPath(this.tools.toolState.currentPath);
-      this.saveHistory();
+      if (this.shapes.createFromPath(this.tools.toolState.currentPath)) this.saveHistory('Create Path');
     }
     
     // Clear tool state
@@ -1344,6 +1806,9 @@ class PolygonEditor {
     this.state.previewPoint = null;
     this.state.previewShape = null;
     this.state.selectionBox = null;
+
+    // Leave the entered shape group, or else the symbol being edited
+    if (!this.shapes.exitGroup()) this.symbols.finishEditing();
     
     // Switch to select tool
     this.setTool('select');
@@ -1365,15 +1830,52 @@ class PolygonEditor {
     this.render();
   }
 
+  booleanSelected(operation) {
+    const labels = {
+      union: 'Union',
+      subtract: 'Subtract',
+      intersect: 'Intersect',
+      xor: 'Exclude'
+    };
+
+    if (this.state.selectedShapes.length < 2) {
+      this.showNotification('Select at least two shapes');
+      return;
+    }
+
+    const results = this.shapes.booleanSelected(operation);
+    if (results.length === 0) {
+      this.showNotification(`${labels[operation]} produced no shape`);
+      return;
+    }
+
+    this.saveHistory(labels[operation]);
+    this.render();
+  }
+
+  // Nudge selected vertices or shapes with the arrow keys; repeated nudges
+  // coalesce into a single history entry
+  nudgeSelected(dx, dy) {
+    if (this.state.selectedVertices.length > 0) {
+      this.shapes.moveSelectedVerticesBy(dx, dy);
+    } else if (this.state.selectedShapes.length > 0) {
+      this.shapes.moveSelectedBy(dx, dy);
+    } else {
+      return;
+    }
+    this.saveHistory('Nudge', { coalesce: 'nudge' });
+    this.render();
+  }
+
   sendBackward() {
     this.shapes.reorderSelected(-1);
-    this.saveHistory();
+    this.saveHistory('Send Backward');
     this.render();
   }
 
   bringForward() {
     this.shapes.reorderSelected(1);
-    this.saveHistory();
+    this.saveHistory('Bring Forward');
     this.render();
   }
 }